@@ -3,8 +3,6 @@
  *
  * Dependencies (load BEFORE this script):
  *   - chess.js (Chess class)
- *   - chessboard.js (Chessboard class + CSS)
- *   - jQuery (required by chessboard.js)
  *
  * Custom HTML elements supported:
  *   <pgn>           — Annotated game viewer (static)
@@ -13,10 +11,12 @@
  */
 
 import "./pgn-player.js";
-import { toFigurine, parseGame } from "./helpers.js";
+import { toFigurine, configure } from "./helpers.js";
+import { parsePGNGame, parseHeaders, parseGame } from "./pgn-parser.js";
+import { toPGN } from "./pgn-writer.js";
 import { createBoard } from "./board.js";
-import { buildMoveTree, parseHeaders, renderFullPGN } from "./pgn.js";
-import { renderLocalPuzzle } from "./puzzle.js";
+import { buildMoveTree, renderFullPGN } from "./pgn.js";
+import { renderLocalPuzzle, puzzleResults } from "./puzzle.js";
 import { initAll, initFigurineProse } from "./init.js";
 
 /* ================================================================
@@ -34,6 +34,8 @@ if (document.readyState === "loading") {
 ================================================================ */
 
 window.ChessPublica = {
+  parsePGNGame: parsePGNGame,
+  toPGN: toPGN,
   renderFullPGN: renderFullPGN,
   buildMoveTree: buildMoveTree,
   parseHeaders: parseHeaders,
@@ -41,6 +43,8 @@ window.ChessPublica = {
   toFigurine: toFigurine,
   parseGame: parseGame,
   renderLocalPuzzle: renderLocalPuzzle,
+  puzzleResults: puzzleResults,
+  configure: configure,
   initAll: initAll,
   initFigurineProse: initFigurineProse,
 };
\ No newline at end of file
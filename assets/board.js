@@ -3,13 +3,32 @@
  */
 
 import {
-  PIECE_THEME,
+  pieceTheme,
   getDestinationSquare,
   renderMoveQualityBadge,
   nagsToGlyph,
 } from "./helpers.js";
+import { createChessboard, squareBox } from "./svg-board.js";
+
+/**
+ * Append a static diagram of `fen` to `container`, with the move's
+ * [%csl]/[%cal] annotations and move-quality badge when `moveNode` has
+ * them.
+ *
+ * @param {HTMLElement} container
+ * @param {string}      fen
+ * @param {?Object}     moveNode  parsed move the diagram follows, or null
+ * @param {Object}      [options]
+ * @param {string}      [options.orientation]  "white" | "black" | "auto"
+ *                                             (side to move at the bottom)
+ * @param {boolean}     [options.coordinates]  false hides the a–h / 1–8 labels
+ * @param {boolean}     [options.toMove]       mark the side to move
+ * @returns {HTMLElement} the diagram's .cp-board-wrapper
+ */
+export function createBoard(container, fen, moveNode, options) {
+  options = options || {};
+  var orientation = resolveOrientation(options.orientation, fen);
 
-export function createBoard(container, fen, moveNode) {
   var wrapper = document.createElement("div");
   wrapper.className = "cp-board-wrapper";
 
@@ -19,75 +38,75 @@ export function createBoard(container, fen, moveNode) {
   wrapper.appendChild(boardDiv);
   container.appendChild(wrapper);
 
+  /* Wait a frame: the caller attaches `container` to the page after
+     this returns, and pieceTheme() looks up the piece set from there. */
   requestAnimationFrame(function () {
-    var widget = Chessboard(boardDiv, {
+    boardDiv.__board = createChessboard(boardDiv, {
       position: fen,
-      pieceTheme: PIECE_THEME,
+      orientation: orientation,
+      coordinates: options.coordinates !== false,
+      pieceTheme: pieceTheme(boardDiv),
     });
-
-    /* Draw the SVG overlay + (optional) NAG move-quality badge. Wrapped
-       in a function so makeBoardResizable() can re-run it after the
-       board re-fits its container; the squares' new pixel positions
-       feed into renderAnnotations()'s screen->SVG-user mapping so the
-       circles/arrows stay aligned. */
-    function renderOverlay() {
-      renderAnnotations(boardDiv, moveNode);
-      if (moveNode && moveNode.nags && moveNode.nags.length) {
-        var glyph = nagsToGlyph(moveNode.nags);
-        if (glyph && moveNode.san) {
-          var square = getDestinationSquare(moveNode.san, moveNode.color);
-          if (square) {
-            boardDiv.style.position = "relative";
-            renderMoveQualityBadge(boardDiv, square, glyph);
-          }
-        }
+    if (options.toMove) renderSideToMove(boardDiv, fen, orientation);
+
+    renderAnnotations(boardDiv, moveNode);
+    if (moveNode && moveNode.nags && moveNode.nags.length) {
+      var glyph = nagsToGlyph(moveNode.nags);
+      if (glyph && moveNode.san) {
+        var square = getDestinationSquare(moveNode.san, moveNode.color);
+        if (square) renderMoveQualityBadge(boardDiv, square, glyph);
       }
     }
-
-    renderOverlay();
-    makeBoardResizable(boardDiv, widget, renderOverlay);
   });
+
+  return wrapper;
 }
 
-/* ================================================================
-   RESIZE HANDLING
-================================================================ */
+/* "white" | "black" | "auto" → the side shown at the bottom; "auto"
+   puts the side to move in `fen` there. Anything else means white. */
+export function resolveOrientation(orientation, fen) {
+  if (orientation === "auto") return String(fen || "").split(" ")[1] === "b" ? "black" : "white";
+  return orientation === "black" ? "black" : "white";
+}
 
 /**
- * chessboard.js v1.0.0 sizes its inner .board-b72b1 (and each square)
- * in fixed pixels at init: widget.resize() reads the container width
- * once, then squares get inline width/height. Our boards live inside a
- * .cp-board with `width: 100%; max-width: var(--board-size)`, so on
- * viewport resize the container scales but the squares stay put — and
- * the SVG annotation overlay (sized 100%/100% of .chessboard-63f37,
- * viewBox 0..100, preserveAspectRatio="none") drifts off the squares.
- *
- * Observe the boardDiv with a ResizeObserver and on each size change
- * call widget.resize() to re-fit the inner board, then re-run the
- * caller-supplied redraw callback so any SVG annotations or NAG badges
- * are re-derived from the squares' new screen positions. Updates are
- * batched through requestAnimationFrame so dragging the window edge
- * doesn't fire redundant work.
+ * Mark whose move it is in `fen` with a small disc beside the board,
+ * level with that side's back rank. Drawn as its own little SVG so it
+ * still shows in prerendered pages read without the stylesheet.
  *
- * @param {HTMLElement} boardDiv  the .cp-board element to observe
- * @param {Object}      widget    the chessboard.js instance (must expose .resize())
- * @param {Function}    redraw    callback invoked after each widget.resize()
+ * @param {HTMLElement} boardDiv
+ * @param {string}      fen
+ * @param {string}      orientation  "white" | "black" — as drawn
  */
-export function makeBoardResizable(boardDiv, widget, redraw) {
-  if (typeof ResizeObserver === "undefined") return null;
-  if (!widget || typeof widget.resize !== "function") return null;
-
-  var pendingFrame = null;
-  var ro = new ResizeObserver(function () {
-    if (pendingFrame) return;
-    pendingFrame = requestAnimationFrame(function () {
-      pendingFrame = null;
-      widget.resize();
-      if (typeof redraw === "function") redraw();
-    });
-  });
-  ro.observe(boardDiv);
-  return ro;
+export function renderSideToMove(boardDiv, fen, orientation) {
+  var color = String(fen || "").split(" ")[1] === "b" ? "b" : "w";
+  var label = (color === "w" ? "White" : "Black") + " to move";
+  var atBottom = (color === "w") === (orientation !== "black");
+  var ns = "http://www.w3.org/2000/svg";
+
+  var marker = document.createElementNS(ns, "svg");
+  marker.setAttribute("class", "cp-to-move " + (atBottom ? "bottom" : "top"));
+  marker.setAttribute("viewBox", "0 0 10 10");
+  marker.setAttribute("width", "12");
+  marker.setAttribute("height", "12");
+  marker.setAttribute("role", "img");
+  marker.setAttribute("aria-label", label);
+
+  var title = document.createElementNS(ns, "title");
+  title.textContent = label;
+  marker.appendChild(title);
+
+  var disc = document.createElementNS(ns, "circle");
+  disc.setAttribute("cx", "5");
+  disc.setAttribute("cy", "5");
+  disc.setAttribute("r", "4.25");
+  disc.setAttribute("fill", color === "w" ? "#fff" : "#222");
+  disc.setAttribute("stroke", "#222");
+  disc.setAttribute("stroke-width", "1");
+  marker.appendChild(disc);
+
+  boardDiv.classList.add("has-to-move");
+  boardDiv.appendChild(marker);
 }
 
 /* ================================================================
@@ -95,18 +114,16 @@ export function makeBoardResizable(boardDiv, widget, redraw) {
 ================================================================ */
 
 /**
- * Locate the chessboard.js inner 8×8 grid element. All squares live directly
- * inside this element; attaching the SVG overlay here (instead of the outer
- * board wrapper) avoids any border/padding offsets and gives pixel-perfect
- * alignment without manual positioning math.
+ * Locate the board SVG drawn by createChessboard(). Overlays nest inside
+ * it, so they share its coordinate system and scale with it for free.
  */
 function getGridElement(boardDiv) {
-  return boardDiv.querySelector(".chessboard-63f37") || boardDiv;
+  return boardDiv.querySelector(".cp-svgboard");
 }
 
 /**
- * Create an SVG board-overlay element, attached inside the actual 8×8 grid,
- * sized 100%×100% so viewBox 0..100 maps exactly to the square area.
+ * Create an SVG board-overlay layer on top of the squares and pieces,
+ * with viewBox 0..100 mapping exactly to the square area.
  *
  * Exported so callers (e.g. pgn-player's last-move arrow) can create their
  * own overlay layers using the same infrastructure.
@@ -119,64 +136,41 @@ export function createGridOverlaySVG(boardDiv, extraClass) {
   var grid = getGridElement(boardDiv);
   if (!grid) return null;
 
-  /* Ensure the grid can host absolutely-positioned overlays. */
-  if (grid !== boardDiv && getComputedStyle(grid).position === "static") {
-    grid.style.position = "relative";
-  }
-
   var svg = document.createElementNS("http://www.w3.org/2000/svg", "svg");
   svg.classList.add("board-overlay");
   if (extraClass) svg.classList.add(extraClass);
+  svg.setAttribute("x", "0");
+  svg.setAttribute("y", "0");
+  svg.setAttribute("width", "8");
+  svg.setAttribute("height", "8");
   svg.setAttribute("viewBox", "0 0 100 100");
   svg.setAttribute("preserveAspectRatio", "none");
-  svg.style.position = "absolute";
-  svg.style.left     = "0";
-  svg.style.top      = "0";
-  svg.style.width    = "100%";
-  svg.style.height   = "100%";
-  svg.style.pointerEvents = "none";
+  svg.setAttribute("pointer-events", "none");
 
   grid.appendChild(svg);
   return svg;
 }
 
 /**
- * Compute a square's centre in SVG user coordinates by inverting the SVG's
- * current transformation matrix. This is immune to border/padding/box-sizing
- * differences on any ancestor element, so circles and arrows align exactly
- * with the squares regardless of how chessboard.js lays out its DOM.
+ * Compute a square's centre in overlay coordinates (viewBox 0..100).
+ * Derived from the board's orientation rather than from layout, so it
+ * works just as well for boards that are not on screen yet.
  *
  * Exported so callers that create their own SVG layer (e.g. pgn-player's
  * last-move arrow) can re-use the same coordinate mapping.
  *
- * @param {SVGSVGElement} svg
- * @param {HTMLElement}   boardDiv  the element that contains [data-square] children
+ * @param {SVGSVGElement} svg       the overlay (unused, kept for API compatibility)
+ * @param {HTMLElement}   boardDiv  the element holding the board SVG
  * @param {string}        square    e.g. "e4"
  * @returns {{ x: number, y: number, size: number }|null}
  */
 export function getSquareCenter(svg, boardDiv, square) {
-  var squareEl = boardDiv.querySelector('[data-square="' + square + '"]');
-  if (!squareEl) return null;
-
-  var ctm = svg.getScreenCTM();
-  if (!ctm) return null;
-  var inv = ctm.inverse();
-
-  var sr = squareEl.getBoundingClientRect();
-  var cx = sr.left + sr.width  / 2;
-  var cy = sr.top  + sr.height / 2;
-
-  var pt = svg.createSVGPoint();
-  pt.x = cx; pt.y = cy;
-  var center = pt.matrixTransform(inv);
-
-  pt.x = cx + sr.width; pt.y = cy;
-  var edge = pt.matrixTransform(inv);
-
+  var box = squareBox(boardDiv, square);
+  if (!box) return null;
   return {
-    x:    center.x,
-    y:    center.y,
-    size: edge.x - center.x,   // full square width in SVG user units
+    x:    box.x + box.size / 2,
+    y:    box.y + box.size / 2,
+    size: box.size,   // full square width in SVG user units
   };
 }
 
@@ -187,8 +181,7 @@ export function getSquareCenter(svg, boardDiv, square) {
 /**
  * Render (or clear) Lichess-style square circles + arrows on a board.
  *
- * Attaches a .board-overlay SVG inside the chessboard.js inner grid so that
- * 100 % / 100 % maps exactly to the square area — no border/padding offsets.
+ * Attaches a .board-overlay SVG inside the board SVG, above the pieces.
  * Any existing annotation overlay is removed first; the last-move overlay
  * (if present) is left untouched.
  *
@@ -201,11 +194,11 @@ export function getSquareCenter(svg, boardDiv, square) {
  * @param {HTMLElement} [wrapper]   ignored (kept for API compatibility)
  */
 export function renderAnnotations(boardDiv, annotations, wrapper) {
-  /* Remove previous annotation overlay, keeping any last-move overlay. */
-  var existing = boardDiv.querySelectorAll(".board-overlay:not(.last-move-overlay)");
-  for (var e = 0; e < existing.length; e++) existing[e].remove();
+  /* Remove the previous annotation overlay, keeping other layers such
+     as the last-move arrow. */
+  clearAnnotations(boardDiv);
 
-  var svg = createGridOverlaySVG(boardDiv);
+  var svg = createGridOverlaySVG(boardDiv, "annotation-overlay");
   if (!svg) return;
 
   if (!annotations) return;
@@ -227,13 +220,13 @@ export function renderAnnotations(boardDiv, annotations, wrapper) {
 
 /**
  * Remove any rendered annotation overlay from the board.
- * The last-move overlay (if present) is left untouched.
+ * Other overlay layers (last-move arrow, tap selection) are left untouched.
  *
  * @param {HTMLElement} boardDiv
  * @param {HTMLElement} [wrapper]  ignored (kept for API compatibility)
  */
 export function clearAnnotations(boardDiv, wrapper) {
-  var existing = boardDiv.querySelectorAll(".board-overlay:not(.last-move-overlay)");
+  var existing = boardDiv.querySelectorAll(".annotation-overlay");
   for (var e = 0; e < existing.length; e++) existing[e].remove();
 }
 
@@ -337,3 +330,112 @@ function drawArrow(svg, boardDiv, fromSquare, toSquare, color) {
 
   svg.appendChild(path);
 }
+
+/* ================================================================
+   PROMOTION PICKER
+================================================================ */
+
+var PROMOTION_PIECES = [
+  { piece: "q", name: "Queen" },
+  { piece: "n", name: "Knight" },
+  { piece: "r", name: "Rook" },
+  { piece: "b", name: "Bishop" },
+];
+
+/**
+ * Ask which piece a pawn promotes to. A column of queen, knight, rook
+ * and bishop opens over the promotion square, running towards the
+ * centre of the board like on Lichess; the rest of the board is dimmed
+ * and clicking it cancels.
+ *
+ * Keyboard: focus starts on the queen, arrow keys move between pieces,
+ * Enter/Space choose, Q/N/R/B choose directly and Escape cancels.
+ *
+ * @param {HTMLElement} boardDiv  the .cp-board element
+ * @param {string}      square    promotion square, e.g. "e8"
+ * @param {string}      color     "w" | "b" — the promoting side
+ * @param {Function}    onChoose  called once with "q" | "n" | "r" | "b",
+ *                                or null when the picker is cancelled
+ * @returns {Function} closes the picker (as a cancel) if still open
+ */
+export function showPromotionPicker(boardDiv, square, color, onChoose) {
+  var squareEl = boardDiv.querySelector('[data-square="' + square + '"]');
+  var boardRect = boardDiv.getBoundingClientRect();
+  var squareRect = squareEl ? squareEl.getBoundingClientRect() : boardRect;
+  var returnFocus = document.activeElement;
+
+  boardDiv.style.position = "relative";
+
+  var overlay = document.createElement("div");
+  overlay.className = "cp-promotion";
+
+  var column = document.createElement("div");
+  column.className = "cp-promotion-choices";
+  column.setAttribute("role", "dialog");
+  column.setAttribute("aria-label", "Promote to");
+  column.style.left = (squareRect.left - boardRect.left) + "px";
+  column.style.width = squareRect.width + "px";
+
+  /* Grow downwards from a square in the top half, upwards otherwise. */
+  var fromTop = squareRect.top - boardRect.top < boardRect.height / 2;
+  if (fromTop) {
+    column.style.top = (squareRect.top - boardRect.top) + "px";
+  } else {
+    column.style.bottom = (boardRect.bottom - squareRect.bottom) + "px";
+    column.style.flexDirection = "column-reverse";
+  }
+
+  var buttons = PROMOTION_PIECES.map(function (entry) {
+    var btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "cp-promotion-choice";
+    btn.style.height = squareRect.height + "px";
+    btn.setAttribute("aria-label", entry.name);
+    btn.title = entry.name;
+    var img = document.createElement("img");
+    img.src = pieceTheme(boardDiv)(color + entry.piece.toUpperCase());
+    img.alt = entry.name;
+    btn.appendChild(img);
+    btn.addEventListener("click", function (e) {
+      e.stopPropagation();
+      close(entry.piece);
+    });
+    column.appendChild(btn);
+    return btn;
+  });
+
+  var done = false;
+  function close(piece) {
+    if (done) return;
+    done = true;
+    overlay.remove();
+    if (returnFocus && typeof returnFocus.focus === "function") returnFocus.focus();
+    onChoose(piece);
+  }
+
+  overlay.addEventListener("click", function () { close(null); });
+
+  column.addEventListener("keydown", function (e) {
+    var index = buttons.indexOf(document.activeElement);
+    var key = e.key.toLowerCase();
+    if (e.key === "Escape") {
+      close(null);
+    } else if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      /* The column is reversed when it grows upwards. */
+      var step = (e.key === "ArrowDown") === fromTop ? 1 : -1;
+      buttons[(index + step + buttons.length) % buttons.length].focus();
+    } else if (key === "q" || key === "n" || key === "r" || key === "b") {
+      close(key);
+    } else {
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+  });
+
+  overlay.appendChild(column);
+  boardDiv.appendChild(overlay);
+  buttons[0].focus();
+
+  return function () { close(null); };
+}
@@ -4,12 +4,58 @@
  * Merged from: config.js, figurine.js, puzzle-helpers.js
  */
 
+import { PIECE_SETS } from "./pieces.js";
+import { squareBox } from "./svg-board.js";
+
 /* ================================================================
    CONSTANTS
 ================================================================ */
 
-export var PIECE_THEME =
-  "https://chessboardjs.com/img/chesspieces/wikipedia/{piece}.png";
+/* Defaults for boards that don't name their own piece set or theme.
+   Changed through ChessPublica.configure(). */
+export var BOARD_DEFAULTS = { pieceSet: "cburnett" };
+
+/* ================================================================
+   PIECE SETS & BOARD THEMES
+================================================================ */
+
+/**
+ * Piece image lookup ("wK" → URL) for the board in `el`. The set is looked up
+ * on every draw: the nearest data-piece-set (copied there from an
+ * element's piece-set attribute, or set on <html> for the whole page),
+ * then the configured default. A name containing "{piece}" is a URL
+ * template for a self-hosted set; an unknown name falls back to cburnett.
+ */
+export function pieceTheme(el) {
+  return function (piece) {
+    var host = el && el.closest ? el.closest("[data-piece-set]") : null;
+    var name = (host && host.getAttribute("data-piece-set")) || BOARD_DEFAULTS.pieceSet;
+    if (name.indexOf("{piece}") !== -1) return name.replace("{piece}", piece);
+    return (PIECE_SETS[name] || PIECE_SETS.cburnett)[piece];
+  };
+}
+
+/* piece-set="merida" theme="green" on an element become data attributes
+   on `target`, the node that holds its boards, where pieceTheme() and
+   the [data-board-theme] rules in ChessPublica.css look for them. */
+export function applyBoardStyle(el, target) {
+  var pieceSet = el.getAttribute("piece-set");
+  var theme = el.getAttribute("theme");
+  if (pieceSet) target.setAttribute("data-piece-set", pieceSet);
+  if (theme) target.setAttribute("data-board-theme", theme);
+}
+
+/**
+ * Page-wide defaults: { pieceSet: "merida", theme: "green" }. The
+ * theme is set on <html>, so an element's own theme attribute still
+ * wins. Boards already on the page pick the new set up on their next
+ * redraw.
+ */
+export function configure(options) {
+  options = options || {};
+  if (options.pieceSet) BOARD_DEFAULTS.pieceSet = options.pieceSet;
+  if (options.theme) document.documentElement.setAttribute("data-board-theme", options.theme);
+}
 
 export var NBSP = "\u00A0";
 
@@ -65,7 +111,10 @@ export function getDestinationSquare(san, color) {
  * Render a move-quality badge (!, !!, ?, …) on a destination square
  * of the given board element.  Clears any existing badge first.
  *
- * @param {HTMLElement} boardEl – element passed to Chessboard() (has data-square children)
+ * The badge is drawn into the board SVG, overhanging the square's
+ * top-right corner slightly, so it scales with the board.
+ *
+ * @param {HTMLElement} boardEl – element passed to createChessboard()
  * @param {string}      square  – e.g. "e4"
  * @param {string}      glyph   – e.g. "!" or "??"
  */
@@ -76,23 +125,35 @@ export function renderMoveQualityBadge(boardEl, square, glyph) {
   var meta = GLYPH_META[glyph];
   if (!meta) return;
 
-  var squareEl = boardEl.querySelector('[data-square="' + square + '"]');
-  if (!squareEl) return;
-
-  var badge = document.createElement("div");
-  badge.className = "gm-badge";
-  badge.textContent = meta.label;
-  badge.style.background = meta.color;
-
-  var boardRect  = boardEl.getBoundingClientRect();
-  var squareRect = squareEl.getBoundingClientRect();
-
-  badge.style.position = "absolute";
-  badge.style.right = (boardRect.right - squareRect.right + squareRect.width * 0.05) + "px";
-  badge.style.top   = (squareRect.top  - boardRect.top   - squareRect.height * 0.05) + "px";
-  badge.style.zIndex = "30";
-
-  boardEl.appendChild(badge);
+  var board = boardEl.querySelector(".cp-svgboard");
+  var box = squareBox(boardEl, square);
+  if (!board || !box) return;
+
+  /* squareBox() is in percent; the board SVG has one unit per square. */
+  var right = (box.x + box.size) * 0.08;
+  var top = box.y * 0.08;
+  var ns = "http://www.w3.org/2000/svg";
+
+  var badge = document.createElementNS(ns, "g");
+  badge.setAttribute("class", "gm-badge");
+  badge.setAttribute("transform", "translate(" + (right - 0.17) + " " + (top + 0.17) + ")");
+
+  var circle = document.createElementNS(ns, "circle");
+  circle.setAttribute("r", 0.22);
+  circle.setAttribute("fill", meta.color);
+  badge.appendChild(circle);
+
+  var label = document.createElementNS(ns, "text");
+  label.setAttribute("fill", "#fff");
+  label.setAttribute("font-weight", "bold");
+  label.setAttribute("font-family", "Arial, Helvetica, sans-serif");
+  label.setAttribute("text-anchor", "middle");
+  label.setAttribute("dominant-baseline", "central");
+  label.setAttribute("font-size", meta.label.length > 1 ? 0.26 : 0.32);
+  label.textContent = meta.label;
+  badge.appendChild(label);
+
+  board.appendChild(badge);
 }
 
 export function clearMoveQualityBadge(boardEl) {
@@ -407,6 +468,7 @@ export function normalizeSAN(s) {
     .replace(/[+#?!]/g, "")
     .replace(/0-0-0/g, "O-O-O")
     .replace(/0-0/g, "O-O")
+    .replace(/([a-h][18])([QRBN])$/, "$1=$2")
     .trim();
 }
 
@@ -450,11 +512,17 @@ export function tokenizeMoves(text) {
 /* Lichess-style inline annotations inside PGN comments:
      [%csl Gc5,Rd5]      coloured squares
      [%cal Ga2a4,Re4e5]  coloured arrows
-   Colour prefixes: R (red), G (green), B (blue), Y (yellow). */
-var _RE_CSL = /\[%csl\s+([^\]]+)\]/g;
-var _RE_CAL = /\[%cal\s+([^\]]+)\]/g;
+   Colour prefixes: R (red), G (green), B (blue), Y (yellow).
+   parseCSL() / parseCAL() decode their payloads; every other [%…]
+   command is stripped from the displayed comment text. */
 var _RE_BRACKET_ANNOT = /\[%[^\]]*\]/g;
 
+/* A [D] diagram marker, optionally naming the side at the bottom:
+   [D black], [D white], or [D auto] for the side to move; then an
+   optional #anchor the prose can link to: [D #kingside-attack]. */
+export var DIAGRAM_MARKER = /\[D(?:\s+(white|black|auto))?(?:\s+#([A-Za-z][\w-]*))?\]/;
+var _RE_DIAGRAM = new RegExp(DIAGRAM_MARKER.source, "g");
+
 /* Parentheticals that start with a move number are inline PGN variations.
    Plain prose like "(Grob's Attack)" does NOT start with digits+dots. */
 var _RE_PGN_PAREN = /\(\s*\d+\.+[^()]*\)/g;
@@ -463,14 +531,14 @@ var _RE_PGN_PAREN = /\(\s*\d+\.+[^()]*\)/g;
  * Strip [%…] annotation tags, [D] diagram markers, and move-number-led
  * parentheticals (inline PGN variations) from a raw comment string.
  * Plain-text parentheticals like "(Grob's Attack)" are preserved.
- * Shared by pgn.js and pgn-player.js so both renderers produce identical
- * comment text before passing it to formatComment().
+ * Used by pgn-parser.js so every element renders identical comment text
+ * before passing it to formatComment().
  */
 export function stripCommentAnnotations(raw) {
   return String(raw || "")
     .replace(_RE_PGN_PAREN, "")
     .replace(_RE_BRACKET_ANNOT, "")
-    .replace(/\[D\]/g, "")
+    .replace(_RE_DIAGRAM, "")
     .replace(/\s+/g, " ")
     .trim();
 }
@@ -493,239 +561,84 @@ export function parseCAL(data) {
   });
 }
 
-/**
- * Parse PGN-ish move text into parallel arrays of SAN moves, the
- * comments attached to them, and any variations branching off them.
- * Comments in {braces} attach to the most recent mainline move.
- * Multiple comments on the same move are joined with a single space.
- * Variations (in parens) are recursively parsed and attached to the
- * mainline move they branch from — so variations[i] is either null or
- * an array of { moves, comments, variations } objects.
- *
- * Inline [%csl …] / [%cal …] annotations inside a comment are pulled
- * out and returned in parallel `squareMarks` / `arrows` arrays so
- * consumers can render them as overlays.  The annotation text itself
- * is stripped from the comment string.
- *
- * Returns { moves, comments, variations, glyphs, arrows, squareMarks }
- * with all arrays having length === moves.length.
- */
-export function parseMovesWithComments(text) {
-  /* Strip PGN line comments (";" to end-of-line). Require a leading
-     boundary (start-of-string or whitespace) so we don't match the ";"
-     that terminates HTML entities like &lt;, &gt;, &amp; — those appear
-     inside brace comments when the puzzle content is set via textContent
-     and read back via innerHTML, which escapes <, >, and &. */
-  var s = String(text || "").replace(/(^|\s);[^\n]*/g, "$1 ");
-
-  var moves = [];
-  var comments = [];
-  var variations = [];
-  var glyphs = [];
-  var arrows = [];
-  var squareMarks = [];
-  var i = 0;
-
-  while (i < s.length) {
-    var ch = s[i];
-
-    /* Brace comment — attach to the most recent move. The full content
-       between { and the matching } is taken verbatim, so parentheses
-       inside the comment (e.g. a textual "(1. Re1? …)" reference) are
-       kept, not treated as variations. */
-    if (ch === "{") {
-      var j = i + 1;
-      while (j < s.length && s[j] !== "}") j++;
-      var rawCm = s.slice(i + 1, j);
-
-      /* Extract annotations before cleaning the text. */
-      var newSquareMarks = [];
-      var newArrows = [];
-      var am;
-      _RE_CSL.lastIndex = 0;
-      while ((am = _RE_CSL.exec(rawCm))) {
-        newSquareMarks = newSquareMarks.concat(parseCSL(am[1]));
-      }
-      _RE_CAL.lastIndex = 0;
-      while ((am = _RE_CAL.exec(rawCm))) {
-        newArrows = newArrows.concat(parseCAL(am[1]));
-      }
-
-      var cm = rawCm.replace(_RE_BRACKET_ANNOT, "").replace(/\s+/g, " ").trim();
-
-      if (moves.length > 0) {
-        var idx = moves.length - 1;
-        if (cm) {
-          comments[idx] = comments[idx] ? comments[idx] + " " + cm : cm;
-        }
-        if (newSquareMarks.length) {
-          squareMarks[idx] = (squareMarks[idx] || []).concat(newSquareMarks);
-        }
-        if (newArrows.length) {
-          arrows[idx] = (arrows[idx] || []).concat(newArrows);
-        }
-      }
-      i = j + 1;
-      continue;
-    }
-
-    /* Variation — scan to the matching ), correctly handling nested
-       parens and brace-comments inside the variation, then recursively
-       parse the inner content and attach to the most recent mainline
-       move. */
-    if (ch === "(") {
-      var depth = 1;
-      var k = i + 1;
-      while (k < s.length && depth > 0) {
-        var kc = s[k];
-        if (kc === "(") {
-          depth++; k++;
-        } else if (kc === ")") {
-          depth--; k++;
-        } else if (kc === "{") {
-          k++;
-          while (k < s.length && s[k] !== "}") k++;
-          if (k < s.length) k++;
-        } else {
-          k++;
-        }
-      }
-      /* When depth reached 0, k is one past the matching ')'. When we
-         ran off the end (malformed), treat the rest of the string as
-         the variation body. */
-      var innerEnd = (depth === 0) ? k - 1 : k;
-      var inner = s.slice(i + 1, innerEnd);
-      if (moves.length > 0) {
-        var parsed = parseMovesWithComments(inner);
-        if (parsed.moves.length > 0) {
-          var vidx = moves.length - 1;
-          if (!variations[vidx]) variations[vidx] = [];
-          variations[vidx].push(parsed);
-        }
-      }
-      i = k;
-      continue;
-    }
-
-    if (/\s/.test(ch)) { i++; continue; }
-
-    var rest = s.slice(i);
-
-    /* Result */
-    var rs = rest.match(/^(1-0|0-1|1\/2-1\/2|\*)/);
-    if (rs) { i += rs[0].length; continue; }
-
-    /* Move-number prefix (e.g. "12." or "12...") */
-    var mn = rest.match(/^\d+\.(?:\.\.)?/);
-    if (mn) { i += mn[0].length; continue; }
-
-    /* NAG $n — attach glyph to the most recent move */
-    var nag = rest.match(/^\$\d+/);
-    if (nag) {
-      if (moves.length > 0 && !glyphs[moves.length - 1]) {
-        var nagGlyph = NAG_TO_GLYPH[nag[0]];
-        if (nagGlyph) glyphs[moves.length - 1] = nagGlyph;
-      }
-      i += nag[0].length;
-      continue;
-    }
-
-    /* SAN move (with optional !? suffix) */
-    var mv = rest.match(
-      /^(?:O-O-O|O-O|[KQRBN]?[a-h]?[1-8]?x?[a-h][1-8](?:=[QRBN])?|[a-h][1-8])[+#]?[!?]*/
-    );
-    if (mv) {
-      var suffixMatch = mv[0].match(/[!?]+$/);
-      moves.push(mv[0].replace(/[!?]+$/, ""));
-      comments.push(null);
-      variations.push(null);
-      glyphs.push(suffixMatch ? suffixMatch[0] : null);
-      arrows.push(null);
-      squareMarks.push(null);
-      i += mv[0].length;
-      continue;
-    }
+/* ================================================================
+   CLOCKS ([%clk] / [%emt] / [TimeControl])
+================================================================ */
 
-    i++;
+/* "1:02:03", "0:03:12.4" or "3:12" → seconds, or null when malformed. */
+export function parseClock(raw) {
+  if (raw === undefined || raw === null) return null;
+  var parts = String(raw).trim().split(":");
+  if (parts.length < 2 || parts.length > 3) return null;
+  var seconds = 0;
+  for (var i = 0; i < parts.length; i++) {
+    if (!/^\d+(\.\d+)?$/.test(parts[i])) return null;
+    seconds = seconds * 60 + parseFloat(parts[i]);
   }
+  return seconds;
+}
 
-  return {
-    moves: moves,
-    comments: comments,
-    variations: variations,
-    glyphs: glyphs,
-    arrows: arrows,
-    squareMarks: squareMarks,
-  };
+/* Seconds → "1:02:03" / "3:12", with tenths below ten seconds. */
+export function formatClock(seconds) {
+  if (seconds === undefined || seconds === null || !isFinite(seconds)) return "";
+  var sign = seconds < 0 ? "-" : "";
+  var s = Math.abs(seconds);
+  var h = Math.floor(s / 3600);
+  var m = Math.floor((s % 3600) / 60);
+  var sec = s % 60;
+  var secText = s < 10 && sec % 1 ? sec.toFixed(1) : String(Math.floor(sec));
+  if (sec < 10) secText = "0" + secText;
+  var minText = h ? (m < 10 ? "0" : "") + m : String(m);
+  return sign + (h ? h + ":" : "") + minText + ":" + secText;
+}
+
+/* [TimeControl "180+2"] → { base: 180, increment: 2 }. Multi-period and
+   unknown ("?", "-") controls return null. */
+export function parseTimeControl(raw) {
+  var m = /^\s*(\d+)(?:\+(\d+(?:\.\d+)?))?\s*$/.exec(String(raw || ""));
+  if (!m) return null;
+  return { base: parseInt(m[1], 10), increment: m[2] ? parseFloat(m[2]) : 0 };
 }
 
 /* ================================================================
-   PUZZLE GAME PARSER
+   PACK PROGRESS (localStorage)
 ================================================================ */
 
-var DEFAULT_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+var PACK_STORAGE_PREFIX = "chesspublica:pack:";
 
-export function parseGame(pgn) {
-  var raw = String(pgn || "").replace(/\r/g, "").trim();
-  if (!raw) return { error: true };
-
-  function getHeader(name) {
-    var m = raw.match(new RegExp("\\[" + name + '\\s+"([^"]+)"\\]', "i"));
-    return m ? m[1] : null;
+/* FNV-1a over the string's UTF-16 code units, in base 36. Only used to
+   tell puzzle packs apart, not for anything security-related. */
+export function hashString(text) {
+  var h = 0x811c9dc5;
+  var s = String(text || "");
+  for (var i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
   }
+  return h.toString(36);
+}
 
-  var fen = getHeader("FEN");
-  var firstMoveAuto = String(getHeader("FirstMoveAuto")).toLowerCase() === "true";
-  var orientationHeader = String(getHeader("Orientation")).toLowerCase();
-
-  var orientation = null;
-  if (orientationHeader === "white") orientation = "white";
-  if (orientationHeader === "black") orientation = "black";
-
-  /* Colon format */
-  if (!fen) {
-    var collapsed = raw.replace(/\n/g, " ").replace(/\s+/g, " ").trim();
-    var fenMatch = collapsed.match(/FEN:\s*(.*?)\s+Moves:/i);
-    var movesMatch = collapsed.match(/Moves:\s*(.*)$/i);
-
-    if (fenMatch && movesMatch) {
-      var moves = tokenizeMoves(movesMatch[1]);
-      if (!moves.length) return { error: true };
-      return {
-        fen: fenMatch[1].trim(),
-        moves: moves,
-        comments: new Array(moves.length).fill(null),
-        variations: new Array(moves.length).fill(null),
-        glyphs: new Array(moves.length).fill(null),
-        arrows: new Array(moves.length).fill(null),
-        squareMarks: new Array(moves.length).fill(null),
-        firstMoveAuto: false,
-        orientation: null,
-      };
+/**
+ * Read the saved progress of a puzzle pack: { status: { <index>:
+ * "solved" | "failed" }, current: <index> }. Storage can be disabled
+ * or full (private browsing), so failures just mean "no progress".
+ */
+export function loadPackProgress(key) {
+  try {
+    var saved = JSON.parse(localStorage.getItem(PACK_STORAGE_PREFIX + key));
+    if (saved && typeof saved === "object") {
+      return { status: saved.status || {}, current: saved.current || 0 };
     }
+  } catch (e) {
+    /* fall through */
   }
+  return { status: {}, current: 0 };
+}
 
-  /* Header style */
-  var lines = raw.split("\n");
-  var moveText = lines
-    .filter(function (line) { return !/^\s*\[[^\]]+\]\s*$/.test(line); })
-    .join(" ")
-    .trim();
-  var parsedMoves = parseMovesWithComments(moveText);
-  var moves2 = parsedMoves.moves;
-
-  if (!moves2.length) return { error: true };
-  if (!fen) fen = DEFAULT_FEN;
-
-  return {
-    fen: fen,
-    moves: moves2,
-    comments: parsedMoves.comments,
-    variations: parsedMoves.variations || [],
-    glyphs: parsedMoves.glyphs || [],
-    arrows: parsedMoves.arrows || [],
-    squareMarks: parsedMoves.squareMarks || [],
-    firstMoveAuto: firstMoveAuto,
-    orientation: orientation,
-  };
-}
\ No newline at end of file
+export function savePackProgress(key, progress) {
+  try {
+    localStorage.setItem(PACK_STORAGE_PREFIX + key, JSON.stringify(progress));
+  } catch (e) {
+    /* Progress is a convenience; the pack still works without it. */
+  }
+}
@@ -1,18 +1,25 @@
 /* ChessPublica — Element Initializers */
 
 import {
-  PIECE_THEME,
+  pieceTheme,
+  applyBoardStyle,
   fetchText,
   splitIntoPgnGames,
   toFigurine,
   parseCAL,
   parseCSL,
   formatComment,
+  parseClock,
+  hashString,
+  loadPackProgress,
+  savePackProgress,
 } from "./helpers.js";
 import { lucideIconUrl } from "./icons.js";
-import { renderFullPGN } from "./pgn.js";
-import { renderAnnotations } from "./board.js";
-import { createPuzzle } from "./puzzle.js";
+import { renderFullPGN, numberDiagrams } from "./pgn.js";
+import { renderAnnotations, resolveOrientation, renderSideToMove } from "./board.js";
+import { createChessboard } from "./svg-board.js";
+import { parseHeaders, lichessCsvToPgn, epdToPgn } from "./pgn-parser.js";
+import { createPuzzle, renderPuzzleRush } from "./puzzle.js";
 
 /* ── Error helper ─────────────────────────────────────────── */
 
@@ -32,19 +39,33 @@ function showError(wrapper, message) {
 
 /* ── Header parsing ───────────────────────────────────────── */
 
+/* One tag's value, read by the shared header parser so escaped quotes
+   ([Caption "He said \"mate\""]) come back whole. */
 function parseHeader(text, name) {
-  var m = text.match(new RegExp("\\[" + name + '\\s+"([^"]*)"\\]', "i"));
-  return m ? m[1] : null;
+  var value = parseHeaders(text)[name];
+  return value === undefined ? null : value;
 }
 
 function isBracketHeaderForm(text) {
   return /\[\s*\w+\s+"[^"]*"\s*\]/.test(text);
 }
 
+/* ── Diagram options ──────────────────────────────────────── */
+
+/* to-move marks the side to move; coordinates="off" hides the a–h /
+   1–8 labels. Shared by <pgn> and <fen>. */
+function readDiagramOptions(el) {
+  return {
+    coordinates: (el.getAttribute("coordinates") || "").toLowerCase() !== "off",
+    toMove: el.hasAttribute("to-move"),
+  };
+}
+
 /* ── <pgn> ────────────────────────────────────────────────── */
 
 function initCustomElements(selector, wrapperClass, renderFn, opts) {
   var preserveInlineHTML = !!(opts && opts.preserveInlineHTML);
+  var readOptions = (opts && opts.readOptions) || function () { return undefined; };
 
   document.querySelectorAll(selector).forEach(function (el) {
     if (el.dataset.cpRendered === "1") return;
@@ -60,15 +81,17 @@ function initCustomElements(selector, wrapperClass, renderFn, opts) {
 
     var wrapper = document.createElement("div");
     wrapper.className = wrapperClass;
+    applyBoardStyle(el, wrapper);
     el.replaceWith(wrapper);
 
     var src = el.getAttribute("src");
+    var renderOptions = readOptions(el);
 
     if (src) {
       fetchText(src)
         .then(function (text) {
           try {
-            renderFn(text, wrapper);
+            renderFn(text, wrapper, renderOptions);
           } catch (e) {
             showError(wrapper, "failed to render <" + selector + "> from " + src + ": " + e.message);
           }
@@ -83,7 +106,7 @@ function initCustomElements(selector, wrapperClass, renderFn, opts) {
         return;
       }
       try {
-        renderFn(text, wrapper);
+        renderFn(text, wrapper, renderOptions);
       } catch (e) {
         showError(wrapper, "failed to render <" + selector + ">: " + e.message);
       }
@@ -92,8 +115,39 @@ function initCustomElements(selector, wrapperClass, renderFn, opts) {
 }
 
 export function initPgnElements() {
-  initCustomElements("pgn", "pgn-container game-card", renderFullPGN, {
+  /* Diagram numbers run across the page, so every render renumbers. */
+  var render = function (text, wrapper, options) {
+    renderFullPGN(text, wrapper, options);
+    numberDiagrams();
+  };
+  initCustomElements("pgn", "pgn-container game-card", render, {
     preserveInlineHTML: true,
+    /* <pgn clocks> shows the time spent next to each move; <pgn captions>
+       numbers and captions its diagrams. */
+    readOptions: function (el) {
+      var options = readDiagramOptions(el);
+      options.clocks = el.hasAttribute("clocks");
+      options.captions = el.hasAttribute("captions");
+      /* orientation="black" | "auto" for every diagram; [D black]
+         overrides it for one. */
+      options.orientation = (el.getAttribute("orientation") || "").toLowerCase();
+      return options;
+    },
+  });
+}
+
+/* ── Prerendered boards ───────────────────────────────────── */
+
+/* Containers that `node build.js render` already drew carry
+   data-cp-prerendered: adopt their boards as they are, without
+   redrawing, so they behave like boards drawn on the page. */
+export function initPrerendered() {
+  document.querySelectorAll("[data-cp-prerendered] .cp-board").forEach(function (boardDiv) {
+    if (boardDiv.__board) return;
+    boardDiv.__board = createChessboard(boardDiv, {
+      hydrate: true,
+      pieceTheme: pieceTheme(boardDiv),
+    });
   });
 }
 
@@ -125,6 +179,7 @@ export function initFenElements() {
     var raw = el.innerHTML.trim();
     var wrapper = document.createElement("div");
     wrapper.className = "fen-container";
+    applyBoardStyle(el, wrapper);
     el.replaceWith(wrapper);
 
     if (!raw) {
@@ -157,10 +212,12 @@ export function initFenElements() {
       return;
     }
 
-    if (orientation && orientation !== "white" && orientation !== "black") {
-      showError(wrapper, 'invalid Orientation "' + orientation + '" — must be "white" or "black".');
+    if (orientation && orientation !== "white" && orientation !== "black" && orientation !== "auto") {
+      showError(wrapper, 'invalid Orientation "' + orientation + '" — must be "white", "black" or "auto".');
       return;
     }
+    orientation = resolveOrientation(orientation, fenStr);
+    var diagramOptions = readDiagramOptions(el);
 
     /* Parse [%csl ...] and [%cal ...] annotations from anywhere in the
        raw element content. Both bracket-header and raw-FEN forms are
@@ -184,43 +241,20 @@ export function initFenElements() {
       wrapper.appendChild(cap);
     }
 
-    requestAnimationFrame(function () {
-      try {
-        var widget = Chessboard(boardDiv, {
-          position: fenStr,
-          orientation: orientation || "white",
-          pieceTheme: PIECE_THEME,
-        });
-        var annotations = (squareMarks.length || arrows.length)
-          ? { squareMarks: squareMarks, arrows: arrows }
-          : null;
-        if (annotations) {
-          renderAnnotations(boardDiv, annotations);
-        }
-
-        /* Keep the board (and its annotation overlay) in sync with the
-           container width. chessboard.js sizes its inner .board-b72b1
-           in fixed pixels at init, so when the viewport resizes the
-           outer .cp-board scales via CSS max-width but the inner squares
-           stay put — leaving any circles/arrows misaligned. Observing
-           .cp-board lets us re-run widget.resize() and re-draw the
-           annotations on top of the freshly-laid-out squares. */
-        if (typeof ResizeObserver !== "undefined" && widget && typeof widget.resize === "function") {
-          var pendingFrame = null;
-          var ro = new ResizeObserver(function () {
-            if (pendingFrame) return;
-            pendingFrame = requestAnimationFrame(function () {
-              pendingFrame = null;
-              widget.resize();
-              if (annotations) renderAnnotations(boardDiv, annotations);
-            });
-          });
-          ro.observe(boardDiv);
-        }
-      } catch (e) {
-        showError(wrapper, "failed to render board: " + e.message);
+    try {
+      boardDiv.__board = createChessboard(boardDiv, {
+        position: fenStr,
+        orientation: orientation,
+        coordinates: diagramOptions.coordinates,
+        pieceTheme: pieceTheme(boardDiv),
+      });
+      if (diagramOptions.toMove) renderSideToMove(boardDiv, fenStr, orientation);
+      if (squareMarks.length || arrows.length) {
+        renderAnnotations(boardDiv, { squareMarks: squareMarks, arrows: arrows });
       }
-    });
+    } catch (e) {
+      showError(wrapper, "failed to render board: " + e.message);
+    }
   });
 }
 
@@ -232,22 +266,29 @@ function renderPuzzleHeader(wrapper, raw, packInfo) {
   var event = parseHeader(raw, "Event");
   var date = parseHeader(raw, "Date");
   var caption = parseHeader(raw, "Caption");
+  var rating = parseHeader(raw, "Rating");
+  var themes = parseThemes(raw);
 
   var line1 = "";
   var line2 = "";
 
+  /* Rating and themes (Lichess puzzles) follow the event line. */
+  var extras = [];
+  if (rating) extras.push("Rating " + rating);
+  if (themes.length) extras.push(themes.join(", "));
+
   if (packInfo) {
     line1 = "Puzzle " + packInfo.index + " / " + packInfo.total;
     var packParts = [];
     if (event) packParts.push(event);
     if (date) packParts.push(date);
-    line2 = packParts.join(", ");
+    line2 = [packParts.join(", ")].concat(extras).filter(Boolean).join(" · ");
   } else {
     if (white || black) line1 = (white || "?") + " — " + (black || "?");
     var parts = [];
     if (event) parts.push(event);
     if (date) parts.push(date);
-    line2 = parts.join(", ");
+    line2 = [parts.join(", ")].concat(extras).filter(Boolean).join(" · ");
     if (!line1 && line2) {
       line1 = line2;
       line2 = "";
@@ -286,13 +327,66 @@ function renderPuzzleHeader(wrapper, raw, packInfo) {
   return caption;
 }
 
-function renderPuzzleFromText(raw, wrapper) {
+/* [Themes "fork middlegame short"] → ["fork", "middlegame", "short"]. */
+function parseThemes(text) {
+  return (parseHeader(text, "Themes") || "").split(/[\s,]+/).filter(Boolean);
+}
+
+/* rating="1500-1900" (either end may be left open: "1500-", "-1900")
+   and themes="fork pin" (any of them) keep only the matching puzzles. */
+function filterPuzzles(games, options) {
+  var range = /^\s*(\d*)\s*-\s*(\d*)\s*$/.exec(options.rating || "");
+  var min = range && range[1] ? parseInt(range[1], 10) : -Infinity;
+  var max = range && range[2] ? parseInt(range[2], 10) : Infinity;
+  var wanted = (options.themes || "").toLowerCase().split(/[\s,]+/).filter(Boolean);
+
+  return games.filter(function (game) {
+    if (range) {
+      var rating = parseInt(parseHeader(game, "Rating"), 10);
+      if (!(rating >= min && rating <= max)) return false;
+    }
+    if (wanted.length) {
+      var themes = parseThemes(game).map(function (t) { return t.toLowerCase(); });
+      if (!wanted.some(function (t) { return themes.indexOf(t) !== -1; })) return false;
+    }
+    return true;
+  });
+}
+
+function renderPuzzleFromText(raw, wrapper, options) {
+  options = options || {};
   if (!raw || !raw.trim()) {
     showError(wrapper, "<puzzle> is empty (no inline content and no src attribute).");
     return;
   }
 
-  var games = splitIntoPgnGames(raw);
+  var games;
+  if (options.format === "lichess-csv") games = lichessCsvToPgn(raw);
+  else if (options.format === "epd") games = epdToPgn(raw);
+  else games = splitIntoPgnGames(raw);
+  if (options.rating || options.themes) games = filterPuzzles(games, options);
+  if (!games.length) {
+    showError(wrapper, "<puzzle> has no puzzles" +
+      (options.rating || options.themes ? " matching the rating/themes filter." : "."));
+    return;
+  }
+
+  if (options.mode === "rush") {
+    try {
+      renderPuzzleRush(wrapper, games, { seconds: options.seconds });
+    } catch (e) {
+      showError(wrapper, 'failed to render <puzzle mode="rush">: ' + e.message);
+    }
+    return;
+  }
+
+  /* mode="pack" shows a pack one puzzle at a time; otherwise every
+     puzzle of the pack is stacked on the page. */
+  if (games.length > 1 && options.mode === "pack") {
+    renderPuzzlePack(games, wrapper);
+    return;
+  }
+
   if (games.length > 1) {
     games.forEach(function (game, i) {
       var sub = document.createElement("div");
@@ -304,10 +398,149 @@ function renderPuzzleFromText(raw, wrapper) {
     return;
   }
 
-  renderSinglePuzzle(raw, wrapper);
+  renderSinglePuzzle(games[0], wrapper);
+}
+
+function packButton(icon, label) {
+  var btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "cp-pack-btn";
+  btn.title = label;
+  btn.setAttribute("aria-label", label);
+  var span = document.createElement("span");
+  span.className = "lucide-icon";
+  span.style.setProperty("--icon", lucideIconUrl(icon));
+  btn.appendChild(span);
+  return btn;
 }
 
-function renderSinglePuzzle(raw, wrapper, packInfo) {
+/* A pack shows one puzzle at a time. Solved/failed marks and the last
+   puzzle viewed are kept in localStorage under a hash of the pack's
+   text (after any rating/themes filter), so editing the pack starts its
+   progress afresh. */
+function renderPuzzlePack(games, wrapper) {
+  var total = games.length;
+  var key = hashString(games.join("\n\n"));
+  var progress = loadPackProgress(key);
+  var current = Math.min(Math.max(0, parseInt(progress.current, 10) || 0), total - 1);
+
+  var nav = document.createElement("div");
+  nav.className = "cp-pack-nav";
+
+  var prevBtn = packButton("chevron-left", "Previous puzzle");
+  var nextBtn = packButton("chevron-right", "Next puzzle");
+  var randomBtn = packButton("shuffle", "Random unsolved puzzle");
+
+  var jump = document.createElement("label");
+  jump.className = "cp-pack-jump";
+  jump.appendChild(document.createTextNode("Puzzle "));
+  var jumpInput = document.createElement("input");
+  jumpInput.type = "number";
+  jumpInput.min = "1";
+  jumpInput.max = String(total);
+  jumpInput.setAttribute("aria-label", "Go to puzzle number");
+  jump.appendChild(jumpInput);
+  jump.appendChild(document.createTextNode(" / " + total));
+
+  var summary = document.createElement("span");
+  summary.className = "cp-pack-summary";
+
+  nav.appendChild(prevBtn);
+  nav.appendChild(jump);
+  nav.appendChild(nextBtn);
+  nav.appendChild(randomBtn);
+  nav.appendChild(summary);
+  wrapper.appendChild(nav);
+
+  /* One cell per puzzle, coloured solved / failed / unseen. */
+  var strip = document.createElement("div");
+  strip.className = "cp-pack-progress";
+  var cells = games.map(function (game, i) {
+    var cell = document.createElement("span");
+    cell.className = "cp-pack-cell";
+    cell.title = "Puzzle " + (i + 1);
+    cell.addEventListener("click", function () { show(i); });
+    strip.appendChild(cell);
+    return cell;
+  });
+  wrapper.appendChild(strip);
+
+  var slot = document.createElement("div");
+  slot.className = "cp-pack-slot";
+  wrapper.appendChild(slot);
+
+  function save() {
+    savePackProgress(key, progress);
+  }
+
+  /* A solve is final; a wrong move only marks puzzles not yet solved. */
+  function mark(index, status) {
+    if (progress.status[index] === "solved") return;
+    progress.status[index] = status;
+    save();
+    refresh();
+  }
+
+  function unsolved() {
+    var out = [];
+    for (var i = 0; i < total; i++) {
+      if (progress.status[i] !== "solved") out.push(i);
+    }
+    return out;
+  }
+
+  function refresh() {
+    var solved = 0;
+    cells.forEach(function (cell, i) {
+      var status = progress.status[i];
+      if (status === "solved") solved++;
+      cell.classList.toggle("solved", status === "solved");
+      cell.classList.toggle("failed", status === "failed");
+      cell.classList.toggle("current", i === current);
+    });
+    prevBtn.disabled = current === 0;
+    nextBtn.disabled = current === total - 1;
+    randomBtn.disabled = !unsolved().some(function (i) { return i !== current; });
+    jumpInput.value = String(current + 1);
+    summary.textContent = solved + " solved";
+  }
+
+  function show(index) {
+    current = index;
+    progress.current = index;
+    save();
+    slot.innerHTML = "";
+    renderSinglePuzzle(games[index], slot, { index: index + 1, total: total }, {
+      /* A solve that needed a hint or the shown solution counts as a miss. */
+      onSolved: function (result) {
+        mark(index, result && result.assisted ? "failed" : "solved");
+      },
+      onFailed: function () { mark(index, "failed"); },
+    });
+    refresh();
+  }
+
+  prevBtn.addEventListener("click", function () {
+    if (current > 0) show(current - 1);
+  });
+  nextBtn.addEventListener("click", function () {
+    if (current < total - 1) show(current + 1);
+  });
+  randomBtn.addEventListener("click", function () {
+    var pool = unsolved().filter(function (i) { return i !== current; });
+    if (pool.length) show(pool[Math.floor(Math.random() * pool.length)]);
+  });
+  jumpInput.addEventListener("change", function () {
+    var n = parseInt(jumpInput.value, 10);
+    if (n >= 1 && n <= total) show(n - 1);
+    else jumpInput.value = String(current + 1);
+  });
+
+  show(current);
+}
+
+function renderSinglePuzzle(raw, wrapper, packInfo, callbacks) {
+  callbacks = callbacks || {};
   var caption = renderPuzzleHeader(wrapper, raw, packInfo);
 
   var boardHost = document.createElement("div");
@@ -327,6 +560,8 @@ function renderSinglePuzzle(raw, wrapper, packInfo) {
       rawPGN: raw,
       captionEl: cap,
       initialCaption: caption || "",
+      onSolved: callbacks.onSolved,
+      onFailed: callbacks.onFailed,
     });
     if (boardHost.innerHTML === before) {
       showError(wrapper, "could not parse <puzzle>: missing FEN or moves.");
@@ -336,6 +571,13 @@ function renderSinglePuzzle(raw, wrapper, packInfo) {
   }
 }
 
+/* time="180" (seconds) or time="3:00". */
+function parseRushTime(value) {
+  if (!value) return null;
+  if (/^\s*\d+\s*$/.test(value)) return parseInt(value, 10);
+  return parseClock(value);
+}
+
 export function initPuzzleElements() {
   document.querySelectorAll("puzzle").forEach(function (oldEl) {
     if (oldEl.dataset.cpRendered === "1") return;
@@ -343,12 +585,30 @@ export function initPuzzleElements() {
 
     var wrapper = document.createElement("div");
     wrapper.className = "cp-puzzle";
+    applyBoardStyle(oldEl, wrapper);
     oldEl.replaceWith(wrapper);
 
+    /* <puzzle mode="pack"> shows a pack one puzzle at a time and
+       <puzzle mode="rush" time="3:00"> plays it against the clock.
+       A src ending in .csv is read as the Lichess puzzle database
+       format and one ending in .epd as an EPD test suite; inline
+       content says so with format="lichess-csv" / format="epd". */
     var src = oldEl.getAttribute("src");
+    var format = (oldEl.getAttribute("format") || "").toLowerCase();
+    if (!format && src && /\.csv(?:[?#]|$)/i.test(src)) format = "lichess-csv";
+    if (!format && src && /\.epd(?:[?#]|$)/i.test(src)) format = "epd";
+
+    var options = {
+      mode: (oldEl.getAttribute("mode") || "").toLowerCase(),
+      seconds: parseRushTime(oldEl.getAttribute("time")),
+      format: format,
+      rating: oldEl.getAttribute("rating") || "",
+      themes: oldEl.getAttribute("themes") || "",
+    };
+
     if (src) {
       fetchText(src)
-        .then(function (text) { renderPuzzleFromText(text, wrapper); })
+        .then(function (text) { renderPuzzleFromText(text, wrapper, options); })
         .catch(function (e) {
           showError(wrapper, "failed to load puzzle from " + src + ": " + e.message);
         });
@@ -357,7 +617,7 @@ export function initPuzzleElements() {
          put inside comments — <br>, <strong>, Kramdown-produced
          <em>…</em> — survives into the tokenizer and can be rendered
          by the sanitizing formatComment() helper. */
-      renderPuzzleFromText(oldEl.innerHTML, wrapper);
+      renderPuzzleFromText(oldEl.innerHTML, wrapper, options);
     }
   });
 }
@@ -399,6 +659,7 @@ export function initFigurineProse() {
 }
 
 export function initAll() {
+  initPrerendered();
   initPgnElements();
   initFenElements();
   initPuzzleElements();
@@ -0,0 +1,883 @@
+/**
+ * ChessPublica — PGN Parser
+ *
+ * The one PGN reader shared by <pgn>, <pgn-player> and <puzzle>.
+ *
+ * Sections:
+ *   1. Header Parser    — parseHeaders()
+ *   2. Tokenizer        — parsePGN()
+ *   3. Game Tree Builder — parsePGNGame()
+ *   4. Puzzle Game Parser — parseGame()
+ *   5. Lichess Puzzle CSV — lichessCsvToPgn()
+ *   6. EPD Test Suites    — epdToPgn()
+ *
+ * parsePGNGame() returns
+ *
+ *   {
+ *     headers:  { White: "…", … },
+ *     startFen: FEN of the initial position ([FEN] header or the standard start),
+ *     root:     virtual node for the initial position ({ fen, ply: 0, next, preComments }),
+ *     mainline: [node, …]   (convenience array: root.next, root.next.next, …),
+ *     result:   "1-0" | "0-1" | "1/2-1/2" | "*" | null
+ *   }
+ *
+ * and every move node looks like
+ *
+ *   {
+ *     san, from, to, color, fen, ply, moveNumber,
+ *     parent,       node the move was played from (root for the first move)
+ *     next,         following move in the same line, or null
+ *     variations,   [firstNode, …] — alternatives to THIS move
+ *     nags,         ["!", "$14", …] in PGN order
+ *     comment,      cleaned comment text (all post-move comments joined), or null
+ *     rawComments,  each post-move brace comment as written, [%…] and [D] included,
+ *                   minus inline PGN variations (those become variations)
+ *     preComments,  comments written before the first move of a line (first nodes only)
+ *     parts,        [{ type: "diagram", orientation?, anchor?, caption? } | { type: "text", value }]
+ *                   in PGN order; caption is the comment text after the [D]
+ *     arrows,       [{ color, from, to }]   from [%cal …]
+ *     squareMarks,  [{ color, square }]     from [%csl …]
+ *     commands,     { eval: "0.17", clk: "0:03:12", … } — other [%cmd …] annotations
+ *   }
+ */
+
+import {
+  stripCommentAnnotations,
+  DIAGRAM_MARKER,
+  parseCSL,
+  parseCAL,
+  nagsToGlyph,
+  tokenizeMoves,
+  normalizeSAN,
+} from "./helpers.js";
+
+export var DEFAULT_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+
+/* ================================================================
+   1. HEADER PARSER
+================================================================ */
+
+/* A single tag pair at the very start of the remaining text. Values
+   may contain backslash-escaped quotes (Lichess escapes them in event
+   and player names). */
+var RE_TAG_PAIR = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]/;
+
+/**
+ * Split a PGN game into its tag-pair section and its movetext.
+ * Only the leading run of [Name "Value"] pairs counts as headers, so
+ * bracketed text inside comments is never mistaken for a tag.
+ *
+ * @returns {{ headers: Object, movetext: string, offset: number }}
+ *          offset is the index of movetext inside the input string
+ */
+function splitHeaders(text) {
+  var headers = {};
+  var offset = 0;
+  var m;
+  while ((m = RE_TAG_PAIR.exec(text.slice(offset)))) {
+    headers[m[1]] = m[2].replace(/\\(["\\])/g, "$1");
+    offset += m[0].length;
+  }
+  return { headers: headers, movetext: text.slice(offset), offset: offset };
+}
+
+export function parseHeaders(pgnText) {
+  return splitHeaders(String(pgnText || "").replace(/\r/g, "")).headers;
+}
+
+/* ================================================================
+   2. PGN TOKENIZER
+================================================================ */
+
+var RE_RESULT = /^(1-0|0-1|1\/2-1\/2|\*)/;
+var RE_MOVE_NUMBER = /^\d+\.*/;
+var RE_NAG = /^\$\d+/;
+var RE_SUFFIX_NAG = /^(!!|\?\?|!\?|\?!|!|\?)/;
+
+/* SAN plus the sloppy forms chess.js accepts: long algebraic (e2-e4,
+   Ng1f3), digit castling (0-0) and promotions without "=" (e8Q). */
+var RE_MOVE = /^(?:O-O-O|O-O|0-0-0|0-0|[KQRBN]?[a-h]?[1-8]?[x-]?[a-h][1-8](?:=?[QRBN])?)[+#]?/;
+
+/**
+ * Tokenize PGN movetext into a nested token list:
+ *   { type: "move" | "nag" | "comment" | "moveNumber" | "result", value, index }
+ *   { type: "variation", value: [tokens…], index }
+ * `index` is the token's offset in the input string.
+ */
+export function parsePGN(pgnText) {
+  var split = splitHeaders(String(pgnText || "").replace(/\r/g, ""));
+  return tokenize(split.movetext, split.offset);
+}
+
+function tokenize(text, baseOffset) {
+  var pos = 0;
+
+  function readSequence(insideVariation) {
+    var tokens = [];
+
+    while (pos < text.length) {
+      var ch = text[pos];
+
+      /* COMMENT — depth-counted so a stray "{" inside a comment does
+         not swallow the rest of the game. */
+      if (ch === "{") {
+        var depth = 1;
+        var j = pos + 1;
+        while (depth > 0 && j < text.length) {
+          if (text[j] === "{") depth++;
+          else if (text[j] === "}") depth--;
+          j++;
+        }
+        var end = depth === 0 ? j - 1 : j;
+        tokens.push({ type: "comment", value: text.slice(pos + 1, end).trim(), index: baseOffset + pos });
+        pos = j;
+        continue;
+      }
+
+      /* Line comment (";" to end-of-line). Require a leading boundary
+         so the ";" that terminates an HTML entity (&lt; &amp; …) in
+         innerHTML-sourced text is not taken for a comment. */
+      if (ch === ";" && (pos === 0 || /\s/.test(text[pos - 1]))) {
+        while (pos < text.length && text[pos] !== "\n") pos++;
+        continue;
+      }
+
+      /* "%" escape line — ignored per the PGN spec. */
+      if (ch === "%" && (pos === 0 || text[pos - 1] === "\n")) {
+        while (pos < text.length && text[pos] !== "\n") pos++;
+        continue;
+      }
+
+      /* VARIATION — recurse until the matching ")". */
+      if (ch === "(") {
+        var start = pos;
+        pos++;
+        tokens.push({ type: "variation", value: readSequence(true), index: baseOffset + start });
+        continue;
+      }
+
+      if (ch === ")") {
+        pos++;
+        if (insideVariation) return tokens;
+        continue; // stray ")" at the top level
+      }
+
+      if (/\s/.test(ch)) {
+        pos++;
+        continue;
+      }
+
+      var rest = text.slice(pos);
+      var at = baseOffset + pos;
+
+      var nagMatch = rest.match(RE_NAG);
+      if (nagMatch) {
+        tokens.push({ type: "nag", value: nagMatch[0], index: at });
+        pos += nagMatch[0].length;
+        continue;
+      }
+
+      var suffixNagMatch = rest.match(RE_SUFFIX_NAG);
+      if (suffixNagMatch) {
+        tokens.push({ type: "nag", value: suffixNagMatch[0], index: at });
+        pos += suffixNagMatch[0].length;
+        continue;
+      }
+
+      /* RESULT — checked before moves and move numbers, because "1-0"
+         starts with a digit and "0-1" looks like the start of "0-0". */
+      var resultMatch = rest.match(RE_RESULT);
+      if (resultMatch) {
+        tokens.push({ type: "result", value: resultMatch[0], index: at });
+        pos += resultMatch[0].length;
+        continue;
+      }
+
+      var moveMatch = rest.match(RE_MOVE);
+      if (moveMatch) {
+        tokens.push({ type: "move", value: moveMatch[0], index: at });
+        pos += moveMatch[0].length;
+        continue;
+      }
+
+      var moveNumberMatch = rest.match(RE_MOVE_NUMBER);
+      if (moveNumberMatch) {
+        tokens.push({ type: "moveNumber", value: moveNumberMatch[0], index: at });
+        pos += moveNumberMatch[0].length;
+        continue;
+      }
+
+      pos++;
+    }
+
+    return tokens;
+  }
+
+  return readSequence(false);
+}
+
+/* ================================================================
+   3. GAME TREE BUILDER
+================================================================ */
+
+/**
+ * Parse one PGN game into a full game tree (see the module header for
+ * the returned shape). Throws an Error carrying `pgnIndex` (offset into
+ * pgnText) when a move is illegal or the [FEN] header is invalid.
+ */
+export function parsePGNGame(pgnText) {
+  var text = String(pgnText || "").replace(/\r/g, "");
+  var split = splitHeaders(text);
+  var headers = split.headers;
+
+  /* [SetUp "0"] explicitly means the standard start, whatever [FEN] says. */
+  var startFen = (headers.SetUp !== "0" && (headers.FEN || "").trim()) || DEFAULT_FEN;
+  var chess = new Chess();
+  if (startFen !== DEFAULT_FEN) {
+    var valid = chess.validate_fen(startFen);
+    if (!valid.valid) {
+      var fenError = new Error("Invalid FEN: " + startFen + "\n" + valid.error);
+      fenError.pgnIndex = text.indexOf(startFen);
+      throw fenError;
+    }
+    chess.load(startFen);
+  }
+
+  var root = {
+    san: null,
+    fen: chess.fen(),
+    ply: 0,
+    parent: null,
+    next: null,
+    variations: [],
+  };
+
+  var tokens = tokenize(split.movetext, split.offset);
+  var line = parseLine(tokens, chess, root);
+  root.next = line.head;
+  if (!line.head && line.preComments.length) root.preComments = line.preComments;
+
+  var mainline = [];
+  for (var node = root.next; node; node = node.next) mainline.push(node);
+
+  return {
+    headers: headers,
+    startFen: root.fen,
+    root: root,
+    mainline: mainline,
+    result: line.result || headers.Result || null,
+  };
+}
+
+function getMoveNumber(fen) {
+  return parseInt(fen.split(" ")[5], 10) || 1;
+}
+
+function createNode(move, chess, parent) {
+  var fen = chess.fen();
+  var fenMoveNum = getMoveNumber(fen);
+  return {
+    san: move.san,
+    from: move.from,
+    to: move.to,
+    color: move.color,
+    fen: fen,
+    ply: parent.ply + 1,
+    moveNumber: move.color === "w" ? fenMoveNum : fenMoveNum - 1,
+    parent: parent,
+    next: null,
+    variations: [],
+    nags: [],
+    comment: null,
+    rawComments: [],
+    parts: [],
+    arrows: [],
+    squareMarks: [],
+    commands: {},
+  };
+}
+
+/**
+ * Play a token list onto `chess`, starting from `from` (the node whose
+ * position the line is played from). The first new node is returned as
+ * `head`; it is NOT linked as from.next, so the same routine serves the
+ * main line and every variation.
+ *
+ * @returns {{ head: ?Object, result: ?string, preComments: string[] }}
+ */
+function parseLine(tokens, chess, from) {
+  var head = null;
+  var current = from;
+  var preComments = [];
+  var result = null;
+
+  for (var i = 0; i < tokens.length; i++) {
+    var token = tokens[i];
+
+    if (token.type === "moveNumber") continue;
+
+    if (token.type === "result") {
+      result = token.value;
+      continue;
+    }
+
+    if (token.type === "move") {
+      var move = chess.move(token.value.replace(/0/g, "O"), { sloppy: true });
+      if (!move) {
+        var error = new Error(
+          "Invalid move: " + token.value + "\nMove number: " + getMoveNumber(chess.fen()),
+        );
+        error.pgnIndex = token.index;
+        throw error;
+      }
+
+      var node = createNode(move, chess, current);
+      if (current === from) {
+        head = node;
+      } else {
+        current.next = node;
+        adoptContinuations(current, node);
+      }
+      current = node;
+      continue;
+    }
+
+    if (token.type === "nag") {
+      if (current !== from) current.nags.push(token.value);
+      continue;
+    }
+
+    if (token.type === "comment") {
+      if (current !== from) {
+        applyComment(token.value, current);
+      } else {
+        var cleaned = stripCommentAnnotations(token.value);
+        if (cleaned) preComments.push(cleaned);
+      }
+      continue;
+    }
+
+    if (token.type === "variation") {
+      if (current !== from) attachVariation(token.value, current);
+      continue;
+    }
+  }
+
+  /* A continuation with no move after it to stand beside is the line's
+     only way on, so it carries the line. */
+  var leftover = current !== from && continuations.get(current);
+  if (leftover) {
+    continuations.delete(current);
+    current.next = leftover[0];
+    leftover[0].variations = leftover[0].variations.concat(leftover.slice(1));
+  }
+
+  if (head && preComments.length) head.preComments = preComments;
+  return { head: head, result: result, preComments: preComments };
+}
+
+/* ── Variation branching ─────────────────────────────────── */
+
+/* Lines that continue from a node whose next move hasn't been parsed
+   yet, keyed by that node; parseLine() hands them to the next move as
+   its alternatives. */
+var continuations = new WeakMap();
+
+function adoptContinuations(node, next) {
+  var lines = continuations.get(node);
+  if (!lines) return;
+  continuations.delete(node);
+  next.variations = lines.concat(next.variations);
+}
+
+/* Read the move number that opens a variation ("12." → white's 12th,
+   "12..." → black's 12th). Returns null for unnumbered variations. */
+function variationHint(tokens) {
+  for (var k = 0; k < tokens.length; k++) {
+    var t = tokens[k];
+    if (t.type === "move") return null;
+    if (t.type === "moveNumber") {
+      return {
+        moveNumber: parseInt(t.value, 10),
+        color: /\.\.\./.test(t.value) ? "b" : "w",
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Work out where a variation branches from and hang it off the move
+ * it replaces. In order of preference:
+ *   1. the move its opening number names, searching back from `current`
+ *      — so "1. Re2! e4 (1. Re1? …)" is an alternative to 1. Re2;
+ *   2. `current` itself, the standard PGN reading;
+ *   3. a continuation after `current`, for legacy PGNs that write a
+ *      variation one move early — an alternative to the move after
+ *      `current`, attached once that move is parsed.
+ * The first candidate whose moves are legal wins; when none are, the
+ * error from the first candidate is rethrown.
+ */
+function attachVariation(tokens, current) {
+  var hint = variationHint(tokens);
+  var candidates = [];
+
+  if (hint) {
+    for (var n = current; n && n.san; n = n.parent) {
+      if (n.moveNumber === hint.moveNumber && n.color === hint.color) {
+        candidates.push({ replaces: n });
+        break;
+      }
+    }
+    var nextColor = current.color === "w" ? "b" : "w";
+    var nextNumber = current.color === "b" ? current.moveNumber + 1 : current.moveNumber;
+    if (hint.color === nextColor && hint.moveNumber === nextNumber) {
+      candidates.push({ continues: current });
+    }
+  }
+  candidates.push({ replaces: current });
+  if (!hint) candidates.push({ continues: current });
+
+  var firstError = null;
+  for (var c = 0; c < candidates.length; c++) {
+    var cand = candidates[c];
+    var from = cand.replaces ? cand.replaces.parent : cand.continues;
+
+    var line;
+    try {
+      line = parseLine(tokens, new Chess(from.fen), from);
+    } catch (e) {
+      if (!firstError) firstError = e;
+      continue;
+    }
+
+    if (!line.head) return;
+    if (cand.replaces) {
+      cand.replaces.variations.push(line.head);
+    } else if (current.next) {
+      current.next.variations.push(line.head);
+    } else {
+      continuations.set(current, (continuations.get(current) || []).concat(line.head));
+    }
+    return;
+  }
+
+  throw firstError;
+}
+
+/* ── Comment processor ──────────────────────────────────── */
+
+var RE_CSL = /\[%csl\s+([^\]]+)\]/g;
+var RE_CAL = /\[%cal\s+([^\]]+)\]/g;
+var RE_COMMAND = /\[%(\w+)\s+([^\]]*)\]/g;
+
+/* Inline PGN variations embedded inside a brace comment, identified by
+   starting with a move number: "(1. Re1? e4 2. Ke7)".
+   Plain-prose parentheticals like "(Grob's Attack)" do NOT start with
+   digits and are left untouched. */
+var RE_INLINE_PGN_VAR = /\(\s*\d+\.+[^()]*\)/g;
+
+function applyComment(commentText, node) {
+
+  /* ── Inline PGN variations written inside the comment ──
+     Collected up front: attaching one re-enters applyComment() for its
+     own [D] marker, which would reset a shared exec() loop. */
+  var inlineVariations = commentText.match(RE_INLINE_PGN_VAR) || [];
+  for (var iv = 0; iv < inlineVariations.length; iv++) {
+    var inner = inlineVariations[iv].slice(1, -1).trim();
+    var diagram = DIAGRAM_MARKER.exec(inner);
+    var variationTokens = tokenize(inner.replace(new RegExp(DIAGRAM_MARKER.source, "g"), ""), 0);
+    if (diagram) variationTokens.push({ type: "comment", value: diagram[0], index: 0 });
+    try {
+      attachVariation(variationTokens, node);
+    } catch (_e) {
+      // Silently skip invalid inline variations — they are prose.
+    }
+  }
+
+  /* The comment as written, for pgn-writer.js to give back verbatim. */
+  var raw = commentText.replace(RE_INLINE_PGN_VAR, "").replace(/\s+/g, " ").trim();
+  if (raw) node.rawComments.push(raw);
+
+  /* ── Square marks, arrows and other [%cmd …] annotations ── */
+  var m;
+  RE_CSL.lastIndex = 0;
+  while ((m = RE_CSL.exec(commentText))) {
+    node.squareMarks = node.squareMarks.concat(parseCSL(m[1]));
+  }
+  RE_CAL.lastIndex = 0;
+  while ((m = RE_CAL.exec(commentText))) {
+    node.arrows = node.arrows.concat(parseCAL(m[1]));
+  }
+  RE_COMMAND.lastIndex = 0;
+  while ((m = RE_COMMAND.exec(commentText))) {
+    if (m[1] !== "csl" && m[1] !== "cal") node.commands[m[1]] = m[2].trim();
+  }
+
+  /* ── Text and diagram markers, in PGN order ──
+     Text before a [D] marker stays a text part; the text after it, up
+     to the closing brace, becomes the diagram's caption. */
+  var prose = commentText.replace(RE_INLINE_PGN_VAR, "");
+  var diagramMatch = DIAGRAM_MARKER.exec(prose);
+  if (diagramMatch) {
+    var before = stripCommentAnnotations(prose.slice(0, diagramMatch.index));
+    var caption = stripCommentAnnotations(prose.slice(diagramMatch.index + diagramMatch[0].length));
+    if (before) node.parts.push({ type: "text", value: before });
+    var part = { type: "diagram" };
+    if (diagramMatch[1]) part.orientation = diagramMatch[1];
+    if (diagramMatch[2]) part.anchor = diagramMatch[2];
+    if (caption) part.caption = caption;
+    node.parts.push(part);
+  }
+
+  var cleaned = stripCommentAnnotations(commentText);
+  if (cleaned) {
+    if (!diagramMatch) node.parts.push({ type: "text", value: cleaned });
+    node.comment = node.comment ? node.comment + " " + cleaned : cleaned;
+  }
+}
+
+/* ================================================================
+   4. PUZZLE GAME PARSER
+================================================================ */
+
+/**
+ * Flatten a line of the game tree into the parallel arrays the puzzle
+ * engine works with. variations[i] is null or an array of flattened
+ * lines that are alternatives to moves[i].
+ */
+function flattenLine(head) {
+  var out = {
+    moves: [],
+    comments: [],
+    variations: [],
+    glyphs: [],
+    arrows: [],
+    squareMarks: [],
+  };
+  for (var node = head; node; node = node.next) {
+    out.moves.push(node.san);
+    out.comments.push(node.comment);
+    out.variations.push(node.variations.length ? node.variations.map(flattenLine) : null);
+    out.glyphs.push(nagsToGlyph(node.nags));
+    out.arrows.push(node.arrows.length ? node.arrows : null);
+    out.squareMarks.push(node.squareMarks.length ? node.squareMarks : null);
+  }
+  return out;
+}
+
+/**
+ * [Accept "Qg8#, 2. Rd1, 1... Re1"] — alternative solution moves. A move
+ * number pins an entry to that move (with "..." for Black); a bare SAN
+ * is accepted wherever the solver plays it.
+ *
+ * @returns {Array<{ san: string, moveNumber: ?number, color: ?string }>}
+ */
+export function parseAccept(raw) {
+  var out = [];
+  var re = /(?:(\d+)\s*(\.+)\s*)?([KQRBNOa-h][^\s,;]*)/g;
+  var text = String(raw || "").replace(/0-0-0/g, "O-O-O").replace(/0-0/g, "O-O");
+  var m;
+  while ((m = re.exec(text))) {
+    out.push({
+      san: m[3],
+      moveNumber: m[1] ? parseInt(m[1], 10) : null,
+      color: m[1] ? (m[2].length > 1 ? "b" : "w") : null,
+    });
+  }
+  return out;
+}
+
+/* [Stipulation "#2"] → 2. Other stipulations (helpmates, studies, …)
+   aren't searched and give 0. */
+export function parseMateStipulation(raw) {
+  var m = /^\s*#\s*(\d+)\s*$/.exec(String(raw || ""));
+  return m ? parseInt(m[1], 10) : 0;
+}
+
+export function parseGame(pgn) {
+  var raw = String(pgn || "").replace(/\r/g, "").trim();
+  if (!raw) return { error: true };
+
+  var headers = parseHeaders(raw);
+  function getHeader(name) {
+    return headers[name] || null;
+  }
+
+  var fen = getHeader("FEN");
+  var firstMoveAuto = String(getHeader("FirstMoveAuto")).toLowerCase() === "true";
+  var orientationHeader = String(getHeader("Orientation")).toLowerCase();
+
+  var orientation = null;
+  if (orientationHeader === "white") orientation = "white";
+  if (orientationHeader === "black") orientation = "black";
+
+  /* Colon format */
+  if (!fen) {
+    var collapsed = raw.replace(/\n/g, " ").replace(/\s+/g, " ").trim();
+    var fenMatch = collapsed.match(/FEN:\s*(.*?)\s+Moves:/i);
+    var movesMatch = collapsed.match(/Moves:\s*(.*)$/i);
+
+    if (fenMatch && movesMatch) {
+      var moves = tokenizeMoves(movesMatch[1]);
+      if (!moves.length) return { error: true };
+      if (moves.every(isUci)) {
+        moves = uciToSan(fenMatch[1].trim(), moves);
+        if (!moves) return { error: true, message: "illegal UCI move in Moves:" };
+      }
+      return {
+        fen: fenMatch[1].trim(),
+        moves: moves,
+        comments: new Array(moves.length).fill(null),
+        variations: new Array(moves.length).fill(null),
+        glyphs: new Array(moves.length).fill(null),
+        arrows: new Array(moves.length).fill(null),
+        squareMarks: new Array(moves.length).fill(null),
+        firstMoveAuto: false,
+        orientation: null,
+        accept: [],
+        mateIn: 0,
+        avoid: [],
+        puzzleId: null,
+      };
+    }
+  }
+
+  /* Header style — read through the shared game tree. */
+  var game;
+  try {
+    game = parsePGNGame(raw);
+  } catch (e) {
+    return { error: true, message: e.message };
+  }
+
+  var line = flattenLine(game.root.next);
+  if (!line.moves.length) return { error: true };
+
+  return {
+    fen: game.startFen,
+    moves: line.moves,
+    comments: line.comments,
+    variations: line.variations,
+    glyphs: line.glyphs,
+    arrows: line.arrows,
+    squareMarks: line.squareMarks,
+    firstMoveAuto: firstMoveAuto,
+    orientation: orientation,
+    accept: parseAccept(getHeader("Accept")),
+    mateIn: parseMateStipulation(getHeader("Stipulation")),
+    avoid: parseAccept(getHeader("Avoid")),
+    puzzleId: getHeader("PuzzleId"),
+  };
+}
+
+/* ================================================================
+   5. LICHESS PUZZLE CSV
+================================================================ */
+
+var RE_UCI = /^[a-h][1-8][a-h][1-8][qrbn]?$/;
+
+function isUci(token) {
+  return RE_UCI.test(token);
+}
+
+/* Replay UCI moves ("e2e4", "e7e8q") from fen and return their SAN, or
+   null if the FEN or any move is illegal. */
+export function uciToSan(fen, ucis) {
+  var chess = new Chess();
+  if (!chess.load(fen)) return null;
+  var out = [];
+  for (var i = 0; i < ucis.length; i++) {
+    var uci = ucis[i];
+    var move = chess.move({
+      from: uci.slice(0, 2),
+      to: uci.slice(2, 4),
+      promotion: uci.charAt(4) || undefined,
+    });
+    if (!move) return null;
+    out.push(move.san);
+  }
+  return out;
+}
+
+/* One CSV record; fields may be quoted, with "" for a literal quote. */
+function splitCsvRow(row) {
+  var fields = [];
+  var field = "";
+  var quoted = false;
+  for (var i = 0; i < row.length; i++) {
+    var ch = row.charAt(i);
+    if (quoted) {
+      if (ch === '"' && row.charAt(i + 1) === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      fields.push(field);
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+var LICHESS_COLUMNS = [
+  "PuzzleId", "FEN", "Moves", "Rating", "RatingDeviation", "Popularity",
+  "NbPlays", "Themes", "GameUrl", "OpeningTags",
+];
+
+function pgnTag(name, value) {
+  return "[" + name + ' "' + String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"') + '"]';
+}
+
+/**
+ * Turn rows of the Lichess puzzle database
+ * (PuzzleId,FEN,Moves,Rating,RatingDeviation,Popularity,NbPlays,Themes,
+ * GameUrl,OpeningTags) into one PGN puzzle per row. The Moves column is
+ * UCI and starts with the opponent's move, so each puzzle is written
+ * with [FirstMoveAuto "true"]. Rating and Themes become headers, and a
+ * mateInN theme becomes [Stipulation "#N"] so any mate is accepted, as
+ * on Lichess. A leading header row is optional and may reorder the
+ * columns. Rows that don't replay are skipped.
+ *
+ * @returns {string[]}
+ */
+export function lichessCsvToPgn(text) {
+  var rows = String(text || "").replace(/\r/g, "").split("\n").filter(function (row) {
+    return row.trim();
+  });
+  var columns = LICHESS_COLUMNS;
+  if (rows.length && /^\s*PuzzleId\s*,/i.test(rows[0])) {
+    columns = splitCsvRow(rows.shift().trim()).map(function (name) { return name.trim(); });
+  }
+
+  var games = [];
+  rows.forEach(function (row) {
+    var fields = splitCsvRow(row.trim());
+    var rec = {};
+    columns.forEach(function (name, i) {
+      rec[name] = (fields[i] || "").trim();
+    });
+    if (!rec.FEN || !rec.Moves) return;
+
+    var moves = uciToSan(rec.FEN, rec.Moves.split(/\s+/));
+    if (!moves || moves.length < 2) return;
+
+    var tags = [];
+    if (rec.PuzzleId) {
+      tags.push(pgnTag("Event", "Lichess puzzle " + rec.PuzzleId));
+      tags.push(pgnTag("PuzzleId", rec.PuzzleId));
+    }
+    if (rec.GameUrl) tags.push(pgnTag("Site", rec.GameUrl));
+    tags.push(pgnTag("FEN", rec.FEN));
+    tags.push(pgnTag("SetUp", "1"));
+    tags.push(pgnTag("FirstMoveAuto", "true"));
+    if (rec.Rating) tags.push(pgnTag("Rating", rec.Rating));
+    if (rec.Themes) tags.push(pgnTag("Themes", rec.Themes));
+    var mate = /\bmateIn(\d+)\b/.exec(rec.Themes || "");
+    if (mate) tags.push(pgnTag("Stipulation", "#" + mate[1]));
+
+    games.push(tags.join("\n") + "\n\n" + numberMoves(rec.FEN, moves) + " *");
+  });
+  return games;
+}
+
+/* SAN list → "12... Qxd4 13. Nxd4 …" starting from the FEN's move. */
+function numberMoves(fen, moves) {
+  var parts = fen.split(/\s+/);
+  var color = parts[1] === "b" ? "b" : "w";
+  var number = parseInt(parts[5], 10) || 1;
+  var out = [];
+  moves.forEach(function (san, i) {
+    if (color === "w") out.push(number + ".");
+    else if (i === 0) out.push(number + "...");
+    out.push(san);
+    if (color === "b") number++;
+    color = color === "w" ? "b" : "w";
+  });
+  return out.join(" ");
+}
+
+/* ================================================================
+   6. EPD TEST SUITES
+================================================================ */
+
+/* The legal SAN for an EPD move token, which may be written loosely
+   ("Nbd7", "e8Q", "Rf1xf7"), or null. Checked against moves() because
+   chess.js's sloppy parser lets some illegal moves through. */
+function legalSan(chess, token) {
+  var legal = chess.moves();
+  var norm = normalizeSAN(token);
+  for (var i = 0; i < legal.length; i++) {
+    if (normalizeSAN(legal[i]) === norm) return legal[i];
+  }
+  var move = chess.move(token, { sloppy: true });
+  if (!move) return null;
+  chess.undo();
+  return legal.indexOf(move.san) !== -1 ? move.san : null;
+}
+
+/* "bm Qg6; id \"WAC.003\"; c0 \"…\";" → { bm: "Qg6", id: "WAC.003", … }.
+   Quoted operands keep their text without the quotes. */
+function parseEpdOps(text) {
+  var ops = {};
+  var re = /(\w+)((?:\s*(?:"[^"]*"|[^;"\s]+))*)\s*;?/g;
+  var m;
+  while ((m = re.exec(text))) {
+    ops[m[1]] = m[2].trim().replace(/^"([\s\S]*)"$/, "$1");
+  }
+  return ops;
+}
+
+/**
+ * Turn an EPD file (WAC, Bratko-Kopec, …) into one-move puzzles, one
+ * PGN per record. The first bm move is the solution and any others go
+ * to [Accept]; am moves go to [Avoid] and get their own message when
+ * played. id becomes [Event] and c0 the [Caption]. Records without a
+ * legal bm move are skipped.
+ *
+ * @returns {string[]}
+ */
+export function epdToPgn(text) {
+  var games = [];
+  String(text || "").replace(/\r/g, "").split("\n").forEach(function (line) {
+    var fields = line.trim().split(/\s+/);
+    if (fields.length < 5 || fields[0].split("/").length !== 8) return;
+
+    var ops = parseEpdOps(fields.slice(4).join(" "));
+    var fen = fields.slice(0, 4).join(" ") + " " +
+      (parseInt(ops.hmvc, 10) || 0) + " " + (parseInt(ops.fmvn, 10) || 1);
+
+    var chess = new Chess();
+    if (!chess.load(fen)) return;
+
+    function sans(operand) {
+      return String(operand || "").split(/[\s,]+/).map(function (token) {
+        return token && legalSan(chess, token);
+      }).filter(Boolean);
+    }
+
+    var best = sans(ops.bm);
+    if (!best.length) return;
+    var avoid = sans(ops.am);
+
+    var tags = [];
+    if (ops.id) tags.push(pgnTag("Event", ops.id));
+    tags.push(pgnTag("FEN", fen));
+    tags.push(pgnTag("SetUp", "1"));
+    if (best.length > 1) tags.push(pgnTag("Accept", best.slice(1).join(", ")));
+    if (avoid.length) tags.push(pgnTag("Avoid", avoid.join(", ")));
+    if (ops.c0) tags.push(pgnTag("Caption", ops.c0));
+
+    games.push(tags.join("\n") + "\n\n" + numberMoves(fen, best.slice(0, 1)) + " *");
+  });
+  return games;
+}
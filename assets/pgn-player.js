@@ -1,13 +1,22 @@
 /* ChessPublica <pgn-player> element */
 
 import {
-  parseCAL,
-  parseCSL,
   NAG_TO_GLYPH,
-  stripCommentAnnotations,
+  nagsToGlyph,
   toFigurine,
-  applyFigurineNotation,
+  formatComment,
+  formatCommentClickable,
+  splitIntoPgnGames,
+  parseClock,
+  formatClock,
+  parseTimeControl,
+  pieceTheme,
+  applyBoardStyle,
+  renderMoveQualityBadge,
+  clearMoveQualityBadge,
 } from "./helpers.js";
+import { parsePGNGame, parseHeaders } from "./pgn-parser.js";
+import { toPGN } from "./pgn-writer.js";
 import { lucideIconUrl } from "./icons.js";
 import {
   renderAnnotations as applyBoardAnnotations,
@@ -15,14 +24,31 @@ import {
   createGridOverlaySVG,
   getSquareCenter,
 } from "./board.js";
+import { createChessboard } from "./svg-board.js";
 
-/* Convert SAN piece-move tokens in a plain-text comment to figurine
-   notation. The comment text is rendered via textContent so it carries
-   no real HTML tags; the helper's tag-aware regex still works because
-   the tag-matching alternative simply finds nothing to skip and the
-   piece-move alternative does the substitution. */
-function figurineComment(text) {
-  return applyFigurineNotation(text);
+/* Play `sans` from `fen`; returns a node-shaped position for
+   VideoEngine.showVariationPosition, or null if a move is illegal. */
+function replayMoves(fen, sans) {
+  const chess = new Chess();
+  if (!chess.load(fen)) return null;
+  let move = null;
+  for (const san of sans) {
+    move = chess.move(san, { sloppy: true });
+    if (!move) return null;
+  }
+  return {
+    fen: chess.fen(), from: move.from, to: move.to,
+    nags: [], arrows: [], squareMarks: []
+  };
+}
+
+/* The same position with the other side to move, for prose such as
+   "1. e4 {intending Nf3}" that names the mover's next move. */
+function passTurn(fen) {
+  const fields = fen.split(" ");
+  fields[1] = fields[1] === "w" ? "b" : "w";
+  fields[3] = "-";
+  return fields.join(" ");
 }
 
 /* Skip global keyboard shortcuts while the user is editing a form field,
@@ -36,302 +62,147 @@ function isTypingTarget(target) {
   return false;
 }
 
-function loadPGN(pgn) {
-
-  const chess = new Chess();
-
-  /* ---------------------------
-     HEADER PARSE
-  --------------------------- */
-
-  const headers = {};
-  const headerRegex = /\[(\w+)\s+"([^"]*)"\]/g;
-
-  let hMatch;
-  while ((hMatch = headerRegex.exec(pgn)) !== null) {
-    headers[hMatch[1]] = hMatch[2];
+/* Parse an [%eval] payload ("0.17", "#-3", "0.17,20") into
+   { score, mate, depth }. score is in pawns with mates pinned at ±10 so
+   the bar hits its edge; mate is the signed mate distance and depth the
+   engine depth, each null when absent. */
+function parseEval(raw) {
+  if (raw === undefined || raw === null) return null;
+  const fields = String(raw).split(",");
+  const val    = fields[0].trim();
+  const depth  = /^\s*\d+\s*$/.test(fields[1] || "") ? parseInt(fields[1], 10) : null;
+
+  if (/^#[-+]?\d+$/.test(val)) {
+    const mate = parseInt(val.slice(1), 10);
+    return { score: val.startsWith("#-") ? -10 : 10, mate, depth };
   }
 
-  /* ---------------------------
-     SPLIT HEADER / MOVE-TEXT
-     Eval regex must only run on the move-text section to avoid
-     false matches in header comments.
-  --------------------------- */
-
-  const headerBodySplit = pgn.indexOf("\n\n");
-  const moveText = headerBodySplit !== -1 ? pgn.slice(headerBodySplit) : pgn;
-
-  /* ---------------------------
-     TOKENIZER
-  --------------------------- */
-
-  function tokenize(src) {
-
-    const tokens = [];
-    let i = 0;
-
-    while (i < src.length) {
-
-      const char = src[i];
-
-      if (char === "{") {
-        /* Depth-counting scan, matching the tokenizer in pgn.js, so the
-           static <pgn> renderer and the <pgn-player> agree on where a
-           comment ends even if the source contains a stray "{". */
-        let depth = 1;
-        let j = i + 1;
-        while (depth > 0 && j < src.length) {
-          if (src[j] === "{") depth++;
-          else if (src[j] === "}") depth--;
-          j++;
-        }
-        tokens.push({ type: "comment", value: src.slice(i + 1, j - 1).trim() });
-        i = j;
-        continue;
-      }
-
-      if (char === "(") {
-        tokens.push({ type: "var_start" });
-        i++;
-        continue;
-      }
-
-      if (char === ")") {
-        tokens.push({ type: "var_end" });
-        i++;
-        continue;
-      }
-
-      if (/\s/.test(char)) {
-        i++;
-        continue;
-      }
+  const score = parseFloat(val);
+  return isFinite(score) ? { score, mate: null, depth } : null;
+}
 
-      let j = i;
-      while (j < src.length && !/\s|\{|\}|\(|\)/.test(src[j])) j++;
+/* White's winning chances in percent, using the Lichess formula on the
+   centipawn score (clamped to ±1000); mates and decided results count
+   as certain. */
+function winChance(ev) {
+  if (!ev) return 50;
+  if (ev.result === "1-0") return 100;
+  if (ev.result === "0-1") return 0;
+  if (ev.mate !== null && ev.mate !== undefined) return ev.score > 0 ? 100 : 0;
+  const cp = Math.max(-1000, Math.min(1000, ev.score * 100));
+  return 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * cp)) - 1);
+}
 
-      tokens.push({ type: "text", value: src.slice(i, j) });
-      i = j;
-    }
+/* Map an eval to White's share of the eval bar / graph (0…1).
+   On the default "cp" scale a tanh mapping gives more visual resolution
+   in the 0-4 pawn range: tanh(0) = 0 → 50%, tanh(1) ≈ 0.76 → ~88%,
+   tanh(2) ≈ 0.96 → ~98%. The input is scaled so ±3 pawns fills most of
+   the bar while mates hit the edge. The "win" scale plots winChance(). */
+function evalToFraction(ev, scale = "cp") {
+  if (scale === "win") return winChance(ev) / 100;
+
+  let score = ev ? ev.score : 0;
+  // Guard against null / undefined / NaN / Infinity
+  if (typeof score !== "number" || !isFinite(score)) score = 0;
+  // Hard clamp so downstream math never sees extreme values
+  score = Math.max(-8, Math.min(8, score));
+  return (Math.tanh(score * 0.4) + 1) / 2;
+}
 
-    return tokens;
+/* Short label for an eval: "+1.4", "−0.3", "M3", "−M5", "1-0", or the
+   White win percentage on the "win" scale. */
+function formatEval(ev, scale = "cp") {
+  if (!ev) return "";
+  if (ev.result) return ev.result === "1/2-1/2" ? "½-½" : ev.result;
+  if (ev.mate !== null && ev.mate !== undefined) {
+    return `${ev.score < 0 ? "−" : ""}M${Math.abs(ev.mate)}`;
   }
+  if (scale === "win") return `${Math.round(winChance(ev))}%`;
+  const abs = Math.abs(ev.score).toFixed(1);
+  if (abs === "0.0") return "0.0";
+  return (ev.score > 0 ? "+" : "−") + abs;
+}
 
-  const tokens = tokenize(pgn);
+/* Read a PGN through the shared parser (pgn-parser.js) and flatten the
+   main line into the parallel per-move arrays the engine indexes by
+   move number. */
+function loadPGN(pgn) {
 
-  /* ---------------------------
-     PARSE STATE
-  --------------------------- */
+  const game = parsePGNGame(pgn);
 
   const moves       = [];
   const comments    = [];
-  const annotations = []; // cal/csl board annotations
+  const annotations = []; // { arrows, squareMarks } board annotations
   const variations  = [];
   const glyphs      = []; // move quality glyphs: "!", "?", "!!", "??", "!?", "?!"
-
-  let moveIndex      = -1;
-  let variationDepth = 0;
-
-  const varStack = [];
-
-  /* ---------------------------
-     HELPERS
-  --------------------------- */
-
-  // Strips trailing glyph suffixes from a SAN move token and returns
-  // { san, glyph } — glyph is null when none is present.
-  function extractGlyph(token) {
-
-    // Try longest suffixes first so "!!" isn't mistaken for two "!"
-    const suffixes = ["!!", "??", "!?", "?!", "!", "?"];
-
-    for (const s of suffixes) {
-      if (token.endsWith(s)) {
-        return { san: token.slice(0, -s.length), glyph: NAG_TO_GLYPH[s] };
+  const evals       = []; // evals[k] = { score, mate, depth } after move k, or null
+  const clocks      = []; // clocks[k] = mover's remaining seconds after move k, or null
+  const elapsed     = []; // elapsed[k] = seconds spent on move k ([%emt]), or null
+
+  const timeControl = parseTimeControl(game.headers.TimeControl);
+
+  game.mainline.forEach((node, i) => {
+    moves.push(node.san);
+    comments[i] = node.comment;
+    glyphs[i]   = nagsToGlyph(node.nags);
+    evals[i]    = parseEval(node.commands.eval);
+    clocks[i]   = parseClock(node.commands.clk);
+    elapsed[i]  = parseClock(node.commands.emt);
+
+    /* [%emt]-only exports: rebuild the remaining time from the same
+       side's previous clock (or the starting time) and the increment. */
+    if (clocks[i] === null && timeControl) {
+      const before = i >= 2 ? clocks[i - 2] : timeControl.base;
+      if (elapsed[i] !== null && before !== null) {
+        clocks[i] = before - elapsed[i] + timeControl.increment;
       }
     }
 
-    return { san: token, glyph: null };
-  }
-
-  function isMove(token) {
-    // Strip trailing glyph before testing
-    const { san } = extractGlyph(token);
-    return /^(O-O-O|O-O|[KQRBN]?[a-h]?[1-8]?x?[a-h][1-8](=?[QRBN])?[+#]?)/.test(san) &&
-           san.length > 1;
-  }
-
-  function isMoveNumber(token) {
-    return /^\d+\./.test(token);
-  }
-
-  function isResult(token) {
-    return /^(1-0|0-1|1\/2-1\/2|\*)$/.test(token);
-  }
-
-  function isNAG(token) {
-    return /^\$\d+$/.test(token);
-  }
-
-  /* ---------------------------
-     MAIN LOOP
-  --------------------------- */
-
-  for (const t of tokens) {
-
-    /* ENTER VARIATION */
-    if (t.type === "var_start") {
-
-      variationDepth++;
-
-      const newVar = {
-        moves:    [],
-        comments: [],
-        children: []
-      };
-
-      const parentMoveIndex = moveIndex;
-
-      if (parentMoveIndex >= 0) {
-        if (variationDepth === 1) {
-          if (!variations[parentMoveIndex]) {
-            variations[parentMoveIndex] = [];
-          }
-          variations[parentMoveIndex].push(newVar);
-        } else if (varStack.length > 0) {
-          varStack[varStack.length - 1].varObj.children.push(newVar);
-        }
-      }
-
-      varStack.push({ varObj: newVar, parentMoveIndex });
-      continue;
+    if (node.arrows.length || node.squareMarks.length) {
+      annotations[i] = { arrows: node.arrows, squareMarks: node.squareMarks };
     }
-
-    /* EXIT VARIATION */
-    if (t.type === "var_end") {
-      variationDepth--;
-      varStack.pop();
-      continue;
+    /* Variations stay as game-tree nodes (see pgn-parser.js): each
+       carries its own comment, NAGs, board annotations and sub-lines. */
+    if (node.variations.length) {
+      variations[i] = node.variations;
     }
+  });
 
-    /* COMMENT */
-    if (t.type === "comment") {
-
-      const calMatches = [...t.value.matchAll(/\[%cal\s+([^\]]+)\]/g)];
-      const cslMatches = [...t.value.matchAll(/\[%csl\s+([^\]]+)\]/g)];
-
-      const cal = calMatches.map(m => m[1]);
-      const csl = cslMatches.map(m => m[1]);
-
-      const cleaned = stripCommentAnnotations(t.value);
-
-      if (variationDepth > 0 && varStack.length > 0) {
-        const currentVar = varStack[varStack.length - 1].varObj;
-        if (cleaned) currentVar.comments.push(cleaned);
-        if (cal.length || csl.length) {
-          if (!currentVar.moveAnnotations) currentVar.moveAnnotations = [];
-          const mi = Math.max(0, currentVar.moves.length - 1);
-          currentVar.moveAnnotations[mi] = { cal, csl };
-        }
-      } else if (moveIndex >= 0) {
-        if (cleaned) comments[moveIndex] = cleaned;
-        if (cal.length || csl.length) {
-          annotations[moveIndex] = { cal, csl };
-        }
-      }
-
-      continue;
-    }
-
-    /* TEXT TOKEN */
-    if (t.type === "text") {
-
-      const val = t.value;
-
-      if (isMoveNumber(val) || isResult(val)) continue;
-
-      // $N NAG — applies to the most recent main-line move
-      if (isNAG(val)) {
-        if (variationDepth === 0 && moveIndex >= 0 && NAG_TO_GLYPH[val]) {
-          // Only store if we don't already have a suffix glyph
-          if (!glyphs[moveIndex]) {
-            glyphs[moveIndex] = NAG_TO_GLYPH[val];
-          }
-        }
-        continue;
-      }
-
-      if (variationDepth === 0) {
-
-        if (isMove(val)) {
-          const { san, glyph } = extractGlyph(val);
-          /* sloppy:true mirrors pgn.js so authored PGNs that use long
-             algebraic notation (e2-e4) or lowercase piece letters parse
-             the same in both renderers. */
-          const result = chess.move(san, { sloppy: true });
-          if (result) {
-            moves.push(san);
-            moveIndex++;
-            if (glyph) glyphs[moveIndex] = glyph;
-          }
-        }
-
-      } else {
-
-        if (isMove(val) && varStack.length > 0) {
-          const { san } = extractGlyph(val);
-          varStack[varStack.length - 1].varObj.moves.push(san);
-        }
-
-      }
-
-    }
-
-  }
-
-  /* ---------------------------
-     EVAL PARSE
-  --------------------------- */
-
-  const evalRegex = /\[%eval ([^\]]+)\]/g;
-  const evals     = [];
-
-  let match;
-  while ((match = evalRegex.exec(moveText)) !== null) {
-
-    let val = match[1];
-
-    if (val.startsWith("#")) {
-      const sign = val.startsWith("#-") ? -1 : 1;
-      val = sign * 10;
-    }
-
-    const parsed = parseFloat(val);
-    evals.push(isFinite(parsed) ? parsed : 0);
-  }
-
-  const hasEvals = evals.length > 0;
-
-  while (evals.length < moves.length) {
-    evals.push(evals.length > 0 ? evals[evals.length - 1] : 0);
-  }
-
-  /* ---------------------------
-     RESULT
-  --------------------------- */
+  /* Without a [TimeControl] to count down from, [%emt] can still show
+     the time each side spent on its last move. */
+  const hasRemaining  = clocks.some(c => c !== null);
+  const clocksElapsed = !hasRemaining && elapsed.some(t => t !== null);
 
   return {
+    game,
+    startFen: game.startFen,
     moves,
     evals,
-    hasEvals,
-    headers,
+    hasEvals: evals.some(e => e !== null),
+    clocks: clocksElapsed ? elapsed : clocks,
+    hasClocks: hasRemaining || clocksElapsed,
+    clocksElapsed,
+    clockBase: timeControl && !clocksElapsed ? timeControl.base : null,
+    headers: game.headers,
     comments,
     variations,
     annotations,
     glyphs
   };
 
-}class VideoTitle {
+}
+
+/* Label for one game of a multi-game PGN in the chapter picker. Lichess
+   study exports carry [ChapterName]; elsewhere [Event] or the players
+   are the best description. */
+function gameTitle(pgn, index) {
+  const headers = parseHeaders(pgn);
+  const players = headers.White && headers.Black ? `${headers.White} – ${headers.Black}` : "";
+  const event   = headers.Event && headers.Event !== "?" ? headers.Event : "";
+  return `${index + 1}. ${headers.ChapterName || event || players || "Game " + (index + 1)}`;
+}
+
+class VideoTitle {
 
   constructor(container) {
     this.container = container;
@@ -400,6 +271,259 @@ function loadPGN(pgn) {
 
     this.titleEl.appendChild(textDiv);
   }
+}
+
+/* video-clock.js
+   Both players' remaining time, shown above and below the board to
+   match the board orientation. The side to move is highlighted.
+   -------------------------------------------------------------------- */
+
+class VideoClock {
+
+  constructor(container) {
+    this.topEl    = container.querySelector(".clock-top");
+    this.bottomEl = container.querySelector(".clock-bottom");
+    this._enabled = false;
+    this._elapsed = false;
+  }
+
+  /**
+   * Show the clocks only when the PGN carries [%clk] / [%emt].
+   * @param {boolean} flag
+   * @param {boolean} [elapsed] – times are spent on the last move
+   *                              ([%emt] without a [TimeControl]), not
+   *                              time remaining
+   */
+  setEnabled(flag, elapsed = false) {
+    this._enabled = !!flag;
+    this._elapsed = !!elapsed;
+    [this.topEl, this.bottomEl].forEach(el => {
+      if (!el) return;
+      el.classList.toggle("hidden", !this._enabled);
+      el.classList.toggle("elapsed", this._elapsed);
+      if (this._elapsed) el.title = "Time spent on the last move";
+      else el.removeAttribute("title");
+    });
+  }
+
+  /**
+   * @param {?number} white       – White's remaining seconds (null = unknown)
+   * @param {?number} black       – Black's remaining seconds
+   * @param {boolean} whiteToMove
+   * @param {boolean} flipped     – board shows Black at the bottom
+   * @param {Object}  headers     – PGN headers (player names)
+   */
+  update(white, black, whiteToMove, flipped, headers = {}) {
+
+    if (!this._enabled) return;
+
+    const sides = {
+      w: { name: headers.White || "White", time: white, active: whiteToMove },
+      b: { name: headers.Black || "Black", time: black, active: !whiteToMove }
+    };
+
+    this._fill(this.topEl,    sides[flipped ? "w" : "b"]);
+    this._fill(this.bottomEl, sides[flipped ? "b" : "w"]);
+  }
+
+  _fill(el, side) {
+    if (!el) return;
+    el.querySelector(".clock-name").textContent = side.name;
+    const time = formatClock(side.time);
+    el.querySelector(".clock-time").textContent = time ? (this._elapsed ? "+" : "") + time : "–";
+    el.classList.toggle("active", side.active);
+  }
+}
+
+/* video-timeline.js
+   Seek bar under the board: drag to any ply, hover for a thumbnail of
+   that position, markers where the game has a comment or variation,
+   and an elapsed / total ply counter.
+   -------------------------------------------------------------------- */
+
+/* Draw the piece placement of `fen` into `el` as an 8×8 grid. */
+function renderMiniBoard(el, fen, flipped) {
+  const rows = (fen || "").split(" ")[0].split("/");
+  const grid = [];
+  rows.forEach(row => {
+    const squares = [];
+    for (const ch of row) {
+      if (/\d/.test(ch)) for (let n = 0; n < +ch; n++) squares.push(null);
+      else squares.push((ch === ch.toUpperCase() ? "w" : "b") + ch.toUpperCase());
+    }
+    grid.push(squares);
+  });
+
+  el.innerHTML = "";
+  for (let r = 0; r < 8; r++) {
+    for (let f = 0; f < 8; f++) {
+      const rank = flipped ? 7 - r : r;
+      const file = flipped ? 7 - f : f;
+      const sq = document.createElement("div");
+      sq.className = "mini-square " + ((rank + file) % 2 ? "mini-dark" : "mini-light");
+      const piece = grid[rank] && grid[rank][file];
+      if (piece) {
+        const img = document.createElement("img");
+        img.src = pieceTheme(el)(piece);
+        img.alt = "";
+        sq.appendChild(img);
+      }
+      el.appendChild(sq);
+    }
+  }
+}
+
+class VideoTimeline {
+
+  constructor(container, engine) {
+    this.engine  = engine;
+    this.el      = container.querySelector(".video-timeline");
+    this.track   = this.el ? this.el.querySelector(".timeline-track") : null;
+    this.fill    = this.el ? this.el.querySelector(".timeline-fill") : null;
+    this.handle  = this.el ? this.el.querySelector(".timeline-handle") : null;
+    this.counter = this.el ? this.el.querySelector(".timeline-counter") : null;
+    this.thumb   = this.el ? this.el.querySelector(".timeline-thumb") : null;
+    this._plies  = 0;
+
+    if (!this.track) return;
+
+    const signal = engine._abortSignal;
+    let dragging = false;
+
+    const seek = (e) => {
+      if (this._plies) this.engine.seek(plyAtPointer(this.track, e, this._plies));
+    };
+
+    this.track.addEventListener("pointerdown", (e) => {
+      dragging = true;
+      if (this.track.setPointerCapture) this.track.setPointerCapture(e.pointerId);
+      seek(e);
+    }, { signal });
+    this.track.addEventListener("pointermove", (e) => {
+      if (dragging) seek(e);
+      this._preview(e);
+    }, { signal });
+    this.track.addEventListener("pointerup",     () => { dragging = false; }, { signal });
+    this.track.addEventListener("pointercancel", () => { dragging = false; }, { signal });
+    this.track.addEventListener("pointerleave",  () => {
+      if (this.thumb) this.thumb.classList.add("hidden");
+    }, { signal });
+  }
+
+  /**
+   * @param {number} plies   – number of moves in the game
+   * @param {Object[]} marks – { ply, kind: "comment" | "variation" }
+   */
+  build(plies, marks = []) {
+
+    if (!this.track) return;
+
+    this._plies = plies;
+    this.el.classList.toggle("hidden", plies === 0);
+
+    this.track.querySelectorAll(".timeline-mark").forEach(m => m.remove());
+    marks.forEach(({ ply, kind }) => {
+      const mark = document.createElement("span");
+      mark.className  = `timeline-mark timeline-mark-${kind}`;
+      mark.style.left = (ply / plies) * 100 + "%";
+      mark.title      = this.engine._moveLabel(ply - 1);
+      this.track.insertBefore(mark, this.handle);
+    });
+
+    this.track.setAttribute("aria-valuemax", String(plies));
+  }
+
+  update(index) {
+
+    if (!this.track || !this._plies) return;
+
+    const percent = (index / this._plies) * 100 + "%";
+    if (this.fill)    this.fill.style.width  = percent;
+    if (this.handle)  this.handle.style.left = percent;
+    if (this.counter) this.counter.textContent = `${index} / ${this._plies}`;
+    this.track.setAttribute("aria-valuenow", String(index));
+  }
+
+  /* Thumbnail of the position under the pointer, centred on it. */
+  _preview(e) {
+
+    if (!this.thumb || !this._plies) return;
+
+    const ply  = plyAtPointer(this.track, e, this._plies);
+    const fen  = this.engine.state.cache[ply];
+    if (!fen) return;
+
+    const flipped = this.engine.board.orientation() === "black";
+    renderMiniBoard(this.thumb.querySelector(".timeline-thumb-board"), fen, flipped);
+    this.thumb.querySelector(".timeline-thumb-label").textContent =
+      ply === 0 ? "Start" : this.engine._moveLabel(ply - 1);
+
+    const trackWidth = this.track.getBoundingClientRect().width;
+    const thumbWidth = this.thumb.offsetWidth;
+    const x = (ply / this._plies) * trackWidth;
+    this.thumb.style.left = Math.max(0, Math.min(trackWidth - thumbWidth, x - thumbWidth / 2)) + "px";
+    this.thumb.classList.remove("hidden");
+  }
+}
+
+/* game-picker.js
+   Chapter/game selector for PGN databases: a <select> listing every game
+   plus previous/next buttons. Hidden when the PGN holds a single game.
+   -------------------------------------------------------------------- */
+
+class GamePicker {
+
+  /**
+   * @param {HTMLElement} container – the .player-wrapper
+   * @param {Function}    onSelect  – called with the 0-based game index
+   * @param {AbortSignal} signal    – listeners are removed with the engine
+   */
+  constructor(container, onSelect, signal) {
+    this.el       = container.querySelector(".game-picker");
+    this.selectEl = this.el ? this.el.querySelector("select") : null;
+    this.prevBtn  = this.el ? this.el.querySelector("[data-action='prev-game']") : null;
+    this.nextBtn  = this.el ? this.el.querySelector("[data-action='next-game']") : null;
+    this.onSelect = onSelect;
+    this.index    = 0;
+    this.count    = 0;
+
+    if (!this.el) return;
+
+    this.selectEl.addEventListener("change", () => {
+      this.show(parseInt(this.selectEl.value, 10));
+    }, { signal });
+    this.prevBtn.addEventListener("click", () => this.show(this.index - 1), { signal });
+    this.nextBtn.addEventListener("click", () => this.show(this.index + 1), { signal });
+  }
+
+  build(titles) {
+
+    if (!this.el) return;
+
+    this.count = titles.length;
+    this.selectEl.innerHTML = "";
+
+    titles.forEach((title, i) => {
+      const option = document.createElement("option");
+      option.value       = String(i);
+      option.textContent = title;
+      this.selectEl.appendChild(option);
+    });
+
+    this.el.classList.toggle("hidden", titles.length < 2);
+  }
+
+  show(index) {
+
+    if (index < 0 || index >= this.count) return;
+
+    this.index = index;
+    if (this.selectEl) this.selectEl.value = String(index);
+    if (this.prevBtn)  this.prevBtn.disabled = index === 0;
+    if (this.nextBtn)  this.nextBtn.disabled = index === this.count - 1;
+
+    this.onSelect(index);
+  }
 }function setupGestures(engine) {
 
   let lastTap = 0;
@@ -451,13 +575,7 @@ function loadPGN(pgn) {
       engine._enterKeyboardMode();
       if (engine._variation) {
         engine.state.playing = false;
-        if (engine._variation.index < engine._variation.fens.length - 1) {
-          engine.variationGoTo(engine._variation.index + 1);
-        } else {
-          const mainIdx = engine._variation.mainStateIndex;
-          engine.exitVariation();
-          engine.goTo(mainIdx + 1);
-        }
+        engine.variationStep(1);
       } else {
         engine.pause();
         engine.goTo(engine.state.index + 1);
@@ -469,13 +587,7 @@ function loadPGN(pgn) {
       engine._enterKeyboardMode();
       if (engine._variation) {
         engine.state.playing = false;
-        if (engine._variation.index > 1) {
-          engine.variationGoTo(engine._variation.index - 1);
-        } else {
-          const mainIdx = engine._variation.mainStateIndex;
-          engine.exitVariation();
-          engine.goTo(mainIdx);
-        }
+        engine.variationStep(-1);
       } else {
         engine.pause();
         engine.goTo(engine.state.index - 1);
@@ -493,9 +605,13 @@ function loadPGN(pgn) {
 
   constructor(container) {
     this.container = container;
-    this.bar  = container.querySelector(".eval-bar");
-    this.fill = this.bar ? this.bar.querySelector(".eval-fill") : null;
+    this.bar   = container.querySelector(".eval-bar");
+    this.fill  = this.bar ? this.bar.querySelector(".eval-fill") : null;
+    this.label = container.querySelector(".eval-label");
+    this.scale = "cp";
     this._disabled = false;
+    this._flipped  = false;
+    this._last     = null;
   }
 
   /** Grey-out the bar when the PGN has no [%eval] annotations. */
@@ -504,29 +620,169 @@ function loadPGN(pgn) {
     if (this.bar) {
       this.bar.classList.toggle("eval-disabled", this._disabled);
     }
+    if (this.label) {
+      this.label.classList.toggle("hidden", this._disabled);
+    }
   }
 
-  update(score) {
+  /** "cp" (tanh of the pawn score, default) or "win" (win percentage). */
+  setScale(scale) {
+    this.scale = scale === "win" ? "win" : "cp";
+    this.update(this._last);
+  }
 
-    if (this._disabled) return;
+  /** Keep White's end of the bar (and the label) on White's side of the board. */
+  setFlipped(flag) {
+    this._flipped = !!flag;
+    if (this.bar) this.bar.classList.toggle("flipped", this._flipped);
+    this.update(this._last);
+  }
 
-    // Guard against null / undefined / NaN / Infinity
-    if (score === undefined || score === null || typeof score !== "number" || !isFinite(score)) {
-      score = 0;
-    }
+  /**
+   * @param {?Object} ev – { score, mate, depth, result? } or null
+   */
+  update(ev) {
 
-    // Hard clamp so downstream math never sees extreme values
-    score = Math.max(-8, Math.min(8, score));
+    this._last = ev;
 
-    // tanh mapping gives more visual resolution in the 0-4 pawn range
-    // tanh(0) = 0 → 50%, tanh(1) ≈ 0.76 → ~88%, tanh(2) ≈ 0.96 → ~98%
-    // We scale the input so ±3 pawns fills most of the bar while mates hit the edge
-    const prob    = (Math.tanh(score * 0.4) + 1) / 2;
-    const percent = prob * 100;
+    if (this._disabled) return;
+
+    const percent = evalToFraction(ev, this.scale) * 100;
 
     if (this.fill) {
       this.fill.style.height = percent + "%";
     }
+
+    if (this.bar) {
+      this.bar.title = ev && ev.depth ? `Depth ${ev.depth}` : "";
+    }
+
+    /* The label sits at the end of the side that is ahead: White's end
+       is at the bottom unless the board is flipped. */
+    if (this.label) {
+      const whiteAhead = !ev || ev.score >= 0;
+      this.label.textContent = formatEval(ev, this.scale);
+      this.label.classList.toggle("on-white", whiteAhead);
+      this.label.classList.toggle("at-top", whiteAhead === this._flipped);
+    }
+  }
+}
+
+/* eval-graph.js
+   Evaluation chart across the whole game, drawn with the same mapping as
+   the EvalBar. Clicking or dragging seeks the engine; "?" / "??" moves
+   are marked with their glyph colour.
+   -------------------------------------------------------------------- */
+
+const GRAPH_WIDTH  = 1000; // viewBox units; the SVG stretches to fit
+const GRAPH_HEIGHT = 100;
+
+/* Ply under the pointer on a horizontal seek strip spanning 0…plies. */
+function plyAtPointer(el, e, plies) {
+  const rect  = el.getBoundingClientRect();
+  const ratio = rect.width ? (e.clientX - rect.left) / rect.width : 0;
+  return Math.round(Math.max(0, Math.min(1, ratio)) * plies);
+}
+
+class EvalGraph {
+
+  constructor(container, engine) {
+    this.engine = engine;
+    this.el     = container.querySelector(".eval-graph");
+    this.svg    = null;
+    this.cursor = null;
+    this._plies = 0;
+
+    if (!this.el) return;
+
+    const signal = engine._abortSignal;
+    let dragging = false;
+
+    const seek = (e) => {
+      if (this._plies) this.engine.seek(plyAtPointer(this.el, e, this._plies));
+    };
+
+    this.el.addEventListener("pointerdown", (e) => {
+      dragging = true;
+      if (this.el.setPointerCapture) this.el.setPointerCapture(e.pointerId);
+      seek(e);
+    }, { signal });
+    this.el.addEventListener("pointermove", (e) => { if (dragging) seek(e); }, { signal });
+    this.el.addEventListener("pointerup",     () => { dragging = false; }, { signal });
+    this.el.addEventListener("pointercancel", () => { dragging = false; }, { signal });
+  }
+
+  /**
+   * @param {Object[]} scores – scores[i] = eval at position i (0 = start)
+   * @param {string[]} glyphs – glyphs[k] for move k (position k + 1)
+   * @param {string}   scale  – "cp" or "win", as for the EvalBar
+   */
+  build(scores, glyphs = [], scale = "cp") {
+
+    if (!this.el) return;
+
+    const ns = "http://www.w3.org/2000/svg";
+    this._plies = Math.max(1, scores.length - 1);
+
+    const x = (i) => (i / this._plies) * GRAPH_WIDTH;
+    const y = (ev) => (1 - evalToFraction(ev, scale)) * GRAPH_HEIGHT;
+
+    const svg = document.createElementNS(ns, "svg");
+    svg.setAttribute("viewBox", `0 0 ${GRAPH_WIDTH} ${GRAPH_HEIGHT}`);
+    svg.setAttribute("preserveAspectRatio", "none");
+    svg.setAttribute("class", "eval-graph-svg");
+
+    // White's share of the chart: everything below the curve
+    const points = scores.map((score, i) => `${x(i)},${y(score)}`);
+    const area = document.createElementNS(ns, "polygon");
+    area.setAttribute("class", "eval-graph-area");
+    area.setAttribute("points", `0,${GRAPH_HEIGHT} ${points.join(" ")} ${GRAPH_WIDTH},${GRAPH_HEIGHT}`);
+    svg.appendChild(area);
+
+    const mid = document.createElementNS(ns, "line");
+    mid.setAttribute("class", "eval-graph-mid");
+    mid.setAttribute("x1", 0);
+    mid.setAttribute("x2", GRAPH_WIDTH);
+    mid.setAttribute("y1", GRAPH_HEIGHT / 2);
+    mid.setAttribute("y2", GRAPH_HEIGHT / 2);
+    svg.appendChild(mid);
+
+    // Mistakes and blunders, at the position reached by the move
+    glyphs.forEach((glyph, k) => {
+      if (glyph !== "?" && glyph !== "??") return;
+      const mark = document.createElementNS(ns, "line");
+      mark.setAttribute("class", "eval-graph-mark");
+      mark.setAttribute("x1", x(k + 1));
+      mark.setAttribute("x2", x(k + 1));
+      mark.setAttribute("y1", 0);
+      mark.setAttribute("y2", GRAPH_HEIGHT);
+      mark.setAttribute("stroke", GLYPH_META[glyph].color);
+      const title = document.createElementNS(ns, "title");
+      title.textContent = `${this.engine._moveLabel(k)}${glyph}`;
+      mark.appendChild(title);
+      svg.appendChild(mark);
+    });
+
+    this.cursor = document.createElementNS(ns, "line");
+    this.cursor.setAttribute("class", "eval-graph-cursor");
+    this.cursor.setAttribute("y1", 0);
+    this.cursor.setAttribute("y2", GRAPH_HEIGHT);
+    svg.appendChild(this.cursor);
+
+    this.el.innerHTML = "";
+    this.el.appendChild(svg);
+    this.svg = svg;
+  }
+
+  setVisible(flag) {
+    if (this.el) this.el.classList.toggle("hidden", !flag);
+  }
+
+  highlight(index) {
+    if (!this.cursor) return;
+    const cx = (index / this._plies) * GRAPH_WIDTH;
+    this.cursor.setAttribute("x1", cx);
+    this.cursor.setAttribute("x2", cx);
   }
 }
 
@@ -545,17 +801,23 @@ class VideoMoveList {
    * @param {string[]} moves   – SAN move array
    * @param {string[]} glyphs  – parallel glyph array from pgn-parser
    * @param {Object}   headers – PGN headers (for appending the Result)
+   * @param {Object}   first   – { fullMoveNum, isBlack } of moves[0]; a
+   *                             game set up with Black to move opens "N…"
    */
-  build(moves, glyphs = [], headers = {}) {
+  build(moves, glyphs = [], headers = {}, first = { fullMoveNum: 1, isBlack: false }) {
 
     if (!this.el) return;
 
     this.el.innerHTML = "";
     this._halfSpans   = [];
 
-    for (let i = 0; i < moves.length; i += 2) {
+    /* Pair moves White/Black; when Black moves first, the opening pair
+       holds only the Black half. */
+    const offset = first.isBlack ? 1 : 0;
+
+    for (let i = -offset; i < moves.length; i += 2) {
 
-      const moveNumber = Math.floor(i / 2) + 1;
+      const moveNumber = first.fullMoveNum + (i + offset) / 2;
       const whiteMove  = moves[i];
       const blackMove  = moves[i + 1];
 
@@ -565,13 +827,15 @@ class VideoMoveList {
       // Move number
       const numSpan = document.createElement("span");
       numSpan.className   = "move-number";
-      numSpan.textContent = `${moveNumber}.`;
+      numSpan.textContent = i < 0 ? `${moveNumber}…` : `${moveNumber}.`;
       pairSpan.appendChild(numSpan);
 
       // White half
-      const wSpan = this._makeHalf(whiteMove, glyphs[i], i);
-      pairSpan.appendChild(wSpan);
-      this._halfSpans[i] = wSpan;
+      if (i >= 0) {
+        const wSpan = this._makeHalf(whiteMove, glyphs[i], i);
+        pairSpan.appendChild(wSpan);
+        this._halfSpans[i] = wSpan;
+      }
 
       // Black half
       if (blackMove !== undefined) {
@@ -653,13 +917,12 @@ const GLYPH_META = {
 class GoodMove {
 
   /**
-   * @param {HTMLElement} boardEl   – the .board div (holds the chessboard squares)
+   * @param {HTMLElement} boardEl   – the .board div (holds the board SVG)
    * @param {HTMLElement} commentEl – the .video-comment div (receives the description)
    */
   constructor(boardEl, commentEl) {
     this.boardEl   = boardEl;
     this.commentEl = commentEl;
-    this._badge    = null; // current badge DOM element
   }
 
   /* ------------------------------------------------------------------
@@ -681,47 +944,26 @@ class GoodMove {
     const glyph = glyphs[moveIndex];
     if (!glyph) return;
 
-    const meta = GLYPH_META[glyph];
-    if (!meta) return;
-
     if (!lastMove || !lastMove.to) return;
 
-    const toSquare  = lastMove.to; // e.g. "e4"
-
-    // Locate the square DOM element inside the board
-    const squareEl = this.boardEl.querySelector(`[data-square="${toSquare}"]`);
-    if (!squareEl) return;
-
-    // Build the badge
-    const badge = document.createElement("div");
-    badge.className        = "gm-badge";
-    badge.textContent      = meta.label;
-    badge.style.background = meta.color;
+    this.show(glyph, lastMove.to);
+  }
 
-    // Position relative to the square element.
-    // The badge sits at top-right of the square, offset slightly outward.
-    const boardRect  = this.boardEl.getBoundingClientRect();
-    const squareRect = squareEl.getBoundingClientRect();
+  /* Draw the badge for `glyph` on `toSquare` (e.g. "e4"). Also used for
+     variation moves, which aren't part of the moves array. */
+  show(glyph, toSquare) {
 
-    const right  = boardRect.right  - squareRect.right  + squareRect.width  * 0.05;
-    const top    = squareRect.top   - boardRect.top      - squareRect.height * 0.05;
+    this._clear();
 
-    badge.style.position = "absolute";
-    badge.style.right    = right + "px";
-    badge.style.top      = top   + "px";
-    badge.style.zIndex   = "30";
+    if (!GLYPH_META[glyph] || !toSquare) return;
 
-    // The board element must be position:relative (already enforced by CSS)
-    this.boardEl.appendChild(badge);
-    this._badge = badge;
+    // Drawn into the board SVG, at the top-right of the square
+    renderMoveQualityBadge(this.boardEl, toSquare, glyph);
   }
 
   /* Remove any existing badge and glyph description */
   _clear() {
-    if (this._badge) {
-      this._badge.remove();
-      this._badge = null;
-    }
+    clearMoveQualityBadge(this.boardEl);
   }
 }
 /* video-engine.js */
@@ -736,10 +978,13 @@ class VideoComment {
     this.engine = engine;
   }
 
-  update(moveIndex, comments, variations, isPaused, branchFEN, branchMoveNum, branchIsBlack, isGameOver) {
+  update(moveIndex, comments, variations, isPaused, isGameOver) {
 
     if (!this.el) return false;
 
+    this._nodeSpans = new Map();
+    this._backBtn   = null;
+
     const comment       = comments?.[moveIndex];
     const variationList = variations?.[moveIndex];
 
@@ -762,8 +1007,8 @@ class VideoComment {
       textBlock.className = "comment-text-block";
 
       const body = document.createElement("span");
-      body.className   = "comment-body";
-      body.textContent = figurineComment(comment);
+      body.className = "comment-body";
+      this._fillComment(body, comment, this.engine.state.cache[moveIndex + 1]);
       textBlock.appendChild(body);
 
       div.appendChild(icon);
@@ -775,8 +1020,21 @@ class VideoComment {
     if (variationList && variationList.length) {
       hasContent = true;
 
-      variationList.forEach((variation) => {
-        if (!variation.moves || !variation.moves.length) return;
+      /* Explicit way out of a variation, shown while one is being
+         walked (see VideoEngine.enterVariation). */
+      const back = document.createElement("button");
+      back.className = "variation-back hidden";
+      back.title     = "Back to main line";
+      const backIcon = document.createElement("span");
+      backIcon.className = "lucide-icon";
+      backIcon.style.setProperty("--icon", lucideIconUrl("corner-up-left"));
+      back.appendChild(backIcon);
+      back.appendChild(document.createTextNode(" Main line"));
+      back.onclick = () => this.engine.backToMainLine();
+      this.el.appendChild(back);
+      this._backBtn = back;
+
+      variationList.forEach((head) => {
 
         /* Two-column layout: icon on left, content on right
            — same pattern as .comment-line / .video-title */
@@ -790,67 +1048,7 @@ class VideoComment {
         const content = document.createElement("div");
         content.className = "variation-content";
 
-        const varFENs = [];
-        const varVerbose = []; // from/to for each variation move
-        const tempChess = new Chess();
-        if (branchFEN) tempChess.load(branchFEN);
-        varFENs.push(tempChess.fen());
-
-        variation.moves.forEach(m => {
-          /* sloppy:true matches the parser so variation replays accept
-             the same notation the parser already accepted. */
-          const result = tempChess.move(m, { sloppy: true });
-          varFENs.push(tempChess.fen());
-          varVerbose.push(result ? { from: result.from, to: result.to } : null);
-        });
-
-        variation.moves.forEach((san, mi) => {
-
-          const isBlackVarMove = branchIsBlack ? (mi % 2 === 0) : (mi % 2 === 1);
-          const fullNum = branchMoveNum + Math.floor(
-            (branchIsBlack ? mi : mi + 1) / 2
-          );
-
-          const needsNumber = !isBlackVarMove || mi === 0;
-
-          if (needsNumber) {
-            const numSpan = document.createElement("span");
-            numSpan.className = "var-move-number";
-            numSpan.textContent = isBlackVarMove
-              ? `${fullNum}…`
-              : `${fullNum}.`;
-            content.appendChild(numSpan);
-          }
-
-          const moveSpan = document.createElement("span");
-          moveSpan.className   = "var-move";
-          moveSpan.textContent = toFigurine(san);
-
-          const targetFEN = varFENs[mi + 1];
-
-          moveSpan.onclick = () => {
-            content.querySelectorAll(".var-move").forEach(s => s.classList.remove("active"));
-            moveSpan.classList.add("active");
-            const ann = variation.moveAnnotations?.[mi];
-            this.engine.enterVariation(varFENs, variation.moveAnnotations, mi + 1, content, varVerbose);
-            this.engine.showVariationPosition(targetFEN, ann, varVerbose[mi]);
-          };
-
-          content.appendChild(moveSpan);
-        });
-
-        if (variation.comments && variation.comments.length) {
-          variation.comments.forEach(c => {
-            const vcom = document.createElement("div");
-            vcom.className = "variation-comment";
-
-            const vbody = document.createElement("span");
-            vbody.textContent = figurineComment(c);
-
-            vcom.appendChild(vbody);
-            content.appendChild(vcom);
-          });
-        }
+        this._renderLine(head, content, [], content);
 
         block.appendChild(icon);
         block.appendChild(content);
@@ -887,6 +1085,115 @@ class VideoComment {
     return hasContent;
   }
 
+  /* Render one variation line: numbered moves with their glyphs and
+     comments, each sub-variation nested (indented) right after the move
+     it replaces. Moves are appended to `order` in reading order. */
+  _renderLine(head, parentEl, order, contentEl) {
+
+    const line = document.createElement("div");
+    line.className = "variation-line";
+
+    const startFen = head.parent ? head.parent.fen : null;
+    (head.preComments || []).forEach(c => line.appendChild(this._comment(c, startFen)));
+
+    let needsNumber = true;
+
+    for (let node = head; node; node = node.next) {
+
+      if (node.color === "w" || needsNumber) {
+        const numSpan = document.createElement("span");
+        numSpan.className   = "var-move-number";
+        numSpan.textContent = node.color === "w" ? `${node.moveNumber}.` : `${node.moveNumber}…`;
+        line.appendChild(numSpan);
+      }
+      needsNumber = false;
+
+      const moveSpan = document.createElement("span");
+      moveSpan.className   = "var-move";
+      moveSpan.textContent = toFigurine(node.san) +
+        node.nags.map(nag => NAG_TO_GLYPH[nag] || "").join("");
+      moveSpan.onclick = () => this.engine.enterVariation(node, order, contentEl);
+      line.appendChild(moveSpan);
+
+      order.push(node);
+      this._nodeSpans.set(node, moveSpan);
+
+      if (node.comment) {
+        line.appendChild(this._comment(node.comment, node.fen));
+        needsNumber = true;
+      }
+
+      if (node.variations.length) {
+        node.variations.forEach(sub => {
+          const nested = document.createElement("div");
+          nested.className = "variation-nested";
+          this._renderLine(sub, nested, order, contentEl);
+          line.appendChild(nested);
+        });
+        needsNumber = true;
+      }
+    }
+
+    parentEl.appendChild(line);
+  }
+
+  _comment(text, fen) {
+    const vcom = document.createElement("span");
+    vcom.className = "variation-comment";
+    this._fillComment(vcom, text, fen);
+    return vcom;
+  }
+
+  /* Comments go through the same markdown / HTML sanitizer as <pgn> and
+     <puzzle>. With the clickable-moves attribute, SAN in the text becomes
+     a .cp-inline-move span that previews the move on the board, played
+     from `fen` — the position the comment is attached to. */
+  _fillComment(el, text, fen) {
+    if (!this.engine.clickableMoves || !fen) {
+      el.innerHTML = formatComment(text);
+      return;
+    }
+
+    el.innerHTML = formatCommentClickable(text);
+
+    /* Like the puzzle's inline moves, a click replays the comment's
+       moves up to and including the clicked one; a move that doesn't
+       follow on from the earlier ones is tried on its own, then as a
+       plan of the side that just moved. SAN-looking text that can't be
+       played from here at all stays plain text. */
+    const spans = Array.from(el.querySelectorAll(".cp-inline-move[data-san]"));
+    const sans  = spans.map(sp => sp.dataset.san);
+    spans.forEach((span, idx) => {
+      const san    = sans[idx];
+      const target = replayMoves(fen, sans.slice(0, idx + 1)) ||
+        replayMoves(fen, [san]) ||
+        replayMoves(passTurn(fen), [san]);
+      if (!target) {
+        span.replaceWith(document.createTextNode(span.textContent));
+        return;
+      }
+      span.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.el.querySelectorAll(".cp-inline-move.active").forEach(sp => sp.classList.remove("active"));
+        span.classList.add("active");
+        this.engine.showVariationPosition(target);
+      });
+    });
+  }
+
+  /** Mark the variation move currently on the board. */
+  highlight(node) {
+    if (!this.el) return;
+    this.el.querySelectorAll(".var-move.active").forEach(s => s.classList.remove("active"));
+    const span = this._nodeSpans && this._nodeSpans.get(node);
+    if (span) span.classList.add("active");
+  }
+
+  setInVariation(flag) {
+    if (this._backBtn) this._backBtn.classList.toggle("hidden", !flag);
+    if (!flag) this.highlight(null);
+  }
+
 }
 
 
@@ -927,9 +1234,9 @@ class VideoEngine {
     wrapper.addEventListener("mouseenter", activate, { signal });
     wrapper.addEventListener("touchstart", activate, { passive: true, signal });
 
-    this.board = Chessboard(this.boardEl, {
+    this.board = createChessboard(this.boardEl, {
       position:   "start",
-      pieceTheme: "https://chessboardjs.com/img/chesspieces/wikipedia/{piece}.png",
+      pieceTheme: pieceTheme(this.boardEl),
       moveSpeed:  200
     });
 
@@ -952,6 +1259,9 @@ class VideoEngine {
     this.state = {
       moves:       [],
       evals:       [],
+      clocks:      [],
+      clockBase:   null,
+      startFen:    null,
       cache:       [],
       index:       0,
       playing:     false,
@@ -966,6 +1276,9 @@ class VideoEngine {
     this._loopLastTick = null;
     this._variation    = null; // active variation nav state
 
+    /* Set from the clickable-moves attribute (see VideoComment) */
+    this.clickableMoves = false;
+
     /* ---- Board click (toggle play/pause) ---- */
     this.boardEl.addEventListener("click", () => this.togglePlay(true), { signal });
 
@@ -995,6 +1308,9 @@ class VideoEngine {
 
     /* ---- Sub-systems ---- */
     this.evalBar    = new EvalBar(container);
+    this.evalGraph  = new EvalGraph(container.parentElement, this);
+    this.timeline   = new VideoTimeline(container.parentElement, this);
+    this.clock      = new VideoClock(container.parentElement);
     this.title      = new VideoTitle(container.parentElement);
     this.moveList   = new VideoMoveList(container.parentElement, this);
     this.commentBox = new VideoComment(container.parentElement, this);
@@ -1026,16 +1342,13 @@ class VideoEngine {
 
           if (action === "flip") {
             this.board.flip();
-            if (this.evalBar && this.evalBar.bar) {
-              const isFlipped = this.board.orientation() === "black";
-              this.evalBar.bar.style.transform = isFlipped ? "rotate(180deg)" : "";
+            if (this.evalBar) {
+              this.evalBar.setFlipped(this.board.orientation() === "black");
             }
+            this._updateClock(this.state.index);
             requestAnimationFrame(() => {
               if (this._variation) {
-                const vi = this._variation.index;
-                const ann = this._variation.moveAnnotations?.[vi - 1];
-                const move = vi > 0 ? this._variation.verbose[vi - 1] : null;
-                this.showVariationPosition(this._variation.fens[vi], ann, move);
+                this.showVariationPosition(this._variation.node);
               } else {
                 const moveIdx = this.state.index - 1;
                 this._drawLastMoveArrow(moveIdx);
@@ -1055,8 +1368,11 @@ class VideoEngine {
             if (label) label.textContent = this.state.speed + "x";
           }
 
-          if (action === "download" && this._rawPGN) {
-            const blob = new Blob([this._rawPGN], { type: "application/x-chess-pgn" });
+          if (action === "download" && (this._game || this._rawPGN)) {
+            /* Re-serialize the parsed tree so the file is clean export-format
+               PGN rather than whatever formatting the source happened to use. */
+            const text = this._game ? toPGN(this._game) : this._rawPGN;
+            const blob = new Blob([text], { type: "application/x-chess-pgn" });
             const a = document.createElement("a");
             a.href = URL.createObjectURL(blob);
             const white = this.state.headers.White || "game";
@@ -1094,10 +1410,15 @@ class VideoEngine {
 
   load(data, rawPGN) {
 
+    this.state.playing = false;
     this._rawPGN = rawPGN || "";
+    this._game   = data.game || null;
 
+    this.state.startFen    = data.startFen    || null;
     this.state.moves       = data.moves       || [];
     this.state.evals       = data.evals       || [];
+    this.state.clocks      = data.clocks      || [];
+    this.state.clockBase   = data.clockBase   ?? null;
     this.state.headers     = data.headers     || {};
     this.state.comments    = data.comments    || [];
     this.state.variations  = data.variations  || [];
@@ -1105,21 +1426,47 @@ class VideoEngine {
     this.state.glyphs      = data.glyphs      || [];
 
     if (this.evalBar) this.evalBar.setDisabled(!data.hasEvals);
+    if (this.clock)   this.clock.setEnabled(data.hasClocks, data.clocksElapsed);
 
     this.buildCache();
 
+    if (this.evalGraph) {
+      this.evalGraph.setVisible(data.hasEvals);
+      if (data.hasEvals) {
+        const scores = this.state.cache.map((_, i) => this._evalAt(i));
+        this.evalGraph.build(scores, this.state.glyphs, this.evalBar ? this.evalBar.scale : "cp");
+      }
+    }
+
+    if (this.timeline) {
+      const marks = [];
+      this.state.moves.forEach((_, k) => {
+        if (this.state.variations[k] && this.state.variations[k].length) {
+          marks.push({ ply: k + 1, kind: "variation" });
+        } else if (this.state.comments[k]) {
+          marks.push({ ply: k + 1, kind: "comment" });
+        }
+      });
+      this.timeline.build(this.state.moves.length, marks);
+    }
+
     this.goTo(0);
     this.showPlayBtn();
 
     if (this.title)    this.title.build(this.state.headers);
-    if (this.moveList) this.moveList.build(this.state.moves, this.state.glyphs, this.state.headers);
+    if (this.moveList) {
+      this.moveList.build(this.state.moves, this.state.glyphs, this.state.headers, this._moveContext(0));
+    }
   }
 
 
 
   buildCache() {
 
-    this.chess.reset();
+    /* cache[0] is the initial position — the [FEN] set-up when the
+       game has one, otherwise the standard start. */
+    if (this.state.startFen) this.chess.load(this.state.startFen);
+    else this.chess.reset();
     this.state.cache    = [];
     this.state.history  = []; // verbose move records, parallel to moves[]
     this.state.cache[0] = this.chess.fen();
@@ -1145,67 +1492,77 @@ class VideoEngine {
      VARIATION NAVIGATION
   =========================== */
 
-  enterVariation(fens, moveAnnotations, index, contentEl, verbose) {
-    this._variation = {
-      fens,
-      moveAnnotations: moveAnnotations || [],
-      verbose: verbose || [],
-      index,
-      mainStateIndex: this.state.index,
-      contentEl
-    };
+  /* The variation tree shown in the comment area is navigated node by
+     node. `order` lists the tree's moves in reading order (each move,
+     then the sub-variations that branch off it), which is what the
+     arrow keys walk; stepping off either end returns to the main line. */
+  enterVariation(node, order, contentEl) {
+    if (!this._variation) {
+      this._variation = { mainStateIndex: this.state.index };
+    }
+    this._variation.order     = order;
+    this._variation.contentEl = contentEl;
+    if (this.commentBox) this.commentBox.setInVariation(true);
+    this.variationGoTo(node);
   }
 
   exitVariation() {
-    if (this._variation?.contentEl) {
-      this._variation.contentEl.querySelectorAll(".var-move")
-        .forEach(s => s.classList.remove("active"));
-    }
+    if (this.commentBox) this.commentBox.setInVariation(false);
     this._variation = null;
   }
 
-  variationGoTo(index) {
-    this._variation.index = index;
-    const fen = this._variation.fens[index];
-    const ann = this._variation.moveAnnotations?.[index - 1];
-    const move = index > 0 ? this._variation.verbose[index - 1] : null;
-    this.showVariationPosition(fen, ann, move);
+  /* Leave the variation and show the main-line position it branched from. */
+  backToMainLine() {
+    if (!this._variation) return;
+    const mainIdx = this._variation.mainStateIndex;
+    this.exitVariation();
+    this.goTo(mainIdx);
+  }
 
-    // Update active highlighting on variation move spans
-    if (this._variation.contentEl) {
-      const spans = this._variation.contentEl.querySelectorAll(".var-move");
-      spans.forEach(s => s.classList.remove("active"));
-      if (index > 0 && index - 1 < spans.length) {
-        spans[index - 1].classList.add("active");
-      }
+  variationStep(delta) {
+    const { order, node, mainStateIndex } = this._variation;
+    const k = order.indexOf(node) + delta;
+    if (k >= 0 && k < order.length) {
+      this.variationGoTo(order[k]);
+      return;
     }
+    this.exitVariation();
+    this.goTo(delta > 0 ? mainStateIndex + 1 : mainStateIndex);
+  }
+
+  variationGoTo(node) {
+    this._variation.node = node;
+    this.showVariationPosition(node);
+    if (this.commentBox) this.commentBox.highlight(node);
   }
 
 
   /* FIX 3 ── clear last-move arrow when showing a variation position */
-  showVariationPosition(fen, ann, move) {
+  showVariationPosition(node) {
     this._clearLastMoveArrow();
-    this.board.position(fen, true);
+    this.board.position(node.fen, true);
     if (this.goodMove) this.goodMove._clear();
 
     /* Draw last-move arrow for the variation move */
-    if (move && move.from && move.to) {
+    if (node.from && node.to) {
       const svg = createGridOverlaySVG(this.boardEl, "last-move-overlay");
       if (svg) {
-        svg.style.zIndex = "14";
-        _drawLastMoveArrowSVG(svg, svg.parentNode, move.from, move.to);
+        _drawLastMoveArrowSVG(svg, svg.parentNode, node.from, node.to);
       }
     }
 
-    /* Render variation annotations (e.g. [%cal], [%csl]) on the board */
+    /* Render the move's own annotations ([%cal], [%csl]) on the board */
     this.clearOverlay();
-    if (ann) {
-      const node = { arrows: [], squareMarks: [] };
-      ann.cal?.forEach(entry => node.arrows.push(...parseCAL(entry)));
-      ann.csl?.forEach(entry => node.squareMarks.push(...parseCSL(entry)));
-      if (node.arrows.length || node.squareMarks.length) {
-        applyBoardAnnotations(this.boardEl, node);
-      }
+    if (node.arrows.length || node.squareMarks.length) {
+      applyBoardAnnotations(this.boardEl, node);
+    }
+
+    /* Move-quality badge for the variation move */
+    const glyph = nagsToGlyph(node.nags);
+    if (glyph && this.goodMove) {
+      requestAnimationFrame(() => {
+        if (this._variation && this._variation.node === node) this.goodMove.show(glyph, node.to);
+      });
     }
   }
 
@@ -1234,7 +1591,6 @@ class VideoEngine {
 
     const svg = createGridOverlaySVG(this.boardEl, "last-move-overlay");
     if (!svg) return;
-    svg.style.zIndex = "14";
 
     _drawLastMoveArrowSVG(svg, svg.parentNode, lastMove.from, lastMove.to);
   }
@@ -1251,14 +1607,7 @@ class VideoEngine {
 
   buildMoveNode(moveIndex) {
     if (moveIndex < 0) return null;
-    const ann = this.state.annotations?.[moveIndex];
-    if (!ann) return null;
-
-    const node = { arrows: [], squareMarks: [] };
-    ann.cal?.forEach(entry => node.arrows.push(...parseCAL(entry)));
-    ann.csl?.forEach(entry => node.squareMarks.push(...parseCSL(entry)));
-
-    return (node.arrows.length || node.squareMarks.length) ? node : null;
+    return this.state.annotations?.[moveIndex] || null;
   }
 
   renderAnnotations(moveIndex) {
@@ -1270,18 +1619,81 @@ class VideoEngine {
 
 
 
+  /* Move number and side for moves[moveIndex], counted from the
+     initial position (cache[0]) rather than assuming 1. White. */
   _moveContext(moveIndex) {
+    const fields  = (this.state.cache[0] || "").split(" ");
+    const startNo = parseInt(fields[5], 10) || 1;
+    const ply     = (startNo - 1) * 2 + (fields[1] === "b" ? 1 : 0) + moveIndex;
     return {
-      fullMoveNum: Math.floor(moveIndex / 2) + 1,
-      isBlack:     moveIndex % 2 === 1
+      fullMoveNum: Math.floor(ply / 2) + 1,
+      isBlack:     ply % 2 === 1
     };
   }
 
 
 
+  /* Remaining time for one side at position i: that side's latest
+     clock among the moves played so far, else the starting time. With
+     elapsed clocks, the time that side spent on its latest move. */
+  _clockAt(i, isBlack) {
+    for (let k = i - 1; k >= 0; k--) {
+      if (this._moveContext(k).isBlack !== isBlack) continue;
+      const t = this.state.clocks[k];
+      if (t !== null && t !== undefined) return t;
+    }
+    return this.state.clockBase;
+  }
+
+  /* Eval at position i — evals[k] is the eval after move k. Moves
+     without an [%eval] keep the last known eval; a final position
+     without one (typically after mate) falls back to the game result.
+     The start position, with nothing known yet, is null (level). */
+  _evalAt(i) {
+    const ev = i > 0 ? this.state.evals[i - 1] : null;
+    if (ev) return ev;
+
+    const r = this.state.headers.Result;
+    if (i > 0 && i === this.state.moves.length && r && r !== "*") {
+      return { score: r === "1-0" ? 8 : r === "0-1" ? -8 : 0, mate: null, depth: null, result: r };
+    }
+    for (let k = i - 2; k >= 0; k--) {
+      if (this.state.evals[k]) return this.state.evals[k];
+    }
+    return null;
+  }
+
+  /* "17. Nd4" / "17… Nd4" for moves[moveIndex], in figurine notation. */
+  _moveLabel(moveIndex) {
+    const ctx = this._moveContext(moveIndex);
+    const san = toFigurine(this.state.moves[moveIndex] || "");
+    return `${ctx.fullMoveNum}${ctx.isBlack ? "…" : "."} ${san}`;
+  }
+
+  /* Jump to ply i from a seek control (timeline, eval graph), pausing
+     playback and leaving any open variation. */
+  seek(i) {
+    if (i === this.state.index && !this._variation) return;
+    this.pause();
+    this.goTo(i);
+  }
+
+  _updateClock(i) {
+    if (!this.clock) return;
+    this.clock.update(
+      this._clockAt(i, false),
+      this._clockAt(i, true),
+      !this._moveContext(i).isBlack,
+      this.board.orientation() === "black",
+      this.state.headers
+    );
+  }
+
+
+
   goTo(i) {
 
-    this._variation = null;
+    if (this._variation) this.exitVariation();
 
     if (i < 0) i = 0;
     if (i >= this.state.cache.length) i = this.state.cache.length - 1;
@@ -1290,17 +1702,11 @@ class VideoEngine {
 
     this.state.index = i;
 
-    /* Eval bar */
-    let score = this.state.evals[i];
-    if (score === undefined || score === null) {
-      if (i === this.state.moves.length && this.state.headers.Result) {
-        const r = this.state.headers.Result;
-        score = r === "1-0" ? 8 : r === "0-1" ? -8 : 0;
-      } else {
-        score = 0;
-      }
-    }
-    this.evalBar.update(score);
+    this.evalBar.update(this._evalAt(i));
+    if (this.evalGraph) this.evalGraph.highlight(i);
+    if (this.timeline)  this.timeline.update(i);
+
+    this._updateClock(i);
 
     const moveIdx = i - 1;
 
@@ -1310,8 +1716,6 @@ class VideoEngine {
     this._drawLastMoveArrow(moveIdx);
 
     if (this.commentBox) {
-      const branchFEN = moveIdx >= 0 ? this.state.cache[moveIdx] : null;
-      const ctx       = moveIdx >= 0 ? this._moveContext(moveIdx) : { fullMoveNum: 1, isBlack: false };
       const gameOver  = i >= this.state.moves.length;
 
       if (this.state.playing) {
@@ -1321,9 +1725,6 @@ class VideoEngine {
           this.state.comments,
           this.state.variations,
           false,
-          branchFEN,
-          ctx.fullMoveNum,
-          ctx.isBlack,
           gameOver
         );
         if (hasComment) this.pause(); // pause() will re-render with isPaused=true
@@ -1334,9 +1735,6 @@ class VideoEngine {
           this.state.comments,
           this.state.variations,
           true,
-          branchFEN,
-          ctx.fullMoveNum,
-          ctx.isBlack,
           gameOver
         );
         if (hasComment)          this.hidePlayBtn();
@@ -1551,6 +1949,10 @@ class PgnPlayerElement extends HTMLElement {
     const inlineText = this.textContent.trim();
     this.innerHTML = "";
 
+    /* piece-set / theme stay on the element itself, which holds the
+       board and the timeline thumbnails. */
+    applyBoardStyle(this, this);
+
     /* ── Build internal DOM ── */
 
     const wrapper = document.createElement("div");
@@ -1562,6 +1964,21 @@ class PgnPlayerElement extends HTMLElement {
     wrapper.innerHTML = `
       <div class="video-title"></div>
 
+      <div class="game-picker hidden">
+        <button class="game-picker-btn" data-action="prev-game" title="Previous game" aria-label="Previous game">
+          <span class="lucide-icon" data-lucide="chevron-left"></span>
+        </button>
+        <select class="game-picker-select" aria-label="Select game"></select>
+        <button class="game-picker-btn" data-action="next-game" title="Next game" aria-label="Next game">
+          <span class="lucide-icon" data-lucide="chevron-right"></span>
+        </button>
+      </div>
+
+      <div class="player-clock clock-top hidden">
+        <span class="clock-name"></span>
+        <span class="clock-time"></span>
+      </div>
+
       <div class="player-container">
         <div class="board-toolbar">
           <button class="settings-toggle" aria-label="Settings">
@@ -1591,8 +2008,28 @@ class PgnPlayerElement extends HTMLElement {
         <div class="eval-bar">
           <div class="eval-fill"></div>
         </div>
+        <div class="eval-label hidden"></div>
       </div>
 
+      <div class="player-clock clock-bottom hidden">
+        <span class="clock-name"></span>
+        <span class="clock-time"></span>
+      </div>
+
+      <div class="video-timeline hidden">
+        <div class="timeline-track" role="slider" aria-label="Seek" aria-valuemin="0" aria-valuenow="0">
+          <div class="timeline-fill"></div>
+          <div class="timeline-handle"></div>
+        </div>
+        <span class="timeline-counter"></span>
+        <div class="timeline-thumb hidden">
+          <div class="timeline-thumb-board"></div>
+          <div class="timeline-thumb-label"></div>
+        </div>
+      </div>
+
+      <div class="eval-graph hidden" title="Evaluation — click or drag to seek"></div>
+
       <div class="video-moves"></div>
       <div class="video-comment"></div>
     `;
@@ -1605,15 +2042,22 @@ class PgnPlayerElement extends HTMLElement {
 
     /* ── Initialise engine ── */
 
-    /* Defer so CSS is computed before chessboard.js reads offsetWidth.
-       Without this, synchronous (IIFE) bundles initialise the board
-       before styles are applied, causing incorrect board sizing. */
+    /* Defer so CSS is computed before the eval bar reads the board's
+       height. Without this, synchronous (IIFE) bundles initialise the
+       player before styles are applied, and the bar comes out wrong. */
     requestAnimationFrame(() => {
 
     const container = wrapper.querySelector(".player-container");
     const engine    = new VideoEngine(container);
     this._engine = engine;
 
+    /* eval-scale="win" fills the eval bar and graph by winning chances
+       instead of the pawn score. */
+    engine.evalBar.setScale(this.getAttribute("eval-scale"));
+
+    /* clickable-moves: SAN inside comments previews on the board. */
+    engine.clickableMoves = this.hasAttribute("clickable-moves");
+
     /* Pause when scrolled fully out of view */
     if (typeof IntersectionObserver !== "undefined") {
       const io = new IntersectionObserver((entries) => {
@@ -1633,7 +2077,7 @@ class PgnPlayerElement extends HTMLElement {
       }
     };
 
-    const renderFromText = (pgnText) => {
+    const renderGame = (pgnText) => {
       const data = loadPGN(pgnText);
       if (!data.moves || data.moves.length === 0) {
         throw new Error("No moves found in PGN");
@@ -1641,10 +2085,34 @@ class PgnPlayerElement extends HTMLElement {
       engine.load(data, pgnText);
     };
 
-    const pgnSrc = this.getAttribute("src");
+    /* A database (e.g. a whole Lichess study) is split into its games;
+       each one loads on its own so a broken chapter can't spill into
+       the others. `#game=N` in src picks the initial game (1-based). */
+    const pgnSrc    = this.getAttribute("src");
+    const gameMatch = pgnSrc ? pgnSrc.match(/#(?:.*&)?game=(\d+)/) : null;
+
+    let games = [];
+    const picker = new GamePicker(wrapper, (index) => {
+      try {
+        renderGame(games[index]);
+      } catch (err) {
+        showError(err.message);
+      }
+    }, engine._abortSignal);
+
+    const renderFromText = (pgnText) => {
+      games = splitIntoPgnGames(pgnText);
+      if (games.length <= 1) {
+        renderGame(pgnText);
+        return;
+      }
+      picker.build(games.map(gameTitle));
+      const requested = gameMatch ? parseInt(gameMatch[1], 10) - 1 : 0;
+      picker.show(Math.max(0, Math.min(games.length - 1, requested)));
+    };
 
     if (pgnSrc) {
-      const fetchUrl = normalizeLichessUrl(pgnSrc);
+      const fetchUrl = normalizeLichessUrl(pgnSrc.replace(/#.*$/, ""));
       fetch(fetchUrl)
         .then(r => {
           if (!r.ok) throw new Error(`HTTP ${r.status}`);
@@ -0,0 +1,220 @@
+/**
+ * ChessPublica — PGN Writer
+ *
+ * Serializes a game tree from pgn-parser.js back into export-format PGN:
+ * Seven Tag Roster first, move numbers only where the standard asks for
+ * them, and lines wrapped at 80 columns. NAGs and comments come back as
+ * they were written — annotations ([%csl], [%cal], [%eval], [%clk], …)
+ * and [D] diagram markers stay where they stood in their comment — so
+ * toPGN(parsePGNGame(pgn)) gives back the same game tree and comment
+ * text. Nodes built without a parser (no rawComments) have their
+ * annotations and diagrams re-encoded from parts, arrows, squareMarks
+ * and commands.
+ */
+
+import { DEFAULT_FEN } from "./pgn-parser.js";
+
+var LINE_WIDTH = 80;
+
+/* The Seven Tag Roster, in the order the PGN standard requires, with
+   the placeholder each tag gets when the game does not supply one. */
+var SEVEN_TAG_ROSTER = [
+  ["Event", "?"],
+  ["Site", "?"],
+  ["Date", "????.??.??"],
+  ["Round", "?"],
+  ["White", "?"],
+  ["Black", "?"],
+  ["Result", "*"],
+];
+
+/* Move-quality suffixes are kept on the move they annotate. */
+var RE_SUFFIX_NAG = /^[!?]{1,2}$/;
+
+/**
+ * Serialize a game tree to PGN text.
+ *
+ * @param {Object} tree     a parsePGNGame() result, or the first move node
+ *                          of a line (e.g. buildMoveTree()'s return value)
+ * @param {Object} [headers] tag pairs; defaults to tree.headers when a
+ *                          parsePGNGame() result is passed
+ * @returns {string}
+ */
+export function toPGN(tree, headers) {
+  var isGame = !!(tree && tree.root);
+  var head = isGame ? tree.root.next : tree || null;
+  var startFen = isGame
+    ? tree.root.fen
+    : (head && head.parent && head.parent.fen) || DEFAULT_FEN;
+
+  headers = headers || (isGame ? tree.headers : null) || {};
+  var result = headers.Result || (isGame && tree.result) || "*";
+
+  var out = writeTags(headers, result, startFen);
+
+  var words = [];
+  if (head) {
+    writeLine(head, words);
+  } else if (isGame && tree.root.preComments) {
+    tree.root.preComments.forEach(function (c) { pushComment(words, c); });
+  }
+  words.push(result);
+
+  return out + "\n" + wrapWords(words).join("\n") + "\n";
+}
+
+/* ── Tag section ────────────────────────────────────────── */
+
+function escapeTagValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+}
+
+function writeTags(headers, result, startFen) {
+  var lines = [];
+  var written = {};
+
+  SEVEN_TAG_ROSTER.forEach(function (entry) {
+    var name = entry[0];
+    var value = name === "Result" ? result : headers[name];
+    if (value === undefined || value === null || value === "") value = entry[1];
+    lines.push("[" + name + ' "' + escapeTagValue(value) + '"]');
+    written[name] = true;
+  });
+
+  /* A non-standard start position is written as SetUp/FEN right after
+     the roster, even when the caller's headers don't carry them. */
+  var fen = headers.FEN || (startFen !== DEFAULT_FEN ? startFen : null);
+  if (fen) {
+    lines.push('[SetUp "1"]');
+    lines.push('[FEN "' + escapeTagValue(fen) + '"]');
+    written.SetUp = written.FEN = true;
+  }
+
+  Object.keys(headers).forEach(function (name) {
+    if (written[name]) return;
+    lines.push("[" + name + ' "' + escapeTagValue(headers[name]) + '"]');
+  });
+
+  return lines.join("\n") + "\n";
+}
+
+/* ── Movetext ───────────────────────────────────────────── */
+
+/* Comments are delimited by braces, so any braces in the text itself
+   are dropped. */
+function pushComment(words, text) {
+  var parts = String(text).replace(/[{}]/g, "").split(/\s+/).filter(Boolean);
+  if (!parts.length) return;
+  parts[0] = "{" + parts[0];
+  parts[parts.length - 1] += "}";
+  for (var i = 0; i < parts.length; i++) words.push(parts[i]);
+}
+
+function encodeSquareMarks(marks) {
+  return "[%csl " + marks.map(function (m) { return m.color + m.square; }).join(",") + "]";
+}
+
+function encodeArrows(arrows) {
+  return "[%cal " + arrows.map(function (a) { return a.color + a.from + a.to; }).join(",") + "]";
+}
+
+/**
+ * The brace comments that follow a move: the parser's rawComments when
+ * the node has them, otherwise rebuilt — board annotations and other
+ * [%…] commands open the first comment, and a [D] marker closes the
+ * comment of the text before it with its caption behind it, matching
+ * how the parser splits a comment at the marker.
+ */
+function nodeComments(node) {
+  if (node.rawComments) return node.rawComments;
+
+  var commands = [];
+  if (node.squareMarks && node.squareMarks.length) commands.push(encodeSquareMarks(node.squareMarks));
+  if (node.arrows && node.arrows.length) commands.push(encodeArrows(node.arrows));
+  var cmds = node.commands || {};
+  Object.keys(cmds).forEach(function (name) {
+    commands.push("[%" + name + " " + cmds[name] + "]");
+  });
+
+  var comments = [];
+  var afterText = false;
+  (node.parts || []).forEach(function (part) {
+    if (part.type === "diagram") {
+      var marker = "[D" +
+        (part.orientation ? " " + part.orientation : "") +
+        (part.anchor ? " #" + part.anchor : "") + "]";
+      if (part.caption) marker += " " + part.caption;
+      /* Text right before a diagram shared its comment. */
+      if (afterText) comments[comments.length - 1] += " " + marker;
+      else comments.push(marker);
+      afterText = false;
+    } else if (part.type === "text") {
+      comments.push(part.value);
+      afterText = true;
+    }
+  });
+
+  if (commands.length) {
+    if (comments.length) comments[0] = commands.join(" ") + " " + comments[0];
+    else comments.push(commands.join(" "));
+  }
+  return comments;
+}
+
+function writeLine(head, words) {
+  var needsNumber = true;
+
+  (head.preComments || []).forEach(function (c) { pushComment(words, c); });
+
+  for (var node = head; node; node = node.next) {
+    /* The move number travels with its move so a wrap never strands it. */
+    var nags = (node.nags || []).slice();
+    var move = node.san;
+    if (nags.length && RE_SUFFIX_NAG.test(nags[0])) move += nags.shift();
+    if (node.color === "w") {
+      words.push(node.moveNumber + ". " + move);
+    } else if (needsNumber) {
+      words.push(node.moveNumber + "... " + move);
+    } else {
+      words.push(move);
+    }
+    needsNumber = false;
+
+    nags.forEach(function (nag) { words.push(nag); });
+
+    var comments = nodeComments(node);
+    if (comments.length) {
+      comments.forEach(function (c) { pushComment(words, c); });
+      needsNumber = true;
+    }
+
+    if (node.variations && node.variations.length) {
+      node.variations.forEach(function (variation) {
+        var start = words.length;
+        writeLine(variation, words);
+        if (words.length === start) return;
+        words[start] = "(" + words[start];
+        words[words.length - 1] += ")";
+      });
+      needsNumber = true;
+    }
+  }
+}
+
+/* Greedy word wrap: no line exceeds LINE_WIDTH unless a single word
+   is longer than that on its own. */
+function wrapWords(words) {
+  var lines = [];
+  var line = "";
+  for (var i = 0; i < words.length; i++) {
+    var w = words[i];
+    if (line && line.length + 1 + w.length > LINE_WIDTH) {
+      lines.push(line);
+      line = w;
+    } else {
+      line = line ? line + " " + w : w;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
@@ -2,10 +2,9 @@
  * ChessPublica — PGN Engine
  *
  * Sections:
- *   1. Tokenizer        — parsePGN()
- *   2. Move Tree Builder — buildMoveTree()
- *   3. Header Parser     — parseHeaders()
- *   4. Static Renderer   — renderFullPGN(), renderHeaders(), renderMoveTree()
+ *   1. Move Tree Builder — buildMoveTree()
+ *   2. Static Renderer   — renderFullPGN(), renderHeaders(), renderMoveTree()
+ *   3. Diagram Numbering — numberDiagrams()
  */
 
 import {
@@ -13,337 +12,27 @@ import {
   toFigurine,
   formatComment,
   NAG_TO_GLYPH,
-  stripCommentAnnotations,
-  parseCSL,
-  parseCAL,
+  parseClock,
+  formatClock,
+  parseTimeControl,
 } from "./helpers.js";
+import { parsePGNGame, parseHeaders, DEFAULT_FEN } from "./pgn-parser.js";
 import { lucideIconUrl } from "./icons.js";
 import { createBoard } from "./board.js";
 
 /* ================================================================
-   1. PGN TOKENIZER
-================================================================ */
-
-export function parsePGN(pgnText) {
-  var movetext = extractMovetext(pgnText);
-  return tokenize(movetext);
-}
-
-function tokenize(text) {
-  var tokens = [];
-  var i = 0;
-
-  while (i < text.length) {
-    /* COMMENT */
-    if (text[i] === "{") {
-      var depth = 1;
-      var j = i + 1;
-      while (depth > 0 && j < text.length) {
-        if (text[j] === "{") depth++;
-        if (text[j] === "}") depth--;
-        j++;
-      }
-      tokens.push({ type: "comment", value: text.slice(i + 1, j - 1).trim() });
-      i = j;
-      continue;
-    }
-
-    /* VARIATION */
-    if (text[i] === "(") {
-      var depth2 = 1;
-      var j2 = i + 1;
-      while (depth2 > 0 && j2 < text.length) {
-        if (text[j2] === "(") depth2++;
-        if (text[j2] === ")") depth2--;
-        j2++;
-      }
-      tokens.push({ type: "variation", value: tokenize(text.slice(i + 1, j2 - 1)) });
-      i = j2;
-      continue;
-    }
-
-    var nagMatch = text.slice(i).match(/^\$\d+/);
-    if (nagMatch) {
-      tokens.push({ type: "nag", value: nagMatch[0] });
-      i += nagMatch[0].length;
-      continue;
-    }
-
-    /* Inline suffix NAGs: !!, ??, !?, ?!, !, ? */
-    var suffixNagMatch = text.slice(i).match(/^(!!|\?\?|!\?|\?!|!|\?)/);
-    if (suffixNagMatch) {
-      tokens.push({ type: "nag", value: suffixNagMatch[0] });
-      i += suffixNagMatch[0].length;
-      continue;
-    }
-
-    /* RESULT — must be checked BEFORE move number, because "1-0" starts with "1" */
-    var resultMatch = text.slice(i).match(/^(1-0|0-1|1\/2-1\/2|\*)/);
-    if (resultMatch) {
-      tokens.push({ type: "result", value: resultMatch[0] });
-      i += resultMatch[0].length;
-      continue;
-    }
-
-    var moveNumberMatch = text.slice(i).match(/^\d+(\.\.\.?)?\./);
-    if (moveNumberMatch) {
-      tokens.push({ type: "moveNumber", value: moveNumberMatch[0] });
-      i += moveNumberMatch[0].length;
-      continue;
-    }
-
-    var moveMatch = text
-      .slice(i)
-      .match(
-        /^(?:O-O-O|O-O|[KQRBN]?[a-h]?[1-8]?x?[a-h][1-8](?:=[QRBN])?|[a-h][1-8])[+#]?/,
-      );
-    if (moveMatch) {
-      tokens.push({ type: "move", value: moveMatch[0] });
-      i += moveMatch[0].length;
-      continue;
-    }
-
-    i++;
-  }
-
-  return tokens;
-}
-
-function extractMovetext(pgnText) {
-  return pgnText.split(/\r?\n[ \t]*\r?\n/).slice(1).join(" ").trim();
-}
-
-/* ================================================================
-   2. MOVE TREE BUILDER
+   1. MOVE TREE BUILDER
 ================================================================ */
 
+/* Parsing lives in pgn-parser.js (shared with <pgn-player> and
+   <puzzle>); the static renderer only needs the first main-line node,
+   which carries any comments written before move one as preComments. */
 export function buildMoveTree(pgnText) {
-  var tokens = parsePGN(pgnText);
-  var chess = new Chess();
-  var root = { next: null, fen: chess.fen() };
-  parseSequence(tokens, chess, root, pgnText);
-  if (root.preComments && root.next) {
-    root.next.preComments = root.preComments;
-  }
-  return root.next;
-}
-
-function getMoveNumber(fen) {
-  return parseInt(fen.split(" ")[5], 10) || 1;
-}
-
-function parseSequence(tokens, chess, parentNode, originalPgn) {
-  var current = parentNode;
-  var lastMoveNode = null;
-  var i = 0;
-
-  while (i < tokens.length) {
-    var token = tokens[i];
-
-    if (token.type === "moveNumber" || token.type === "result") {
-      i++;
-      continue;
-    }
-
-    /* MOVE */
-    if (token.type === "move") {
-      var move = chess.move(token.value, { sloppy: true });
-      if (!move) {
-        var currentFen = chess.fen();
-        var error = new Error(
-          "Invalid move: " + token.value + "\nMove number: " + getMoveNumber(currentFen),
-        );
-        error.pgnIndex = originalPgn.indexOf(token.value);
-        throw error;
-      }
-
-      var fen = chess.fen();
-      var fenMoveNum = getMoveNumber(fen);
-
-      var node = {
-        san: token.value,
-        fen: fen,
-        moveNumber: move.color === "w" ? fenMoveNum : fenMoveNum - 1,
-        color: move.color,
-        next: null,
-        parent: current,
-        variations: [],
-        parts: [],
-        nags: [],
-        arrows: [],
-        squareMarks: [],
-      };
-
-      current.next = node;
-      current = node;
-      lastMoveNode = node;
-      i++;
-      continue;
-    }
-
-    /* NAG */
-    if (token.type === "nag") {
-      if (lastMoveNode) lastMoveNode.nags.push(token.value);
-      i++;
-      continue;
-    }
-
-    /* COMMENT */
-    if (token.type === "comment") {
-      if (lastMoveNode) {
-        processComment(token.value, lastMoveNode, current, parentNode, chess, originalPgn);
-      } else {
-        var cleaned = stripCommentAnnotations(token.value);
-        if (cleaned.length) {
-          if (!parentNode.preComments) parentNode.preComments = [];
-          parentNode.preComments.push(cleaned);
-        }
-      }
-      i++;
-      continue;
-    }
-
-    /* VARIATION */
-    if (token.type === "variation") {
-      var branchFen = determineBranchFen(token.value, current, parentNode);
-      var snapshot = new Chess(branchFen);
-      var variationRoot = { next: null, fen: branchFen };
-
-      parseSequence(token.value, snapshot, variationRoot, originalPgn);
-
-      if (current && variationRoot.next) {
-        current.variations.push(variationRoot.next);
-      }
-
-      i++;
-      continue;
-    }
-
-    i++;
-  }
-}
-
-/* ── Comment processor ──────────────────────────────────── */
-
-var RE_CSL = /\[%csl\s+([^\]]+)\]/g;
-var RE_CAL = /\[%cal\s+([^\]]+)\]/g;
-
-/* Inline PGN variations embedded inside a brace comment, identified by
-   starting with a move number: "(1. Re1? e4 2. Ke7)".
-   Plain-prose parentheticals like "(Grob's Attack)" do NOT start with
-   digits and are left untouched. */
-var RE_INLINE_PGN_VAR = /\(\s*\d+\.+[^()]*\)/g;
-
-function processComment(commentText, lastMoveNode, current, parentNode, chess, originalPgn) {
-
-  /* ── Parse any inline PGN variations found in the comment ── */
-  RE_INLINE_PGN_VAR.lastIndex = 0;
-  var varMatch;
-  while ((varMatch = RE_INLINE_PGN_VAR.exec(commentText))) {
-    /* Strip the surrounding parens to get the bare move text. */
-    var inner = varMatch[0].slice(1, -1).trim();
-    var hasDiagram = inner.includes("[D]");
-
-    try {
-      var fakePGN = '[Event "?"]\n\n' + inner.replace(/\[D\]/g, "");
-      var variationTokens = parsePGN(fakePGN);
-      if (hasDiagram) variationTokens.push({ type: "comment", value: "[D]" });
-
-      var branchFen = determineBranchFen(variationTokens, current, parentNode);
-      var snapshot = new Chess(branchFen);
-      var variationRoot = { next: null, fen: branchFen };
-      parseSequence(variationTokens, snapshot, variationRoot, originalPgn);
-
-      if (current && variationRoot.next) {
-        current.variations.push(variationRoot.next);
-      }
-    } catch (_e) {
-      // Silently skip invalid inline variations
-    }
-  }
-
-  /* ── Extract square marks and arrows ── */
-  var cslM;
-  var hadSquareMarks = false;
-  RE_CSL.lastIndex = 0;
-  while ((cslM = RE_CSL.exec(commentText))) {
-    lastMoveNode.squareMarks = lastMoveNode.squareMarks.concat(parseCSL(cslM[1]));
-    hadSquareMarks = true;
-  }
-
-  var calM;
-  var hadArrows = false;
-  RE_CAL.lastIndex = 0;
-  while ((calM = RE_CAL.exec(commentText))) {
-    lastMoveNode.arrows = lastMoveNode.arrows.concat(parseCAL(calM[1]));
-    hadArrows = true;
-  }
-
-  var hasDiagramMarker = /\[D\]/.test(commentText);
-
-  /* ── Clean comment text (shared with pgn-player.js) ──
-     stripCommentAnnotations() removes [%…] tags, [D] markers, and
-     move-number-led parentheticals.  Plain prose parentheticals like
-     "(Grob's Attack)" are preserved. */
-  var cleaned = stripCommentAnnotations(commentText);
-
-  /* Push parts in PGN order: diagram first, then text. */
-  if (hasDiagramMarker || hadArrows || hadSquareMarks) {
-    lastMoveNode.parts.push({ type: "diagram" });
-  }
-  if (cleaned.length) {
-    lastMoveNode.parts.push({ type: "text", value: cleaned });
-  }
-}
-
-/* ── Smart branch logic ─────────────────────────────────── */
-
-function determineBranchFen(variationTokens, current, parentNode) {
-  if (!current) return parentNode.fen;
-
-  var firstMoveNumberToken = null;
-  for (var k = 0; k < variationTokens.length; k++) {
-    if (variationTokens[k].type === "moveNumber") {
-      firstMoveNumberToken = variationTokens[k];
-      break;
-    }
-  }
-
-  var variationColor;
-  if (firstMoveNumberToken && firstMoveNumberToken.value.includes("...")) {
-    variationColor = "b";
-  } else if (firstMoveNumberToken) {
-    variationColor = "w";
-  } else {
-    variationColor = current.color === "w" ? "b" : "w";
-  }
-
-  var nextToMove = current.color === "w" ? "b" : "w";
-
-  if (variationColor === nextToMove) {
-    return current.fen;
-  }
-  return current.parent && current.parent.fen
-    ? current.parent.fen
-    : parentNode.fen;
-}
-
-/* ================================================================
-   3. HEADER PARSER
-================================================================ */
-
-export function parseHeaders(pgnText) {
-  var headers = {};
-  var regex = /\[(\w+)\s+"([^"]*)"\]/g;
-  var match;
-  while ((match = regex.exec(pgnText))) {
-    headers[match[1]] = match[2];
-  }
-  return headers;
+  return parsePGNGame(pgnText).root.next;
 }
 
 /* ================================================================
-   4. STATIC PGN RENDERER
+   2. STATIC PGN RENDERER
 ================================================================ */
 
 export function renderHeaders(headers, container) {
@@ -403,7 +92,30 @@ export function renderHeaders(headers, container) {
   container.appendChild(title);
 }
 
-export function renderMoveTree(rootNode, container, headers) {
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.clocks] show the time spent next to each move
+ *   (from [%emt], or derived from consecutive [%clk] values)
+ * @param {string}  [options.orientation] diagrams' bottom side: "white",
+ *   "black" or "auto" (side to move); [D black] etc. override it
+ * @param {boolean} [options.coordinates] false hides diagram coordinates
+ * @param {boolean} [options.toMove] mark the side to move on diagrams
+ * @param {boolean} [options.captions] caption each diagram "Diagram N —
+ *   Position after 17...Nd4", followed by the comment text after its [D]
+ */
+export function renderMoveTree(rootNode, container, headers, options) {
+  options = options || {};
+  var lineOptions = {
+    clocks: !!options.clocks,
+    captions: !!options.captions,
+    timeControl: parseTimeControl(headers && headers.TimeControl),
+    diagram: {
+      orientation: options.orientation,
+      coordinates: options.coordinates,
+      toMove: !!options.toMove,
+    },
+  };
+
   var movesDiv = document.createElement("div");
   movesDiv.className = "pgn-moves";
 
@@ -416,7 +128,16 @@ export function renderMoveTree(rootNode, container, headers) {
     }
   }
 
-  renderLine(rootNode, movesDiv, false);
+  /* A game that starts from a set-up position ([FEN]/[SetUp]) opens
+     with a diagram, since the moves can't be followed without it. */
+  var startFen = rootNode.parent && rootNode.parent.fen;
+  if (startFen && startFen !== DEFAULT_FEN) {
+    var startBoard = createBoard(movesDiv, startFen, null, lineOptions.diagram);
+    startBoard.classList.add("cp-diagram");
+    if (lineOptions.captions) renderDiagramCaption(startBoard, null, startFen, null);
+  }
+
+  renderLine(rootNode, movesDiv, false, lineOptions);
 
   /* Append the game result (1-0 / 0-1 / ½-½) inline at the end of
      the main line. Skip "*" (ongoing) and missing values. */
@@ -441,7 +162,83 @@ function renderNAG(nags) {
   return out;
 }
 
-function renderLine(node, parent, isVariation) {
+/* [%csl]/[%cal] annotations can only be shown on a board, so a move
+   that carries them gets a diagram even without an explicit [D].
+   Without captions, the text after a [D] reads as an ordinary comment
+   below the board. */
+function displayParts(node, captions) {
+  var parts = [];
+  var hasDiagram = false;
+  (node.parts || []).forEach(function (part) {
+    if (part.type === "diagram") hasDiagram = true;
+    parts.push(part);
+    if (part.caption && !captions) parts.push({ type: "text", value: part.caption });
+  });
+  var hasAnnotations = (node.arrows && node.arrows.length) ||
+    (node.squareMarks && node.squareMarks.length);
+  if (!hasAnnotations || hasDiagram) return parts;
+  return [{ type: "diagram" }].concat(parts);
+}
+
+/* "Diagram N — Position after 17...Nd4" under a diagram, with the
+   comment text after its [D] on the next line. The number is filled in
+   by numberDiagrams() once the page's other diagrams are known. */
+function renderDiagramCaption(wrapper, node, fen, caption) {
+  var title = node
+    ? "Position after " + node.moveNumber + (node.color === "w" ? "." : "...") + toFigurine(node.san)
+    : (String(fen).split(" ")[1] === "b" ? "Black" : "White") + " to move";
+
+  var captionEl = document.createElement("div");
+  captionEl.className = "cp-diagram-caption";
+
+  var number = document.createElement("span");
+  number.className = "cp-diagram-number";
+  number.textContent = "Diagram";
+  captionEl.appendChild(number);
+  captionEl.appendChild(document.createTextNode(" — " + title));
+
+  if (caption) {
+    var note = document.createElement("span");
+    note.className = "cp-diagram-note";
+    note.innerHTML = formatComment(caption);
+    captionEl.appendChild(document.createTextNode(" — "));
+    captionEl.appendChild(note);
+  }
+
+  wrapper.appendChild(captionEl);
+}
+
+/* The element's diagram options, with a [D black]-style orientation
+   from the marker itself taking precedence. */
+function diagramOptions(base, part) {
+  if (!part.orientation) return base;
+  return {
+    orientation: part.orientation,
+    coordinates: base.coordinates,
+    toMove: base.toMove,
+  };
+}
+
+/* Seconds the mover spent on this move: [%emt] when given, otherwise
+   the drop between the same side's previous [%clk] (or the starting
+   time from [TimeControl]) and this one, plus the increment. */
+function timeSpent(node, timeControl) {
+  var emt = parseClock(node.commands.emt);
+  if (emt !== null) return emt;
+
+  var clk = parseClock(node.commands.clk);
+  if (clk === null) return null;
+
+  var previous = node.parent && node.parent.parent;
+  var before = previous && previous.san
+    ? parseClock(previous.commands.clk)
+    : timeControl ? timeControl.base : null;
+  if (before === null) return null;
+
+  return Math.max(0, before - clk + (timeControl ? timeControl.increment : 0));
+}
+
+function renderLine(node, parent, isVariation, options) {
   var current = node;
   var buffer = "";
   var lastMoveNumber = null;
@@ -472,12 +269,20 @@ function renderLine(node, parent, isVariation) {
     /* MOVE TEXT */
     buffer += toFigurine(current.san) + renderNAG(current.nags) + " ";
 
+    if (options.clocks) {
+      var spent = timeSpent(current, options.timeControl);
+      if (spent !== null) {
+        buffer += '<span class="pgn-clock">' + formatClock(spent) + "</span> ";
+      }
+    }
+
     lastMoveNumber = current.moveNumber;
 
     /* COMMENTS & DIAGRAMS — rendered in PGN order */
-    if (current.parts && current.parts.length) {
-      for (var pi = 0; pi < current.parts.length; pi++) {
-        var part = current.parts[pi];
+    var parts = displayParts(current, options.captions);
+    if (parts.length) {
+      for (var pi = 0; pi < parts.length; pi++) {
+        var part = parts[pi];
         if (part.type === "text") {
           if (isVariation) {
             /* Inline comments inside variations stay on the same line.
@@ -497,7 +302,12 @@ function renderLine(node, parent, isVariation) {
         } else if (part.type === "diagram") {
           flushBuffer(parent, buffer, isVariation);
           buffer = "";
-          createBoard(parent, current.fen, current);
+          /* Numbered with or without a caption, so the prose can
+             still refer to it. */
+          var board = createBoard(parent, current.fen, current, diagramOptions(options.diagram, part));
+          board.classList.add("cp-diagram");
+          if (part.anchor) board.id = part.anchor;
+          if (options.captions) renderDiagramCaption(board, current, current.fen, part.caption);
           needsMoveNumber = true;
         }
       }
@@ -512,7 +322,7 @@ function renderLine(node, parent, isVariation) {
         var variationWrapper = document.createElement("div");
         variationWrapper.className = "pgn-variation";
         parent.appendChild(variationWrapper);
-        renderLine(variationRoot, variationWrapper, true);
+        renderLine(variationRoot, variationWrapper, true, options);
       });
 
       needsMoveNumber = true;
@@ -530,25 +340,21 @@ function flushBuffer(parent, text, isVariation) {
   var p = document.createElement("p");
   p.className = isVariation ? "pgn-variation-line" : "pgn-mainline";
   /* Variation buffers carry already-sanitized comment HTML mixed with
-     plain SAN move text, so innerHTML is needed to render them.
-     Main-line buffers only ever hold move text, so textContent is fine
-     (and also slightly safer). */
-  if (isVariation) {
-    p.innerHTML = trimmed;
-  } else {
-    p.textContent = trimmed;
-  }
+     plain SAN move text, and either kind of line may carry the clock
+     spans built in renderLine, so innerHTML is needed to render them.
+     SAN comes from chess.js, never from raw PGN text. */
+  p.innerHTML = trimmed;
   parent.appendChild(p);
 }
 
-export function renderFullPGN(pgnText, container) {
+export function renderFullPGN(pgnText, container, options) {
   try {
     var headers = parseHeaders(pgnText);
     renderHeaders(headers, container);
 
     var rootNode = buildMoveTree(pgnText);
     if (rootNode) {
-      renderMoveTree(rootNode, container, headers);
+      renderMoveTree(rootNode, container, headers, options);
     }
   } catch (e) {
     var errorDiv = document.createElement("div");
@@ -558,3 +364,38 @@ export function renderFullPGN(pgnText, container) {
   }
 }
 
+/* ================================================================
+   3. DIAGRAM NUMBERING
+================================================================ */
+
+/**
+ * Number the page's <pgn> diagrams in document order, captioned or
+ * not, and let the prose refer to them: an empty link to a diagram's
+ * anchor — <a href="#kingside-attack"></a> for {[D #kingside-attack]} —
+ * reads "Diagram N". Run again whenever a <pgn> renders, since a src= game
+ * arriving late shifts the numbers after it.
+ *
+ * @param {ParentNode} [root=document]
+ */
+export function numberDiagrams(root) {
+  root = root || document;
+  var labels = {};
+  root.querySelectorAll(".cp-diagram").forEach(function (wrapper, i) {
+    var label = "Diagram " + (i + 1);
+    wrapper.setAttribute("data-diagram", String(i + 1));
+    var number = wrapper.querySelector(".cp-diagram-number");
+    if (number) number.textContent = label;
+    if (wrapper.id) labels[wrapper.id] = label;
+  });
+
+  root.querySelectorAll('a[href^="#"]').forEach(function (link) {
+    var label = labels[link.getAttribute("href").slice(1)];
+    if (!label) return;
+    /* data-diagram-ref marks a link filled in here, so a later pass
+       can renumber it. */
+    if (link.hasAttribute("data-diagram-ref") || !link.textContent.trim()) {
+      link.setAttribute("data-diagram-ref", "");
+      link.textContent = label;
+    }
+  });
+}
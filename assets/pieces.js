@@ -0,0 +1,45 @@
+/* ChessPublica — Piece set data URIs.
+   Generated by build.js from their npm packages so boards don't load
+   piece images from a third-party host. Do not edit by hand.
+
+   cburnett  Colin M.L. Burnett; GPLv2+ / CC BY-SA 3.0. The SVGs as
+             shipped in @lichess-org/chessground 10.1.1
+             (assets/chessground.cburnett.css).
+   merida    Armando Hernandez Marroquin's Chess Merida font, from
+             chess-merida-font 0.0.3 (MPL-2.0); each glyph redrawn as
+             an SVG with its outer contour filled white.
+
+   See "Piece art" in README.md. */
+
+var PIECE_SETS = {
+  cburnett: {
+    wK: "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHdpZHRoPSI0NSIgaGVpZ2h0PSI0NSI+PGcgZmlsbD0ibm9uZSIgZmlsbC1ydWxlPSJldmVub2RkIiBzdHJva2U9IiMwMDAiIHN0cm9rZS13aWR0aD0iMS41IiBzdHJva2UtbGluZWNhcD0icm91bmQiIHN0cm9rZS1saW5lam9pbj0icm91bmQiPjxwYXRoIGQ9Ik0yMi41IDExLjYzVjZNMjAgOGg1IiBzdHJva2UtbGluZWpvaW49Im1pdGVyIi8+PHBhdGggZD0iTTIyLjUgMjVzNC41LTcuNSAzLTEwLjVjMCAwLTEtMi41LTMtMi41cy0zIDIuNS0zIDIuNWMtMS41IDMgMyAxMC41IDMgMTAuNSIgZmlsbD0iI2ZmZiIgc3Ryb2tlLWxpbmVjYXA9ImJ1dHQiIHN0cm9rZS1saW5lam9pbj0ibWl0ZXIiLz48cGF0aCBkPSJNMTEuNSAzN2M1LjUgMy41IDE1LjUgMy41IDIxIDB2LTdzOS00LjUgNi0xMC41Yy00LTYuNS0xMy41LTMuNS0xNiA0VjI3di0zLjVjLTMuNS03LjUtMTMtMTAuNS0xNi00LTMgNiA1IDEwIDUgMTBWMzd6IiBmaWxsPSIjZmZmIi8+PHBhdGggZD0iTTExLjUgMzBjNS41LTMgMTUuNS0zIDIxIDBtLTIxIDMuNWM1LjUtMyAxNS41LTMgMjEgMG0tMjEgMy41YzUuNS0zIDE1LjUtMyAyMSAwIi8+PC9nPjwvc3ZnPg==",
+    wQ: "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHdpZHRoPSI0NSIgaGVpZ2h0PSI0NSI+PGcgZmlsbD0iI2ZmZiIgZmlsbC1ydWxlPSJldmVub2RkIiBzdHJva2U9IiMwMDAiIHN0cm9rZS13aWR0aD0iMS41IiBzdHJva2UtbGluZWNhcD0icm91bmQiIHN0cm9rZS1saW5lam9pbj0icm91bmQiPjxwYXRoIGQ9Ik04IDEyYTIgMiAwIDEgMS00IDAgMiAyIDAgMSAxIDQgMHptMTYuNS00LjVhMiAyIDAgMSAxLTQgMCAyIDIgMCAxIDEgNCAwek00MSAxMmEyIDIgMCAxIDEtNCAwIDIgMiAwIDEgMSA0IDB6TTE2IDguNWEyIDIgMCAxIDEtNCAwIDIgMiAwIDEgMSA0IDB6TTMzIDlhMiAyIDAgMSAxLTQgMCAyIDIgMCAxIDEgNCAweiIvPjxwYXRoIGQ9Ik05IDI2YzguNS0xLjUgMjEtMS41IDI3IDBsMi0xMi03IDExVjExbC01LjUgMTMuNS0zLTE1LTMgMTUtNS41LTE0VjI1TDcgMTRsMiAxMnoiIHN0cm9rZS1saW5lY2FwPSJidXR0Ii8+PHBhdGggZD0iTTkgMjZjMCAyIDEuNSAyIDIuNSA0IDEgMS41IDEgMSAuNSAzLjUtMS41IDEtMS41IDIuNS0xLjUgMi41LTEuNSAxLjUuNSAyLjUuNSAyLjUgNi41IDEgMTYuNSAxIDIzIDAgMCAwIDEuNS0xIDAtMi41IDAgMCAuNS0xLjUtMS0yLjUtLjUtMi41LS41LTIgLjUtMy41IDEtMiAyLjUtMiAyLjUtNC04LjUtMS41LTE4LjUtMS41LTI3IDB6IiBzdHJva2UtbGluZWNhcD0iYnV0dCIvPjxwYXRoIGQ9Ik0xMS41IDMwYzMuNS0xIDE4LjUtMSAyMiAwTTEyIDMzLjVjNi0xIDE1LTEgMjEgMCIgZmlsbD0ibm9uZSIvPjwvZz48L3N2Zz4=",
+    wR: "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHdpZHRoPSI0NSIgaGVpZ2h0PSI0NSI+PGcgZmlsbD0iI2ZmZiIgZmlsbC1ydWxlPSJldmVub2RkIiBzdHJva2U9IiMwMDAiIHN0cm9rZS13aWR0aD0iMS41IiBzdHJva2UtbGluZWNhcD0icm91bmQiIHN0cm9rZS1saW5lam9pbj0icm91bmQiPjxwYXRoIGQ9Ik05IDM5aDI3di0zSDl2M3ptMy0zdi00aDIxdjRIMTJ6bS0xLTIyVjloNHYyaDVWOWg1djJoNVY5aDR2NSIgc3Ryb2tlLWxpbmVjYXA9ImJ1dHQiLz48cGF0aCBkPSJNMzQgMTRsLTMgM0gxNGwtMy0zIi8+PHBhdGggZD0iTTMxIDE3djEyLjVIMTRWMTciIHN0cm9rZS1saW5lY2FwPSJidXR0IiBzdHJva2UtbGluZWpvaW49Im1pdGVyIi8+PHBhdGggZD0iTTMxIDI5LjVsMS41IDIuNWgtMjBsMS41LTIuNSIvPjxwYXRoIGQ9Ik0xMSAxNGgyMyIgZmlsbD0ibm9uZSIgc3Ryb2tlLWxpbmVqb2luPSJtaXRlciIvPjwvZz48L3N2Zz4=",
+    wB: "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHdpZHRoPSI0NSIgaGVpZ2h0PSI0NSI+PGcgZmlsbD0ibm9uZSIgZmlsbC1ydWxlPSJldmVub2RkIiBzdHJva2U9IiMwMDAiIHN0cm9rZS13aWR0aD0iMS41IiBzdHJva2UtbGluZWNhcD0icm91bmQiIHN0cm9rZS1saW5lam9pbj0icm91bmQiPjxnIGZpbGw9IiNmZmYiIHN0cm9rZS1saW5lY2FwPSJidXR0Ij48cGF0aCBkPSJNOSAzNmMzLjM5LS45NyAxMC4xMS40MyAxMy41LTIgMy4zOSAyLjQzIDEwLjExIDEuMDMgMTMuNSAyIDAgMCAxLjY1LjU0IDMgMi0uNjguOTctMS42NS45OS0zIC41LTMuMzktLjk3LTEwLjExLjQ2LTEzLjUtMS0zLjM5IDEuNDYtMTAuMTEuMDMtMTMuNSAxLTEuMzU0LjQ5LTIuMzIzLjQ3LTMtLjUgMS4zNTQtMS45NCAzLTIgMy0yeiIvPjxwYXRoIGQ9Ik0xNSAzMmMyLjUgMi41IDEyLjUgMi41IDE1IDAgLjUtMS41IDAtMiAwLTIgMC0yLjUtMi41LTQtMi41LTQgNS41LTEuNSA2LTExLjUtNS0xNS41LTExIDQtMTAuNSAxNC01IDE1LjUgMCAwLTIuNSAxLjUtMi41IDQgMCAwLS41LjUgMCAyeiIvPjxwYXRoIGQ9Ik0yNSA4YTIuNSAyLjUgMCAxIDEtNSAwIDIuNSAyLjUgMCAxIDEgNSAweiIvPjwvZz48cGF0aCBkPSJNMTcuNSAyNmgxME0xNSAzMGgxNW0tNy41LTE0LjV2NU0yMCAxOGg1IiBzdHJva2UtbGluZWpvaW49Im1pdGVyIi8+PC9nPjwvc3ZnPg==",
+    wN: "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHdpZHRoPSI0NSIgaGVpZ2h0PSI0NSI+PGcgZmlsbD0ibm9uZSIgZmlsbC1ydWxlPSJldmVub2RkIiBzdHJva2U9IiMwMDAiIHN0cm9rZS13aWR0aD0iMS41IiBzdHJva2UtbGluZWNhcD0icm91bmQiIHN0cm9rZS1saW5lam9pbj0icm91bmQiPjxwYXRoIGQ9Ik0yMiAxMGMxMC41IDEgMTYuNSA4IDE2IDI5SDE1YzAtOSAxMC02LjUgOC0yMSIgZmlsbD0iI2ZmZiIvPjxwYXRoIGQ9Ik0yNCAxOGMuMzggMi45MS01LjU1IDcuMzctOCA5LTMgMi0yLjgyIDQuMzQtNSA0LTEuMDQyLS45NCAxLjQxLTMuMDQgMC0zLTEgMCAuMTkgMS4yMy0xIDItMSAwLTQuMDAzIDEtNC00IDAtMiA2LTEyIDYtMTJzMS44OS0xLjkgMi0zLjVjLS43My0uOTk0LS41LTItLjUtMyAxLTEgMyAyLjUgMyAyLjVoMnMuNzgtMS45OTIgMi41LTNjMSAwIDEgMyAxIDMiIGZpbGw9IiNmZmYiLz48cGF0aCBkPSJNOS41IDI1LjVhLjUuNSAwIDEgMS0xIDAgLjUuNSAwIDEgMSAxIDB6bTUuNDMzLTkuNzVhLjUgMS41IDMwIDEgMS0uODY2LS41LjUgMS41IDMwIDEgMSAuODY2LjV6IiBmaWxsPSIjMDAwIi8+PC9nPjwvc3ZnPg==",
+    wP: "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHdpZHRoPSI0NSIgaGVpZ2h0PSI0NSI+PHBhdGggZD0iTTIyLjUgOWMtMi4yMSAwLTQgMS43OS00IDQgMCAuODkuMjkgMS43MS43OCAyLjM4QzE3LjMzIDE2LjUgMTYgMTguNTkgMTYgMjFjMCAyLjAzLjk0IDMuODQgMi40MSA1LjAzLTMgMS4wNi03LjQxIDUuNTUtNy40MSAxMy40N2gyM2MwLTcuOTItNC40MS0xMi40MS03LjQxLTEzLjQ3IDEuNDctMS4xOSAyLjQxLTMgMi40MS01LjAzIDAtMi40MS0xLjMzLTQuNS0zLjI4LTUuNjIuNDktLjY3Ljc4LTEuNDkuNzgtMi4zOCAwLTIuMjEtMS43OS00LTQtNHoiIGZpbGw9IiNmZmYiIHN0cm9rZT0iIzAwMCIgc3Ryb2tlLXdpZHRoPSIxLjUiIHN0cm9rZS1saW5lY2FwPSJyb3VuZCIvPjwvc3ZnPg==",
+    bK: "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHdpZHRoPSI0NSIgaGVpZ2h0PSI0NSI+PGcgZmlsbD0ibm9uZSIgZmlsbC1ydWxlPSJldmVub2RkIiBzdHJva2U9IiMwMDAiIHN0cm9rZS13aWR0aD0iMS41IiBzdHJva2UtbGluZWNhcD0icm91bmQiIHN0cm9rZS1saW5lam9pbj0icm91bmQiPjxwYXRoIGQ9Ik0yMi41IDExLjYzVjYiIHN0cm9rZS1saW5lam9pbj0ibWl0ZXIiLz48cGF0aCBkPSJNMjIuNSAyNXM0LjUtNy41IDMtMTAuNWMwIDAtMS0yLjUtMy0yLjVzLTMgMi41LTMgMi41Yy0xLjUgMyAzIDEwLjUgMyAxMC41IiBmaWxsPSIjMDAwIiBzdHJva2UtbGluZWNhcD0iYnV0dCIgc3Ryb2tlLWxpbmVqb2luPSJtaXRlciIvPjxwYXRoIGQ9Ik0xMS41IDM3YzUuNSAzLjUgMTUuNSAzLjUgMjEgMHYtN3M5LTQuNSA2LTEwLjVjLTQtNi41LTEzLjUtMy41LTE2IDRWMjd2LTMuNWMtMy41LTcuNS0xMy0xMC41LTE2LTQtMyA2IDUgMTAgNSAxMFYzN3oiIGZpbGw9IiMwMDAiLz48cGF0aCBkPSJNMjAgOGg1IiBzdHJva2UtbGluZWpvaW49Im1pdGVyIi8+PHBhdGggZD0iTTMyIDI5LjVzOC41LTQgNi4wMy05LjY1QzM0LjE1IDE0IDI1IDE4IDIyLjUgMjQuNWwuMDEgMi4xLS4wMS0yLjFDMjAgMTggOS45MDYgMTQgNi45OTcgMTkuODVjLTIuNDk3IDUuNjUgNC44NTMgOSA0Ljg1MyA5IiBzdHJva2U9IiNlY2VjZWMiLz48cGF0aCBkPSJNMTEuNSAzMGM1LjUtMyAxNS41LTMgMjEgMG0tMjEgMy41YzUuNS0zIDE1LjUtMyAyMSAwbS0yMSAzLjVjNS41LTMgMTUuNS0zIDIxIDAiIHN0cm9rZT0iI2VjZWNlYyIvPjwvZz48L3N2Zz4=",
+    bQ: "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHdpZHRoPSI0NSIgaGVpZ2h0PSI0NSI+PGcgZmlsbC1ydWxlPSJldmVub2RkIiBzdHJva2U9IiMwMDAiIHN0cm9rZS13aWR0aD0iMS41IiBzdHJva2UtbGluZWNhcD0icm91bmQiIHN0cm9rZS1saW5lam9pbj0icm91bmQiPjxnIHN0cm9rZT0ibm9uZSI+PGNpcmNsZSBjeD0iNiIgY3k9IjEyIiByPSIyLjc1Ii8+PGNpcmNsZSBjeD0iMTQiIGN5PSI5IiByPSIyLjc1Ii8+PGNpcmNsZSBjeD0iMjIuNSIgY3k9IjgiIHI9IjIuNzUiLz48Y2lyY2xlIGN4PSIzMSIgY3k9IjkiIHI9IjIuNzUiLz48Y2lyY2xlIGN4PSIzOSIgY3k9IjEyIiByPSIyLjc1Ii8+PC9nPjxwYXRoIGQ9Ik05IDI2YzguNS0xLjUgMjEtMS41IDI3IDBsMi41LTEyLjVMMzEgMjVsLS4zLTE0LjEtNS4yIDEzLjYtMy0xNC41LTMgMTQuNS01LjItMTMuNkwxNCAyNSA2LjUgMTMuNSA5IDI2eiIgc3Ryb2tlLWxpbmVjYXA9ImJ1dHQiLz48cGF0aCBkPSJNOSAyNmMwIDIgMS41IDIgMi41IDQgMSAxLjUgMSAxIC41IDMuNS0xLjUgMS0xLjUgMi41LTEuNSAyLjUtMS41IDEuNS41IDIuNS41IDIuNSA2LjUgMSAxNi41IDEgMjMgMCAwIDAgMS41LTEgMC0yLjUgMCAwIC41LTEuNS0xLTIuNS0uNS0yLjUtLjUtMiAuNS0zLjUgMS0yIDIuNS0yIDIuNS00LTguNS0xLjUtMTguNS0xLjUtMjcgMHoiIHN0cm9rZS1saW5lY2FwPSJidXR0Ii8+PHBhdGggZD0iTTExIDM4LjVhMzUgMzUgMSAwIDAgMjMgMCIgZmlsbD0ibm9uZSIgc3Ryb2tlLWxpbmVjYXA9ImJ1dHQiLz48cGF0aCBkPSJNMTEgMjlhMzUgMzUgMSAwIDEgMjMgMG0tMjEuNSAyLjVoMjBtLTIxIDNhMzUgMzUgMSAwIDAgMjIgMG0tMjMgM2EzNSAzNSAxIDAgMCAyNCAwIiBmaWxsPSJub25lIiBzdHJva2U9IiNlY2VjZWMiLz48L2c+PC9zdmc+",
+    bR: "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHdpZHRoPSI0NSIgaGVpZ2h0PSI0NSI+PGcgZmlsbC1ydWxlPSJldmVub2RkIiBzdHJva2U9IiMwMDAiIHN0cm9rZS13aWR0aD0iMS41IiBzdHJva2UtbGluZWNhcD0icm91bmQiIHN0cm9rZS1saW5lam9pbj0icm91bmQiPjxwYXRoIGQ9Ik05IDM5aDI3di0zSDl2M3ptMy41LTdsMS41LTIuNWgxN2wxLjUgMi41aC0yMHptLS41IDR2LTRoMjF2NEgxMnoiIHN0cm9rZS1saW5lY2FwPSJidXR0Ii8+PHBhdGggZD0iTTE0IDI5LjV2LTEzaDE3djEzSDE0eiIgc3Ryb2tlLWxpbmVjYXA9ImJ1dHQiIHN0cm9rZS1saW5lam9pbj0ibWl0ZXIiLz48cGF0aCBkPSJNMTQgMTYuNUwxMSAxNGgyM2wtMyAyLjVIMTR6TTExIDE0VjloNHYyaDVWOWg1djJoNVY5aDR2NUgxMXoiIHN0cm9rZS1saW5lY2FwPSJidXR0Ii8+PHBhdGggZD0iTTEyIDM1LjVoMjFtLTIwLTRoMTltLTE4LTJoMTdtLTE3LTEzaDE3TTExIDE0aDIzIiBmaWxsPSJub25lIiBzdHJva2U9IiNlY2VjZWMiIHN0cm9rZS13aWR0aD0iMSIgc3Ryb2tlLWxpbmVqb2luPSJtaXRlciIvPjwvZz48L3N2Zz4=",
+    bB: "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHdpZHRoPSI0NSIgaGVpZ2h0PSI0NSI+PGcgZmlsbD0ibm9uZSIgZmlsbC1ydWxlPSJldmVub2RkIiBzdHJva2U9IiMwMDAiIHN0cm9rZS13aWR0aD0iMS41IiBzdHJva2UtbGluZWNhcD0icm91bmQiIHN0cm9rZS1saW5lam9pbj0icm91bmQiPjxnIGZpbGw9IiMwMDAiIHN0cm9rZS1saW5lY2FwPSJidXR0Ij48cGF0aCBkPSJNOSAzNmMzLjM5LS45NyAxMC4xMS40MyAxMy41LTIgMy4zOSAyLjQzIDEwLjExIDEuMDMgMTMuNSAyIDAgMCAxLjY1LjU0IDMgMi0uNjguOTctMS42NS45OS0zIC41LTMuMzktLjk3LTEwLjExLjQ2LTEzLjUtMS0zLjM5IDEuNDYtMTAuMTEuMDMtMTMuNSAxLTEuMzU0LjQ5LTIuMzIzLjQ3LTMtLjUgMS4zNTQtMS45NCAzLTIgMy0yeiIvPjxwYXRoIGQ9Ik0xNSAzMmMyLjUgMi41IDEyLjUgMi41IDE1IDAgLjUtMS41IDAtMiAwLTIgMC0yLjUtMi41LTQtMi41LTQgNS41LTEuNSA2LTExLjUtNS0xNS41LTExIDQtMTAuNSAxNC01IDE1LjUgMCAwLTIuNSAxLjUtMi41IDQgMCAwLS41LjUgMCAyeiIvPjxwYXRoIGQ9Ik0yNSA4YTIuNSAyLjUgMCAxIDEtNSAwIDIuNSAyLjUgMCAxIDEgNSAweiIvPjwvZz48cGF0aCBkPSJNMTcuNSAyNmgxME0xNSAzMGgxNW0tNy41LTE0LjV2NU0yMCAxOGg1IiBzdHJva2U9IiNlY2VjZWMiIHN0cm9rZS1saW5lam9pbj0ibWl0ZXIiLz48L2c+PC9zdmc+",
+    bN: "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHdpZHRoPSI0NSIgaGVpZ2h0PSI0NSI+PGcgZmlsbD0ibm9uZSIgZmlsbC1ydWxlPSJldmVub2RkIiBzdHJva2U9IiMwMDAiIHN0cm9rZS13aWR0aD0iMS41IiBzdHJva2UtbGluZWNhcD0icm91bmQiIHN0cm9rZS1saW5lam9pbj0icm91bmQiPjxwYXRoIGQ9Ik0yMiAxMGMxMC41IDEgMTYuNSA4IDE2IDI5SDE1YzAtOSAxMC02LjUgOC0yMSIgZmlsbD0iIzAwMCIvPjxwYXRoIGQ9Ik0yNCAxOGMuMzggMi45MS01LjU1IDcuMzctOCA5LTMgMi0yLjgyIDQuMzQtNSA0LTEuMDQyLS45NCAxLjQxLTMuMDQgMC0zLTEgMCAuMTkgMS4yMy0xIDItMSAwLTQuMDAzIDEtNC00IDAtMiA2LTEyIDYtMTJzMS44OS0xLjkgMi0zLjVjLS43My0uOTk0LS41LTItLjUtMyAxLTEgMyAyLjUgMyAyLjVoMnMuNzgtMS45OTIgMi41LTNjMSAwIDEgMyAxIDMiIGZpbGw9IiMwMDAiLz48cGF0aCBkPSJNOS41IDI1LjVhLjUuNSAwIDEgMS0xIDAgLjUuNSAwIDEgMSAxIDB6bTUuNDMzLTkuNzVhLjUgMS41IDMwIDEgMS0uODY2LS41LjUgMS41IDMwIDEgMSAuODY2LjV6IiBmaWxsPSIjZWNlY2VjIiBzdHJva2U9IiNlY2VjZWMiLz48cGF0aCBkPSJNMjQuNTUgMTAuNGwtLjQ1IDEuNDUuNS4xNWMzLjE1IDEgNS42NSAyLjQ5IDcuOSA2Ljc1UzM1Ljc1IDI5LjA2IDM1LjI1IDM5bC0uMDUuNWgyLjI1bC4wNS0uNWMuNS0xMC4wNi0uODgtMTYuODUtMy4yNS0yMS4zNC0yLjM3LTQuNDktNS43OS02LjY0LTkuMTktNy4xNmwtLjUxLS4xeiIgZmlsbD0iI2VjZWNlYyIgc3Ryb2tlPSJub25lIi8+PC9nPjwvc3ZnPg==",
+    bP: "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHdpZHRoPSI0NSIgaGVpZ2h0PSI0NSI+PHBhdGggZD0iTTIyLjUgOWMtMi4yMSAwLTQgMS43OS00IDQgMCAuODkuMjkgMS43MS43OCAyLjM4QzE3LjMzIDE2LjUgMTYgMTguNTkgMTYgMjFjMCAyLjAzLjk0IDMuODQgMi40MSA1LjAzLTMgMS4wNi03LjQxIDUuNTUtNy40MSAxMy40N2gyM2MwLTcuOTItNC40MS0xMi40MS03LjQxLTEzLjQ3IDEuNDctMS4xOSAyLjQxLTMgMi40MS01LjAzIDAtMi40MS0xLjMzLTQuNS0zLjI4LTUuNjIuNDktLjY3Ljc4LTEuNDkuNzgtMi4zOCAwLTIuMjEtMS43OS00LTQtNHoiIHN0cm9rZT0iIzAwMCIgc3Ryb2tlLXdpZHRoPSIxLjUiIHN0cm9rZS1saW5lY2FwPSJyb3VuZCIvPjwvc3ZnPg==",
+  },
+  merida: {
+    wK: "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCAyMDQ4IDIwNDgiPjxnIHRyYW5zZm9ybT0ibWF0cml4KDEgMCAwIC0xIDAgMjA0OCkiPjxwYXRoIGQ9Ik00NjMgNTIyTDQzMCA3MDlDNDI5IDcwOSA0MjggNzEwIDQyNyA3MTNDNDI0IDcxOCA0MTQgNzI0IDM5OSA3MzJTMzY1IDc1MiAzNDQgNzcxQzMxNSA3OTYgMjkyIDgxNiAyNzYgODMxUzI0NCA4NjMgMjMxIDg4MUMxOTAgOTM3IDE2OCAxMDA1IDE2MyAxMDg0QzE1NiAxMTYxIDE4NyAxMjM3IDI1NiAxMzEzQzMyNSAxMzg5IDQxOSAxNDI1IDUzNyAxNDIwQzU4MSAxNDE3IDYzMyAxNDA3IDY5MiAxMzg4TDc1MiAxMzY1TDgxMiAxMzQxQzgyMyAxMzM2IDgzMiAxMzMwIDg0MCAxMzI1QzgzNyAxMzM5IDgzNSAxMzUzIDgzNSAxMzY3QzgzNSAxNDE5IDg1NCAxNDYzIDg5MSAxNTAwUzk3MiAxNTU1IDEwMjQgMTU1NkMxMDc2IDE1NTYgMTEyMCAxNTM4IDExNTcgMTUwMVMxMjEyIDE0MTkgMTIxMiAxMzY4QzEyMTIgMTM1NyAxMjExIDEzNDMgMTIwOCAxMzI2QzEyMTcgMTMzMiAxMjI2IDEzMzcgMTIzNSAxMzQxQzEyNjYgMTM1NCAxMzA2IDEzNzAgMTM1NiAxMzg4QzE0MTMgMTQwNyAxNDY1IDE0MTggMTUxMSAxNDIxQzE2MjkgMTQyNiAxNzIyIDEzOTEgMTc5MSAxMzE0QzE4NTggMTIzOCAxODkwIDExNjIgMTg4NSAxMDg1QzE4ODAgMTAwNiAxODU3IDkzOCAxODE2IDg4MkMxODAzIDg2NCAxNzg4IDg0NyAxNzcxIDgzMlMxNzMyIDc5NiAxNzA0IDc3MkMxNjgyIDc1MyAxNjYzIDc0MCAxNjQ4IDczM1MxNjI0IDcxOSAxNjIxIDcxNEMxNjIwIDcxMyAxNjIwIDcxMiAxNjE5IDcxMVMxNjE4IDcxMCAxNjE4IDcwOUwxNTg2IDUyMUwxNjUyIDI3NEMxNjE5IDI0NCAxNTQ0IDIxOSAxNDI4IDIwMFMxMTc4IDE3MSAxMDI2IDE3MUM4NzEgMTcxIDczNSAxODEgNjE4IDIwMlM0MjcgMjQ3IDM5NyAyNzhaIiBmaWxsPSIjZmZmIi8+PHBhdGggZD0iTTUyNCA1ODNDNjUxIDYxNSA4MTkgNjMxIDEwMjggNjMxQzEyMzMgNjMxIDEzOTkgNjE2IDE1MjUgNTg1TDE1NTAgNzMyQzE0MTYgNzY3IDEyNDEgNzg1IDEwMjQgNzg1QzgwNiA3ODUgNjMxIDc2NyA0OTkgNzMxWk00NjMgNTIyTDQzMCA3MDlDNDI5IDcwOSA0MjggNzEwIDQyNyA3MTNDNDI0IDcxOCA0MTQgNzI0IDM5OSA3MzJTMzY1IDc1MiAzNDQgNzcxQzMxNSA3OTYgMjkyIDgxNiAyNzYgODMxUzI0NCA4NjMgMjMxIDg4MUMxOTAgOTM3IDE2OCAxMDA1IDE2MyAxMDg0QzE1NiAxMTYxIDE4NyAxMjM3IDI1NiAxMzEzQzMyNSAxMzg5IDQxOSAxNDI1IDUzNyAxNDIwQzU4MSAxNDE3IDYzMyAxNDA3IDY5MiAxMzg4TDc1MiAxMzY1TDgxMiAxMzQxQzgyMyAxMzM2IDgzMiAxMzMwIDg0MCAxMzI1QzgzNyAxMzM5IDgzNSAxMzUzIDgzNSAxMzY3QzgzNSAxNDE5IDg1NCAxNDYzIDg5MSAxNTAwUzk3MiAxNTU1IDEwMjQgMTU1NkMxMDc2IDE1NTYgMTEyMCAxNTM4IDExNTcgMTUwMVMxMjEyIDE0MTkgMTIxMiAxMzY4QzEyMTIgMTM1NyAxMjExIDEzNDMgMTIwOCAxMzI2QzEyMTcgMTMzMiAxMjI2IDEzMzcgMTIzNSAxMzQxQzEyNjYgMTM1NCAxMzA2IDEzNzAgMTM1NiAxMzg4QzE0MTMgMTQwNyAxNDY1IDE0MTggMTUxMSAxNDIxQzE2MjkgMTQyNiAxNzIyIDEzOTEgMTc5MSAxMzE0QzE4NTggMTIzOCAxODkwIDExNjIgMTg4NSAxMDg1QzE4ODAgMTAwNiAxODU3IDkzOCAxODE2IDg4MkMxODAzIDg2NCAxNzg4IDg0NyAxNzcxIDgzMlMxNzMyIDc5NiAxNzA0IDc3MkMxNjgyIDc1MyAxNjYzIDc0MCAxNjQ4IDczM1MxNjI0IDcxOSAxNjIxIDcxNEMxNjIwIDcxMyAxNjIwIDcxMiAxNjE5IDcxMVMxNjE4IDcxMCAxNjE4IDcwOUwxNTg2IDUyMUwxNjUyIDI3NEMxNjE5IDI0NCAxNTQ0IDIxOSAxNDI4IDIwMFMxMTc4IDE3MSAxMDI2IDE3MUM4NzEgMTcxIDczNSAxODEgNjE4IDIwMlM0MjcgMjQ3IDM5NyAyNzhaTTE1NDQgNDA1TDE1MTQgNTIwQzEzODIgNTQ5IDEyMTkgNTY0IDEwMjQgNTY0QzgzMCA1NjQgNjY3IDU0OSA1MzUgNTIwTDUwMyA0MDRDNjMwIDQ0MSA4MDQgNDYwIDEwMjUgNDYwQzEyNDQgNDYwIDE0MTcgNDQyIDE1NDQgNDA1Wk0xNTcwIDMxMUMxNDQxIDM2MyAxMjYxIDM4OSAxMDI4IDM4OUM3ODcgMzg5IDYwNCAzNjIgNDgwIDMwOUM1OTcgMjYyIDc3OSAyMzkgMTAyNSAyMzlDMTE0MiAyMzkgMTI0OSAyNDYgMTM0NiAyNTlTMTUxNyAyODkgMTU3MCAzMTFaTTk4OSA4NTNDOTg4IDg3OSA5ODcgOTA1IDk4NiA5MzFTOTgwIDk4NSA5NzEgMTAxNkM5NDQgMTEwNSA5MDIgMTE3NyA4NDcgMTIzMkM4MTggMTI2MCA3NzQgMTI4NiA3MTUgMTMxMEM2NDcgMTMzNyA1ODMgMTM1MCA1MjIgMTM1MEM0MTcgMTM1MCAzMzkgMTMxMiAyODggMTIzN0MyNTkgMTE5NyAyNDUgMTE0NyAyNDUgMTA4N0MyNDUgMTAyMiAyNjEgOTY4IDI5MyA5MjZDMzEyIDkwMSAzMzcgODc3IDM2NyA4NTJMNDUxIDc4NUM1NjggODI3IDc0NyA4NTAgOTg5IDg1M1pNMTAyNCAxMDM5QzEwMjkgMTA1OCAxMDMzIDEwNzEgMTAzNiAxMDc4QzEwNDMgMTEwNCAxMDUwIDExMjYgMTA1OSAxMTQ0QzEwNjMgMTE1NSAxMDY5IDExNjkgMTA3NiAxMTg0UzEwOTIgMTIxNiAxMTAxIDEyMzVDMTEwNiAxMjQ2IDExMTIgMTI2MCAxMTE4IDEyNzdMMTEzNiAxMzI1QzExNDEgMTMzOCAxMTQ0IDEzNTMgMTE0NCAxMzY4QzExNDQgMTQwMSAxMTMyIDE0MjggMTEwOSAxNDUxUzEwNTcgMTQ4NiAxMDI0IDE0ODZDOTQ1IDE0ODYgOTA1IDE0NDYgOTA1IDEzNjdDOTA1IDEzNTIgOTA4IDEzMzcgOTEzIDEzMjRDOTI4IDEyODEgOTM5IDEyNTEgOTQ3IDEyMzRMOTcxIDExODNMOTkwIDExNDNDOTk5IDExMjEgMTAwNiAxMDk5IDEwMTIgMTA3N0MxMDEzIDEwNzMgMTAxNyAxMDYwIDEwMjQgMTAzOVpNMTA1OCA4NTNDMTE3MyA4NTIgMTI3OCA4NDUgMTM3MyA4MzNTMTU0MyA4MDUgMTU5NyA3ODZMMTY4MCA4NTNDMTcxMCA4NzcgMTczNSA5MDIgMTc1NSA5MjdDMTc4NyA5NjggMTgwMyAxMDIxIDE4MDMgMTA4OEMxODAzIDExNDggMTc4OSAxMTk4IDE3NjAgMTIzOEMxNzA5IDEzMTMgMTYzMSAxMzUwIDE1MjYgMTM1MEMxNDYzIDEzNTAgMTM5OSAxMzM3IDEzMzMgMTMxMUMxMjc1IDEyODggMTIzMSAxMjYyIDEyMDEgMTIzM0MxMTQ1IDExNzcgMTEwNCAxMTA1IDEwNzcgMTAxN0MxMDY4IDk4NiAxMDYyIDk1NyAxMDYxIDkzMlMxMDU4IDg4MCAxMDU4IDg1M1pNMTA1OSAxNTU5TDk4OCAxNTU5TDk4OCAxNjkwTDkwNSAxNjkwQzg4MiAxNjkwIDg3MSAxNzAxIDg3MSAxNzIzTDg3MSAxNzI0Qzg3MSAxNzQ2IDg4MiAxNzU3IDkwNSAxNzU3TDk4OCAxNzU3TDk4OCAxODQyQzk4OCAxODY1IDEwMDAgMTg3NyAxMDI0IDE4NzdMMTAyNCAxODc3QzEwNDcgMTg3NyAxMDU5IDE4NjUgMTA1OSAxODQyTDEwNTkgMTc1N0wxMTQ1IDE3NTdDMTE2NyAxNzU3IDExNzggMTc0NiAxMTc4IDE3MjRMMTE3OCAxNzIzQzExNzggMTcwMSAxMTY3IDE2OTAgMTE0NSAxNjkwTDEwNjAgMTY4OVoiLz48L2c+PC9zdmc+",
+    wQ: "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCAyMDQ4IDIwNDgiPjxnIHRyYW5zZm9ybT0ibWF0cml4KDEgMCAwIC0xIDAgMjA0OCkiPjxwYXRoIGQ9Ik0xNjQwIDI4M0MxNjA3IDI1NCAxNTM0IDIzMCAxNDIwIDIxMVMxMTc1IDE4MiAxMDI2IDE4MkM4NzUgMTgyIDc0MiAxOTIgNjI3IDIxMlM0NDAgMjU3IDQxMCAyODdMNDczIDUyN0w0NDUgNjg0TDM1NyA4MzdMMjcyIDE0NTlMMzIxIDE0NzhMNTk1IDEwMTZMNjAxIDE1NjZMNjY5IDE1NzhMODc4IDEwMjVMOTkwIDE2MjBMMTA1OSAxNjIwTDExNzEgMTAyN0wxMzc4IDE1NzhMMTQ0NyAxNTY2TDE0NTMgMTAxNkwxNzI4IDE0NzlMMTc3NSAxNDU3TDE2OTIgODM4TDE2MDMgNjg1TDE1NzUgNTI2WiIgZmlsbD0iI2ZmZiIvPjxwYXRoIGQ9Ik0xMDI0IDE2MjFDOTg2IDE2MjEgOTU0IDE2MzQgOTI4IDE2NjFTODg4IDE3MjAgODg4IDE3NThDODg4IDE3OTUgOTAxIDE4MjcgOTI4IDE4NTRTOTg2IDE4OTQgMTAyNCAxODk0QzEwNjEgMTg5NCAxMDk0IDE4ODEgMTEyMSAxODU0UzExNjEgMTc5NSAxMTYxIDE3NThDMTE2MSAxNzIwIDExNDggMTY4OCAxMTIxIDE2NjFTMTA2MSAxNjIxIDEwMjQgMTYyMVpNMTAyNCAxNjkxQzEwNjkgMTY5MSAxMDkxIDE3MTMgMTA5MSAxNzU4QzEwOTEgMTgwMiAxMDY5IDE4MjQgMTAyNCAxODI0Qzk4MCAxODI0IDk1OCAxODAyIDk1OCAxNzU4Qzk1OCAxNzEzIDk4MCAxNjkxIDEwMjQgMTY5MVpNMTUzMyA2ODRDMTQwNCA3MTcgMTIzNiA3MzMgMTAyOCA3MzNDODE1IDczMyA2NDQgNzE2IDUxNyA2ODNMNTMyIDU4N0M2NjIgNjE4IDgyNyA2MzMgMTAyOCA2MzNDMTIyNyA2MzMgMTM5MCA2MTggMTUxNiA1ODhaTTE1NTggNzQ0TDE2MjMgODU5QzE1OTEgODQ2IDE1NTggODQwIDE1MjUgODQwQzE0MzYgODQwIDEzNjQgODc2IDEzMTEgOTQ5QzEyNzEgOTE2IDEyMjYgODk5IDExNzcgODk5QzExMTMgODk5IDEwNjIgOTI0IDEwMjQgOTc0Qzk4MSA5MjcgOTMwIDkwNCA4NzEgOTA0QzgyMyA5MDQgNzc5IDkyMCA3MzkgOTUzQzY4MyA4ODIgNjExIDg0NiA1MjIgODQ2QzQ4OCA4NDYgNDU0IDg1MiA0MjEgODY1TDQ5MSA3NDVDNjIwIDc4MiA3OTggODAxIDEwMjQgODAxQzEyNTQgODAxIDE0MzIgNzgyIDE1NTggNzQ0Wk0xMTEwIDk4M0wxMDI1IDE0NzJMOTQwIDk4OUM5NDIgOTkwIDk0NyA5OTQgOTU0IDk5OUM5NjkgMTAyOSA5OTMgMTA0NCAxMDI0IDEwNDRDMTA1OCAxMDQ0IDEwODAgMTAyOSAxMDkwIDk5OUMxMDk0IDk5NSAxMTAxIDk5MCAxMTEwIDk4M1pNMTM4NyA5NjRMMTM4NyAxNDI3TDEyMjIgOTczQzEyMzUgOTc4IDEyNDUgOTg0IDEyNTQgOTkxQzEyNjcgMTAwOCAxMjg1IDEwMTYgMTMwOCAxMDE2QzEzMzUgMTAxNiAxMzU2IDEwMDQgMTM3MiA5ODFDMTM3NCA5NzggMTM3NiA5NzYgMTM3OSA5NzNTMTM4NCA5NjcgMTM4NyA5NjRaTTgyNSA5NzhMNjYxIDE0MjdMNjYxIDk3MEM2NjMgOTczIDY2NiA5NzYgNjcwIDk4MEM2ODMgMTAwOCA3MDUgMTAyMiA3MzYgMTAyMkM3NjEgMTAyMiA3ODIgMTAxMSA3OTggOTkwWk01NzEgOTIyTDM1NiAxMjkzTDQxMSA5NTVDNDQ5IDkyOCA0ODYgOTE1IDUyMiA5MTVDNTM2IDkxNSA1NTIgOTE3IDU3MSA5MjJaTTE0NzQgOTE3QzE0ODkgOTEyIDE1MDYgOTEwIDE1MjUgOTEwQzE1NjYgOTEwIDE2MDQgOTIzIDE2MzkgOTQ4TDE2OTQgMTI5NFpNMTUzNCA0MTFMMTUwNCA1MjRDMTM3MyA1NTMgMTIxMyA1NjcgMTAyNCA1NjdDODM3IDU2NyA2NzcgNTUzIDU0NSA1MjRMNTE0IDQxMEM2MzggNDQ3IDgwOCA0NjYgMTAyNSA0NjZDMTIzNiA0NjYgMTQwNiA0NDggMTUzNCA0MTFaTTE2NDAgMjgzQzE2MDcgMjU0IDE1MzQgMjMwIDE0MjAgMjExUzExNzUgMTgyIDEwMjYgMTgyQzg3NSAxODIgNzQyIDE5MiA2MjcgMjEyUzQ0MCAyNTcgNDEwIDI4N0w0NzMgNTI3TDQ0NSA2ODRMMzU3IDgzN0wyNzIgMTQ1OUwzMjEgMTQ3OEw1OTUgMTAxNkw2MDEgMTU2Nkw2NjkgMTU3OEw4NzggMTAyNUw5OTAgMTYyMEwxMDU5IDE2MjBMMTE3MSAxMDI3TDEzNzggMTU3OEwxNDQ3IDE1NjZMMTQ1MyAxMDE2TDE3MjggMTQ3OUwxNzc1IDE0NTdMMTY5MiA4MzhMMTYwMyA2ODVMMTU3NSA1MjZaTTE1NTkgMzE5QzE0MzcgMzcwIDEyNjAgMzk1IDEwMjggMzk1Qzc5MSAzOTUgNjEyIDM2OSA0OTEgMzE3QzYwOCAyNzEgNzg2IDI0OCAxMDI1IDI0OEMxMTQwIDI0OCAxMjQ1IDI1NCAxMzQwIDI2N1MxNTA4IDI5NyAxNTU5IDMxOVpNNjA0IDE1NzFDNTY2IDE1NzEgNTM0IDE1ODQgNTA3IDE2MTFTNDY3IDE2NjkgNDY3IDE3MDdDNDY3IDE3NDQgNDgwIDE3NzYgNTA3IDE4MDNTNTY2IDE4NDMgNjA0IDE4NDNDNjQxIDE4NDMgNjczIDE4MzAgNzAwIDE4MDNTNzQwIDE3NDQgNzQwIDE3MDdDNzQwIDE2NjkgNzI3IDE2MzcgNzAwIDE2MTFTNjQxIDE1NzEgNjA0IDE1NzFaTTYwNCAxNjQxQzY0OCAxNjQxIDY3MCAxNjYzIDY3MCAxNzA3UzY0OCAxNzczIDYwNCAxNzczQzU1OSAxNzczIDUzNyAxNzUxIDUzNyAxNzA3UzU1OSAxNjQxIDYwNCAxNjQxWk0xNDQ0IDE2NDFDMTQ4OSAxNjQxIDE1MTEgMTY2MyAxNTExIDE3MDdTMTQ4OSAxNzczIDE0NDQgMTc3M0MxNDAwIDE3NzMgMTM3OCAxNzUxIDEzNzggMTcwN1MxNDAwIDE2NDEgMTQ0NCAxNjQxWk0xNDQ0IDE1NzFDMTQwNiAxNTcxIDEzNzQgMTU4NCAxMzQ4IDE2MTFTMTMwOCAxNjY5IDEzMDggMTcwN0MxMzA4IDE3NDQgMTMyMSAxNzc2IDEzNDggMTgwM1MxNDA2IDE4NDMgMTQ0NCAxODQzUzE1MTQgMTgzMCAxNTQxIDE4MDNTMTU4MSAxNzQ0IDE1ODEgMTcwN0MxNTgxIDE2NjkgMTU2OCAxNjM3IDE1NDEgMTYxMVMxNDgyIDE1NzEgMTQ0NCAxNTcxWk0yMzYgMTQ2MUMxOTggMTQ2MSAxNjYgMTQ3NCAxMzkgMTUwMVMxMDAgMTU1OSAxMDAgMTU5N0MxMDAgMTYzNCAxMTMgMTY2NyAxMzkgMTY5NFMxOTggMTczNCAyMzYgMTczNFMzMDYgMTcyMSAzMzMgMTY5NFMzNzMgMTYzNCAzNzMgMTU5N0MzNzMgMTU1OSAzNjAgMTUyNyAzMzMgMTUwMVMyNzQgMTQ2MSAyMzYgMTQ2MVpNMjM2IDE1MzFDMjgxIDE1MzEgMzAzIDE1NTMgMzAzIDE1OTdDMzAzIDE2NDIgMjgxIDE2NjQgMjM2IDE2NjRDMTkyIDE2NjQgMTcwIDE2NDIgMTcwIDE1OTdDMTcwIDE1NTMgMTkyIDE1MzEgMjM2IDE1MzFaTTE4MTQgMTUzMUMxODU4IDE1MzEgMTg4MCAxNTUzIDE4ODAgMTU5N0MxODgwIDE2NDIgMTg1OCAxNjY0IDE4MTQgMTY2NEMxNzY5IDE2NjQgMTc0NyAxNjQyIDE3NDcgMTU5N0MxNzQ3IDE1NTMgMTc2OSAxNTMxIDE4MTQgMTUzMVpNMTgxNCAxNDYxQzE3NzYgMTQ2MSAxNzQ0IDE0NzQgMTcxNyAxNTAxUzE2NzcgMTU1OSAxNjc3IDE1OTdDMTY3NyAxNjM0IDE2OTAgMTY2NyAxNzE3IDE2OTRTMTc3NiAxNzM0IDE4MTQgMTczNEMxODUxIDE3MzQgMTg4MyAxNzIxIDE5MTAgMTY5NFMxOTUwIDE2MzQgMTk1MCAxNTk3QzE5NTAgMTU1OSAxOTM3IDE1MjcgMTkxMCAxNTAxUzE4NTEgMTQ2MSAxODE0IDE0NjFaIi8+PC9nPjwvc3ZnPg==",
+    wR: "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCAyMDQ4IDIwNDgiPjxnIHRyYW5zZm9ybT0ibWF0cml4KDEgMCAwIC0xIDAgMjA0OCkiPjxwYXRoIGQ9Ik0xMTYxIDE3MDZMMTMzMSAxNzA2TDEzMzEgMTg0M0wxNjA1IDE4NDNMMTYwNSAxNDY4TDEzODMgMTI5N0wxMzgzIDgxOUwxNTUzIDY0OUwxNTUzIDQ0NEwxNzA2IDQ0NEwxNzA2IDIwNUwzNDEgMjA1TDM0MSA0NDRMNDk0IDQ0NEw0OTQgNjQ5TDY2NSA4MTlMNjY1IDEyOTdMNDQzIDE0NjhMNDQzIDE4NDNMNzE2IDE4NDNMNzE2IDE3MDZMODg3IDE3MDZMODg3IDE4NDNMMTE2MSAxODQzTDExNjEgMTcwNloiIGZpbGw9IiNmZmYiLz48cGF0aCBkPSJNMTE2MSAxNzA2TDEzMzEgMTcwNkwxMzMxIDE4NDNMMTYwNSAxODQzTDE2MDUgMTQ2OEwxMzgzIDEyOTdMMTM4MyA4MTlMMTU1MyA2NDlMMTU1MyA0NDRMMTcwNiA0NDRMMTcwNiAyMDVMMzQxIDIwNUwzNDEgNDQ0TDQ5NCA0NDRMNDk0IDY0OUw2NjUgODE5TDY2NSAxMjk3TDQ0MyAxNDY4TDQ0MyAxODQzTDcxNiAxODQzTDcxNiAxNzA2TDg4NyAxNzA2TDg4NyAxODQzTDExNjEgMTg0M0wxMTYxIDE3MDZaTTE2MzkgMzc2TDQwOSAzNzZMNDA5IDI3M0wxNjM5IDI3M0wxNjM5IDM3NlpNMTQ4NCA1ODBMNTY0IDU4MEw1NjQgNDQ0TDE0ODQgNDQ0TDE0ODQgNTgwWk0xMzE0IDEyOTdMNzM0IDEyOTdMNzM0IDgxOUwxMzE0IDgxOUwxMzE0IDEyOTdaTTE1MzYgMTUzNkwxNTM2IDE3NzVMMTM5OSAxNzc1TDEzOTkgMTYzOEwxMDkxIDE2MzhMMTA5MSAxNzc1TDk1NiAxNzc1TDk1NiAxNjM4TDY0OSAxNjM4TDY0OSAxNzc1TDUxMiAxNzc1TDUxMiAxNTM2TDE1MzYgMTUzNlpNMTQ1OSA2NDlMMTM1NiA3NTFMNjkzIDc1MUw1ODggNjQ5TDE0NTkgNjQ5Wk0xMzQ5IDEzNjVMMTQ3NiAxNDY4TDU3MiAxNDY4TDcwMCAxMzY1TDEzNDkgMTM2NVoiLz48L2c+PC9zdmc+",
+    wB: "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCAyMDQ4IDIwNDgiPjxnIHRyYW5zZm9ybT0ibWF0cml4KDEgMCAwIC0xIDAgMjA0OCkiPjxwYXRoIGQ9Ik0xMDI0IDM5MkMxMDE1IDM1NCAxMDAzIDMyOCA5OTAgMzEzUzk1OSAyODMgOTM3IDI2N0M5MTMgMjUwIDg4NSAyMzYgODUyIDIyNVM3ODMgMjEwIDc0MyAyMTZMNDYyIDI1NUM0NTEgMjU2IDQ0MCAyNTYgNDMxIDI1NVM0MTQgMjUzIDQwNiAyNTNDMzkyIDI1MyAzNzQgMjUwIDM1MiAyNDRTMzE0IDIyOCAzMDIgMjE2TDIwNSAzNzVDMjE3IDM4OCAyMjggMzk4IDIzNyA0MDNTMjU3IDQxNCAyNzAgNDIwQzMwOSA0MzggMzUwIDQ0OSAzOTQgNDUzQzQxMyA0NTQgNDMxIDQ1NSA0NDkgNDU0UzQ4NiA0NTQgNTA1IDQ1NkM1NDEgNDUwIDU3NyA0NDQgNjEzIDQzOUw3MjMgNDI0Qzc2MyA0MjQgNzkwIDQyOCA4MDQgNDM2QzgxMSA0NDAgODIzIDQ0NyA4MzkgNDU4Uzg3MSA0ODQgODg3IDUwNUM4NTIgNTA5IDgxNiA1MTYgNzc5IDUyNlM3MTAgNTQ1IDY4MiA1NTZMNzg2IDgxNEM3MzQgODQ0IDY5OCA4NjggNjc3IDg4N1M2NDAgOTI2IDYyOCA5NTBDNjExIDk4MSA1OTkgMTAxMCA1OTQgMTAzOVM1ODcgMTA5MyA1ODggMTExNkM1ODkgMTE1NiA1OTggMTIwMCA2MTYgMTI0OVM2NjkgMTM0MCA3MjAgMTM3OEM3NjIgMTQxMCA4MDMgMTQ0MyA4NDMgMTQ3N1M5MjMgMTU1MSA5NjIgMTU5NkM5MTMgMTYyMSA4ODggMTY2MiA4ODggMTcxN0M4ODggMTc1NCA5MDEgMTc4NiA5MjcgMTgxM1M5ODYgMTg1MyAxMDI0IDE4NTNDMTA2MSAxODUzIDEwOTMgMTg0MCAxMTIwIDE4MTNTMTE2MCAxNzU0IDExNjAgMTcxN0MxMTYwIDE2NjIgMTEzNSAxNjIyIDEwODYgMTU5NkMxMTI1IDE1NTEgMTE2NCAxNTExIDEyMDQgMTQ3N1MxMjg1IDE0MTAgMTMyOCAxMzc4QzEzNzggMTM0MCAxNDEyIDEyOTcgMTQzMCAxMjQ5UzE0NTggMTE1NiAxNDU5IDExMTZDMTQ1OSAxMDkzIDE0NTcgMTA2OCAxNDUyIDEwMzlTMTQzNyA5ODEgMTQyMCA5NTBDMTQwNyA5MjYgMTM5MCA5MDUgMTM3MCA4ODdTMTMxMyA4NDQgMTI2MiA4MTRMMTM2NiA1NTZDMTMzNyA1NDUgMTMwNCA1MzUgMTI2NyA1MjVTMTE5NSA1MDkgMTE2MSA1MDVDMTE3NiA0ODQgMTE5MiA0NjkgMTIwOCA0NThTMTIzNiA0NDAgMTI0NCA0MzZDMTI1OCA0MjggMTI4NSA0MjQgMTMyNSA0MjRMMTQzNCA0MzlDMTQ3MCA0NDQgMTUwNiA0NTAgMTU0MyA0NTZDMTU2MSA0NTQgMTU3OSA0NTMgMTU5OCA0NTRTMTYzNSA0NTQgMTY1NCA0NTNDMTY5NyA0NDkgMTczOCA0MzggMTc3OCA0MjBDMTc5MCA0MTQgMTgwMSA0MDggMTgxMSA0MDNTMTgzMSAzODggMTg0MyAzNzVMMTc0NSAyMTZDMTczMyAyMjggMTcxNiAyMzcgMTY5NSAyNDRTMTY1NSAyNTMgMTY0MiAyNTNDMTYzMyAyNTMgMTYyNSAyNTQgMTYxNiAyNTVTMTU5NiAyNTYgMTU4NSAyNTVMMTMwNSAyMTZDMTI2NSAyMTAgMTIyOCAyMTMgMTE5NCAyMjRTMTEzMSAyNTAgMTEwOSAyNjlDMTA4NyAyODcgMTA3MCAzMDMgMTA1NyAzMTZTMTAzMyAzNTQgMTAyNCAzOTJaIiBmaWxsPSIjZmZmIi8+PHBhdGggZD0iTTk4OCAxMTM4TDkwNSAxMTM5Qzg4MiAxMTM5IDg3MSAxMTUwIDg3MSAxMTczTDg3MSAxMTczQzg3MSAxMTk2IDg4MiAxMjA3IDkwNSAxMjA3TDk4OCAxMjA3TDk4OCAxMjkzQzk4OCAxMzE2IDEwMDAgMTMyOCAxMDI0IDEzMjhMMTAyNCAxMzI4QzEwNDcgMTMyOCAxMDU5IDEzMTYgMTA1OSAxMjkzTDEwNTkgMTIwN0wxMTQ1IDEyMDdDMTE2NyAxMjA3IDExNzggMTE5NiAxMTc4IDExNzNMMTE3OCAxMTczQzExNzggMTE1MCAxMTY3IDExMzkgMTE0NSAxMTM5TDEwNTkgMTEzOUwxMDU5IDEwNTdDMTA1OSAxMDMzIDEwNDcgMTAyMSAxMDI0IDEwMjFMMTAyNCAxMDIxQzEwMDAgMTAyMSA5ODggMTAzMyA5ODggMTA1N0w5ODggMTEzOFpNMTAyNCA1NjBDMTA2OSA1NjAgMTExNCA1NjQgMTE1NyA1NzJTMTI0MSA1ODggMTI4MSA1OTlDMTIwMyA2MjAgMTExNyA2MzAgMTAyNCA2MzBDOTI5IDYzMCA4NDQgNjIwIDc2NyA1OTlDODA2IDU4OCA4NDcgNTc5IDg5MCA1NzJTOTc4IDU2MCAxMDI0IDU2MFpNMTAyNCAxNjQ5QzEwNjkgMTY0OSAxMDkyIDE2NzIgMTA5MiAxNzE3UzEwNjkgMTc4NSAxMDI0IDE3ODVTOTU2IDE3NjIgOTU2IDE3MTdTOTc5IDE2NDkgMTAyNCAxNjQ5Wk0xMDI0IDcwMEMxMTAyIDcwMCAxMTc3IDY5MiAxMjQ5IDY3N0wxMjAxIDgwMEMxMTQyIDgwOSAxMDgzIDgxNCAxMDI0IDgxNEM5NjMgODE0IDkwNCA4MDkgODQ2IDgwMEw3OTggNjc3Qzg2OSA2OTIgOTQ1IDcwMCAxMDI0IDcwMFpNMTAyNCA4ODJDMTA4OSA4ODIgMTE1MSA4NzcgMTIxMCA4NjdDMTI3NSA4OTAgMTMyMyA5MjcgMTM1MiA5NzZDMTM3NyAxMDE5IDEzOTAgMTA2NiAxMzkwIDExMTdDMTM5MCAxMTQ4IDEzODIgMTE4MSAxMzY3IDEyMThTMTMyNyAxMjg5IDEyOTIgMTMxOUwxMTYzIDE0MjZDMTExNiAxNDY1IDEwNzAgMTUxMSAxMDI0IDE1NjNDOTc3IDE1MTEgOTMxIDE0NjUgODg0IDE0MjZMNzU2IDEzMTlDNzIxIDEyODkgNjk1IDEyNTUgNjgwIDEyMThTNjU4IDExNDggNjU4IDExMTdDNjU4IDEwNjYgNjcwIDEwMTkgNjk1IDk3NkM3MjQgOTI3IDc3MSA4OTAgODM4IDg2N0M4OTcgODc3IDk1OSA4ODIgMTAyNCA4ODJaTTk4OCA1MDVMOTU2IDUwNUM5MTkgNDQ1IDg4MyA0MDcgODQ5IDM5MkM4MzMgMzg0IDgxNSAzNzcgNzk2IDM3MFM3NTQgMzYwIDcyOSAzNjBDNzI0IDM2MCA2ODkgMzY1IDYyMiAzNzZDNTkwIDM4MSA1NjUgMzg2IDU0NiAzOTFTNTEzIDQwMCA1MDIgNDAxQzQ2NCA0MDYgNDIwIDQwNCAzNjkgMzk1QzMzOCAzOTAgMzEwIDM4MCAyODMgMzY2TDMzMSAyODhDMzM5IDI5NiAzNTAgMzAxIDM2MyAzMDNTMzg3IDMwOCAzOTggMzExQzQyNiAzMTYgNDUzIDMxNiA0NzggMzEzQzQ4NyAzMTEgNTA0IDMwOSA1MjkgMzA2UzU4OCAyOTggNjMwIDI5MUM2ODAgMjg0IDcxNCAyODAgNzMyIDI4MEM4MDIgMjgwIDg1NiAyOTMgODkzIDMyMEM5MTYgMzM3IDkzNyAzNjIgOTU4IDM5M1M5ODggNDYxIDk4OCA1MDVaTTEwMjQgMzkyQzEwMTUgMzU0IDEwMDMgMzI4IDk5MCAzMTNTOTU5IDI4MyA5MzcgMjY3QzkxMyAyNTAgODg1IDIzNiA4NTIgMjI1Uzc4MyAyMTAgNzQzIDIxNkw0NjIgMjU1QzQ1MSAyNTYgNDQwIDI1NiA0MzEgMjU1UzQxNCAyNTMgNDA2IDI1M0MzOTIgMjUzIDM3NCAyNTAgMzUyIDI0NFMzMTQgMjI4IDMwMiAyMTZMMjA1IDM3NUMyMTcgMzg4IDIyOCAzOTggMjM3IDQwM1MyNTcgNDE0IDI3MCA0MjBDMzA5IDQzOCAzNTAgNDQ5IDM5NCA0NTNDNDEzIDQ1NCA0MzEgNDU1IDQ0OSA0NTRTNDg2IDQ1NCA1MDUgNDU2QzU0MSA0NTAgNTc3IDQ0NCA2MTMgNDM5TDcyMyA0MjRDNzYzIDQyNCA3OTAgNDI4IDgwNCA0MzZDODExIDQ0MCA4MjMgNDQ3IDgzOSA0NThTODcxIDQ4NCA4ODcgNTA1Qzg1MiA1MDkgODE2IDUxNiA3NzkgNTI2UzcxMCA1NDUgNjgyIDU1Nkw3ODYgODE0QzczNCA4NDQgNjk4IDg2OCA2NzcgODg3UzY0MCA5MjYgNjI4IDk1MEM2MTEgOTgxIDU5OSAxMDEwIDU5NCAxMDM5UzU4NyAxMDkzIDU4OCAxMTE2QzU4OSAxMTU2IDU5OCAxMjAwIDYxNiAxMjQ5UzY2OSAxMzQwIDcyMCAxMzc4Qzc2MiAxNDEwIDgwMyAxNDQzIDg0MyAxNDc3UzkyMyAxNTUxIDk2MiAxNTk2QzkxMyAxNjIxIDg4OCAxNjYyIDg4OCAxNzE3Qzg4OCAxNzU0IDkwMSAxNzg2IDkyNyAxODEzUzk4NiAxODUzIDEwMjQgMTg1M0MxMDYxIDE4NTMgMTA5MyAxODQwIDExMjAgMTgxM1MxMTYwIDE3NTQgMTE2MCAxNzE3QzExNjAgMTY2MiAxMTM1IDE2MjIgMTA4NiAxNTk2QzExMjUgMTU1MSAxMTY0IDE1MTEgMTIwNCAxNDc3UzEyODUgMTQxMCAxMzI4IDEzNzhDMTM3OCAxMzQwIDE0MTIgMTI5NyAxNDMwIDEyNDlTMTQ1OCAxMTU2IDE0NTkgMTExNkMxNDU5IDEwOTMgMTQ1NyAxMDY4IDE0NTIgMTAzOVMxNDM3IDk4MSAxNDIwIDk1MEMxNDA3IDkyNiAxMzkwIDkwNSAxMzcwIDg4N1MxMzEzIDg0NCAxMjYyIDgxNEwxMzY2IDU1NkMxMzM3IDU0NSAxMzA0IDUzNSAxMjY3IDUyNVMxMTk1IDUwOSAxMTYxIDUwNUMxMTc2IDQ4NCAxMTkyIDQ2OSAxMjA4IDQ1OFMxMjM2IDQ0MCAxMjQ0IDQzNkMxMjU4IDQyOCAxMjg1IDQyNCAxMzI1IDQyNEwxNDM0IDQzOUMxNDcwIDQ0NCAxNTA2IDQ1MCAxNTQzIDQ1NkMxNTYxIDQ1NCAxNTc5IDQ1MyAxNTk4IDQ1NFMxNjM1IDQ1NCAxNjU0IDQ1M0MxNjk3IDQ0OSAxNzM4IDQzOCAxNzc4IDQyMEMxNzkwIDQxNCAxODAxIDQwOCAxODExIDQwM1MxODMxIDM4OCAxODQzIDM3NUwxNzQ1IDIxNkMxNzMzIDIyOCAxNzE2IDIzNyAxNjk1IDI0NFMxNjU1IDI1MyAxNjQyIDI1M0MxNjMzIDI1MyAxNjI1IDI1NCAxNjE2IDI1NVMxNTk2IDI1NiAxNTg1IDI1NUwxMzA1IDIxNkMxMjY1IDIxMCAxMjI4IDIxMyAxMTk0IDIyNFMxMTMxIDI1MCAxMTA5IDI2OUMxMDg3IDI4NyAxMDcwIDMwMyAxMDU3IDMxNlMxMDMzIDM1NCAxMDI0IDM5MlpNMTA1OSA1MDVDMTA1OSA0NjEgMTA2OSA0MjQgMTA4OSAzOTNTMTEzMiAzMzcgMTE1NSAzMjBDMTE5MiAyOTMgMTI0NSAyODAgMTMxNiAyODBDMTMzMyAyODAgMTM2NyAyODQgMTQxOCAyOTFDMTQ1OSAyOTggMTQ5MyAzMDMgMTUxOCAzMDZTMTU2MCAzMTEgMTU2OSAzMTNDMTU5NCAzMTYgMTYyMSAzMTYgMTY0OSAzMTFDMTY2MCAzMDggMTY3MSAzMDYgMTY4NCAzMDRTMTcwOCAyOTYgMTcxNyAyODhMMTc2NSAzNjZDMTczOCAzODAgMTcwOSAzOTAgMTY3OCAzOTVDMTYyNyA0MDQgMTU4MyA0MDYgMTU0NSA0MDFDMTUzNCA0MDAgMTUxOSAzOTYgMTUwMCAzOTFTMTQ1NyAzODEgMTQyNiAzNzZDMTM1OSAzNjUgMTMyMyAzNjAgMTMxOSAzNjBDMTI5MyAzNjAgMTI3MCAzNjMgMTI1MSAzNzBTMTIxNCAzODQgMTE5OSAzOTJDMTE2NCA0MDggMTEyOCA0NDYgMTA5MSA1MDVMMTA1OSA1MDVaIi8+PC9nPjwvc3ZnPg==",
+    wN: "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCAyMDQ4IDIwNDgiPjxnIHRyYW5zZm9ybT0ibWF0cml4KDEgMCAwIC0xIDAgMjA0OCkiPjxwYXRoIGQ9Ik0xMDc5IDE2OTdDMTE4NCAxNjkwIDEyODEgMTY2MyAxMzcwIDE2MTZTMTUzNSAxNTA4IDE1OTggMTQzNEMxNjQyIDEzODIgMTY4NCAxMzE5IDE3MjMgMTI0NlMxNzkzIDEwOTUgMTgxNiAxMDEzQzE4NDMgOTE4IDE4NjAgODE3IDE4NjcgNzEyUzE4NzcgNTEwIDE4NzcgNDIxTDE4NzcgMjAzTDE3MjIgMjAzTDEzMTggMjAzTDY0NyAyMDNDNjQxIDIwMyA2MzggMjE5IDYzOSAyNTJTNjQxIDMxMSA2NDUgMzMxQzY0OCAzNDcgNjU0IDM3MCA2NjQgMzk5UzY5MSA0NjQgNzE0IDUwNkM3MjUgNTI3IDc1MCA1NTggNzkwIDU5OUw5MjggNzQyQzk1OCA3NzMgOTgyIDgxMSA5OTkgODU4UzEwMjMgOTQ3IDEwMjAgOTg1Qzk5NSA5NjUgOTY4IDk0OSA5MzkgOTM2Qzc5OCA4ODUgNjk1IDgxMiA2MzIgNzE2QzYyNyA3MTAgNjEyIDY4MyA1ODcgNjM1QzU3NCA2MTAgNTYyIDU5MiA1NTMgNTgzQzU0MCA1NzAgNTIyIDU2MyA0OTggNTYyQzQ2MSA1NjAgNDMyIDU3OCA0MTEgNjE2QzM4MyA2MDggMzU4IDYwNSAzMzYgNjA2QzI5OSA2MjAgMjcyIDYzNSAyNTUgNjUxQzIyMSA2ODUgMTk5IDcxOSAxODkgNzUzUzE3MyA4MjQgMTczIDg2M0MxNzMgOTE5IDIwOCA5OTMgMjc3IDEwODVDMzU4IDExOTEgNDAyIDEyNzIgNDA3IDEzMjdDNDA3IDEzNTEgNDA5IDEzNzggNDE0IDE0MDhDNDE4IDE0MjkgNDI2IDE0NDkgNDM5IDE0NjhDNDQ4IDE0ODEgNDU0IDE0OTEgNDU3IDE0OTZTNDY1IDE1MDggNDczIDE1MThDNDc5IDE1MjYgNDg0IDE1MzIgNDg4IDE1MzdTNDk3IDE1NDcgNTAzIDE1NTRDNTEwIDE1NjMgNTIwIDE1NzMgNTMxIDE1ODRDNDk2IDE2ODEgNDgxIDE3ODIgNDg4IDE4ODVDNjIxIDE4MzggNzMyIDE3NjMgODIyIDE2NjJDODQ0IDE3MzcgODg3IDE3OTggOTUyIDE4NDVDMTAwNSAxODA4IDEwNDggMTc1OCAxMDc5IDE2OTdaIiBmaWxsPSIjZmZmIi8+PHBhdGggZD0iTTY5NyAxMzU5QzcwNiAxMzQ2IDcwOSAxMzMyIDcwNyAxMzE3QzcwMCAxMjc0IDY3NyAxMjU2IDYzNiAxMjYzQzYyNCAxMjY1IDYxNCAxMjY5IDYwNyAxMjc1QzYwNCAxMjcyIDYwMCAxMjY0IDU5NSAxMjUzQzU4OCAxMjMyIDU3NCAxMjI0IDU1MyAxMjMxQzUzMiAxMjM5IDUyNCAxMjU0IDUyOSAxMjc2QzU1OSAxMzUzIDYxMyAxNDA1IDY5MiAxNDM0QzcxNSAxNDQxIDczMCAxNDM0IDczNyAxNDE0Qzc0NSAxMzkzIDczOSAxMzc4IDcxOSAxMzcwTDcwOCAxMzY1Wk00MDAgODgyQzM4MSA4NzAgMzY5IDg1NCAzNjUgODM0QzM2NiA4MTIgMzU1IDgwMCAzMzQgNzk4QzMxMSA3OTUgMjk5IDgwNSAyOTggODI4QzMwMSA4NzIgMzIwIDkwNyAzNTcgOTMzQzM3NCA5NDcgMzkwIDk0NiA0MDUgOTI5QzQyMCA5MTEgNDE4IDg5NSA0MDAgODgyWk0xMDc5IDE2OTdDMTE4NCAxNjkwIDEyODEgMTY2MyAxMzcwIDE2MTZTMTUzNSAxNTA4IDE1OTggMTQzNEMxNjQyIDEzODIgMTY4NCAxMzE5IDE3MjMgMTI0NlMxNzkzIDEwOTUgMTgxNiAxMDEzQzE4NDMgOTE4IDE4NjAgODE3IDE4NjcgNzEyUzE4NzcgNTEwIDE4NzcgNDIxTDE4NzcgMjAzTDE3MjIgMjAzTDEzMTggMjAzTDY0NyAyMDNDNjQxIDIwMyA2MzggMjE5IDYzOSAyNTJTNjQxIDMxMSA2NDUgMzMxQzY0OCAzNDcgNjU0IDM3MCA2NjQgMzk5UzY5MSA0NjQgNzE0IDUwNkM3MjUgNTI3IDc1MCA1NTggNzkwIDU5OUw5MjggNzQyQzk1OCA3NzMgOTgyIDgxMSA5OTkgODU4UzEwMjMgOTQ3IDEwMjAgOTg1Qzk5NSA5NjUgOTY4IDk0OSA5MzkgOTM2Qzc5OCA4ODUgNjk1IDgxMiA2MzIgNzE2QzYyNyA3MTAgNjEyIDY4MyA1ODcgNjM1QzU3NCA2MTAgNTYyIDU5MiA1NTMgNTgzQzU0MCA1NzAgNTIyIDU2MyA0OTggNTYyQzQ2MSA1NjAgNDMyIDU3OCA0MTEgNjE2QzM4MyA2MDggMzU4IDYwNSAzMzYgNjA2QzI5OSA2MjAgMjcyIDYzNSAyNTUgNjUxQzIyMSA2ODUgMTk5IDcxOSAxODkgNzUzUzE3MyA4MjQgMTczIDg2M0MxNzMgOTE5IDIwOCA5OTMgMjc3IDEwODVDMzU4IDExOTEgNDAyIDEyNzIgNDA3IDEzMjdDNDA3IDEzNTEgNDA5IDEzNzggNDE0IDE0MDhDNDE4IDE0MjkgNDI2IDE0NDkgNDM5IDE0NjhDNDQ4IDE0ODEgNDU0IDE0OTEgNDU3IDE0OTZTNDY1IDE1MDggNDczIDE1MThDNDc5IDE1MjYgNDg0IDE1MzIgNDg4IDE1MzdTNDk3IDE1NDcgNTAzIDE1NTRDNTEwIDE1NjMgNTIwIDE1NzMgNTMxIDE1ODRDNDk2IDE2ODEgNDgxIDE3ODIgNDg4IDE4ODVDNjIxIDE4MzggNzMyIDE3NjMgODIyIDE2NjJDODQ0IDE3MzcgODg3IDE3OTggOTUyIDE4NDVDMTAwNSAxODA4IDEwNDggMTc1OCAxMDc5IDE2OTdaTTE3NTYgMjc0QzE3NTUgMjc0IDE3NTYgMjkyIDE3NTggMzI4UzE3NjEgNDA0IDE3NjEgNDQ2QzE3NjIgNTI5IDE3NjIgNjE1IDE3NjEgNzA0UzE3NDggODgyIDE3MjUgOTcxQzE3MDIgMTA1NiAxNjc3IDExMjkgMTY1MCAxMTg5UzE1OTMgMTMwMiAxNTYxIDEzNDZDMTUxMyAxNDE4IDE0NDggMTQ3OSAxMzY1IDE1MjlTMTE5NiAxNjEyIDExMDYgMTYyN0MxMTEyIDE1OTQgMTExNSAxNTYyIDExMTQgMTUzMUMxMTEzIDE1MDcgMTEwMSAxNDk1IDEwODAgMTQ5NUMxMDU1IDE0OTUgMTA0NCAxNTA3IDEwNDcgMTUzMUMxMDQ5IDE2MTkgMTAxOCAxNjk0IDk1MyAxNzU3QzkwMiAxNzA0IDg3NSAxNjQyIDg3MSAxNTcxQzg3MCAxNTQ4IDg1OCAxNTM3IDgzNSAxNTQwQzgxNCAxNTQxIDgwMyAxNTUzIDgwMyAxNTc3TDgwNSAxNTg1Qzc3OCAxNTc2IDc0OSAxNTY0IDcxOSAxNTQ4QzcwMCAxNTM1IDY4NCAxNTM4IDY3MiAxNTU4UzY2NSAxNTk0IDY4OCAxNjA1TDc1MyAxNjM4QzY5NiAxNjk3IDYzMCAxNzQ0IDU1NyAxNzgwQzU2NSAxNjg3IDU5MCAxNjAwIDYzMyAxNTE3QzY0NCAxNTAwIDY0MiAxNDg0IDYyNSAxNDcxQzYwNiAxNDU2IDU5MSAxNDU5IDU3OCAxNDc4QzU3MyAxNDg1IDU2NyAxNDk3IDU1OCAxNTE0QzU0NCAxNTAwIDUzNSAxNDkwIDUzMCAxNDgzQzUyNSAxNDc3IDUxNyAxNDY0IDUwNiAxNDQzUzQ4NSAxNDA1IDQ4MCAxMzkyQzQ3NCAxMzc1IDQ3MiAxMzYyIDQ3MyAxMzUxUzQ3NCAxMzMwIDQ3NSAxMzE3QzQ2OSAxMjc4IDQ1NiAxMjQxIDQzNSAxMjA2TDM1NCAxMDc5TDI4MiA5NzFDMjY1IDk0NyAyNTMgOTE2IDI0NCA4NzlDMjM4IDg1NiAyMzggODI5IDI0NCA3OTZTMjYzIDczOSAyODMgNzIxQzMxNCA2OTAgMzQzIDY3NSAzNzIgNjc4QzM4MSA2NzggMzk0IDY4MiA0MTAgNjg5UzQzNyA3MTAgNDQ2IDczMUM0NjMgNzY5IDQ3OCA3ODggNDg5IDc4OEM1MDYgNzg4IDUxNSA3NzkgNTE2IDc2MEM1MTYgNzU2IDUxMSA3MzkgNTAwIDcxMEM0OTQgNjk3IDQ4NiA2ODMgNDc2IDY2OEM0NjMgNjUxIDQ1OCA2NDMgNDU5IDY0NkM0NzAgNjA4IDQ4NyA2MDEgNTEyIDYyNkM1MTkgNjMzIDUyOCA2NDcgNTM3IDY2N1M1NjEgNzE0IDU4MSA3NDhDNjA0IDc4NyA2MjkgODE5IDY1NiA4NDRTNzA2IDg4OSA3MjcgOTA0QzczOSA5MTMgNzU0IDkyMyA3NzEgOTM0UzgxMiA5NTcgODQxIDk2OUM4NjQgOTc4IDg5MCA5OTAgOTE4IDEwMDNTOTcyIDEwMzUgOTk0IDEwNTZDMTAyNSAxMDg2IDEwNDggMTEyMyAxMDY1IDExNjdDMTA3NCAxMTkyIDEwNzcgMTIyMiAxMDc1IDEyNThDMTA2OSAxMjgxIDEwODAgMTI5MiAxMTA5IDEyOTJDMTEzMCAxMjkyIDExNDIgMTI4MSAxMTQ1IDEyNTlDMTE0NSAxMTg0IDExMjQgMTExNSAxMDgxIDEwNTNDMTA5NSAxMDEwIDEwOTkgOTY0IDEwOTIgOTEzQzEwODYgODcyIDEwNzIgODI5IDEwNDkgNzgyUzk4MiA2ODUgOTE0IDYyOEM3NzYgNTEzIDcxMSAzOTUgNzE4IDI3NEw4ODggMjc0TDEyMDkgMjc0TDE3NTYgMjc0WiIvPjwvZz48L3N2Zz4=",
+    wP: "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCAyMDQ4IDIwNDgiPjxnIHRyYW5zZm9ybT0ibWF0cml4KDEgMCAwIC0xIDAgMjA0OCkiPjxwYXRoIGQ9Ik0xMDI0IDIwNUw0ODQgMjA1QzQ1NyAyNzIgNDQ0IDM0MSA0NDQgNDE0QzQ0NCA1MzcgNDc5IDY0OCA1NDkgNzQ2UzcwOSA5MTQgODE5IDk1NkM3NzIgOTc4IDczMyAxMDExIDcwMyAxMDU2UzY1OSAxMTUwIDY1OSAxMjA2QzY1OSAxMjc2IDY4MiAxMzM3IDcyOSAxMzg4UzgzMyAxNDY5IDkwMSAxNDc3Qzg0NyAxNTE4IDgyMCAxNTcxIDgyMCAxNjM4QzgyMCAxNjk0IDg0MCAxNzQyIDg3OSAxNzgyUzk2NyAxODQyIDEwMjQgMTg0MkMxMDgwIDE4NDIgMTEyOCAxODIyIDExNjggMTc4MlMxMjI4IDE2OTQgMTIyOCAxNjM4QzEyMjggMTU3MSAxMjAxIDE1MTggMTE0NyAxNDc3QzEyMTUgMTQ2OSAxMjcyIDE0MzkgMTMxOSAxMzg4UzEzODkgMTI3NiAxMzg5IDEyMDZDMTM4OSAxMTUwIDEzNzQgMTEwMCAxMzQ0IDEwNTZTMTI3NSA5NzggMTIyOCA5NTZDMTMzOCA5MTQgMTQyOCA4NDQgMTQ5OCA3NDZTMTYwMyA1MzcgMTYwMyA0MTRDMTYwMyAzNDIgMTU5MCAyNzIgMTU2NCAyMDVMMTAyNCAyMDVaIiBmaWxsPSIjZmZmIi8+PHBhdGggZD0iTTEwMjQgMjczTDE1MTUgMjczQzE1MjkgMzIxIDE1MzYgMzY4IDE1MzYgNDE0QzE1MzYgNTE4IDE1MDcgNjEyIDE0NTAgNjk3UzEzMTggODQ0IDEyMjcgODg0QzExODMgODg3IDExNjEgOTExIDExNjEgOTU2QzExNjEgOTkxIDExODMgMTAxNyAxMjI4IDEwMzRDMTI5MCAxMDc3IDEzMjEgMTEzNSAxMzIxIDEyMDZDMTMyMSAxMjU3IDEzMDQgMTMwMiAxMjY5IDEzNDFTMTE5MiAxNDAyIDExNDMgMTQwOEMxMTAzIDE0MTEgMTA4MyAxNDM0IDEwODMgMTQ3NkMxMDgzIDE0OTUgMTA5MCAxNTEyIDExMDUgMTUyOEMxMTQxIDE1NTYgMTE1OSAxNTkzIDExNTkgMTYzOEMxMTU5IDE2NzUgMTE0NiAxNzA3IDExMTkgMTczNFMxMDYxIDE3NzQgMTAyNCAxNzc0Qzk4NiAxNzc0IDk1NCAxNzYxIDkyOCAxNzM0Uzg4OCAxNjc1IDg4OCAxNjM4Qzg4OCAxNTkzIDkwNiAxNTU3IDk0MiAxNTI4Qzk1NyAxNTEzIDk2NCAxNDk2IDk2NCAxNDc2Qzk2NCAxNDM0IDk0NCAxNDExIDkwNSAxNDA4Qzg1NSAxNDAyIDgxMyAxMzgwIDc3OSAxMzQxUzcyNyAxMjU3IDcyNyAxMjA2QzcyNyAxMTM1IDc1OCAxMDc3IDgyMCAxMDM0Qzg2NSAxMDE3IDg4NyA5OTEgODg3IDk1NkM4ODcgOTExIDg2NSA4ODcgODIwIDg4NEM3MjkgODQ0IDY1NSA3ODIgNTk4IDY5N1M1MTIgNTE4IDUxMiA0MTRDNTEyIDM2NSA1MTkgMzE4IDUzMyAyNzNMMTAyNCAyNzNaTTEwMjQgMjA1TDQ4NCAyMDVDNDU3IDI3MiA0NDQgMzQxIDQ0NCA0MTRDNDQ0IDUzNyA0NzkgNjQ4IDU0OSA3NDZTNzA5IDkxNCA4MTkgOTU2Qzc3MiA5NzggNzMzIDEwMTEgNzAzIDEwNTZTNjU5IDExNTAgNjU5IDEyMDZDNjU5IDEyNzYgNjgyIDEzMzcgNzI5IDEzODhTODMzIDE0NjkgOTAxIDE0NzdDODQ3IDE1MTggODIwIDE1NzEgODIwIDE2MzhDODIwIDE2OTQgODQwIDE3NDIgODc5IDE3ODJTOTY3IDE4NDIgMTAyNCAxODQyQzEwODAgMTg0MiAxMTI4IDE4MjIgMTE2OCAxNzgyUzEyMjggMTY5NCAxMjI4IDE2MzhDMTIyOCAxNTcxIDEyMDEgMTUxOCAxMTQ3IDE0NzdDMTIxNSAxNDY5IDEyNzIgMTQzOSAxMzE5IDEzODhTMTM4OSAxMjc2IDEzODkgMTIwNkMxMzg5IDExNTAgMTM3NCAxMTAwIDEzNDQgMTA1NlMxMjc1IDk3OCAxMjI4IDk1NkMxMzM4IDkxNCAxNDI4IDg0NCAxNDk4IDc0NlMxNjAzIDUzNyAxNjAzIDQxNEMxNjAzIDM0MiAxNTkwIDI3MiAxNTY0IDIwNUwxMDI0IDIwNVoiLz48L2c+PC9zdmc+",
+    bK: "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCAyMDQ4IDIwNDgiPjxnIHRyYW5zZm9ybT0ibWF0cml4KDEgMCAwIC0xIDAgMjA0OCkiPjxwYXRoIGQ9Ik00NjMgNTIyTDQzMCA3MDlDNDI5IDcwOSA0MjggNzEwIDQyNyA3MTNDNDI0IDcxOCA0MTQgNzI0IDM5OSA3MzJTMzY1IDc1MiAzNDQgNzcxQzMxNSA3OTYgMjkyIDgxNiAyNzYgODMxUzI0NCA4NjMgMjMxIDg4MUMxOTAgOTM3IDE2OCAxMDA1IDE2MyAxMDg0QzE1NiAxMTYxIDE4NyAxMjM3IDI1NiAxMzEzQzMyNSAxMzg5IDQxOSAxNDI1IDUzNyAxNDIwQzU4MSAxNDE3IDYzMyAxNDA3IDY5MiAxMzg4TDc1MiAxMzY1TDgxMiAxMzQxQzgyMyAxMzM2IDgzMiAxMzMwIDg0MCAxMzI1QzgzNyAxMzM5IDgzNSAxMzUzIDgzNSAxMzY3QzgzNSAxNDE5IDg1NCAxNDYzIDg5MSAxNTAwUzk3MiAxNTU1IDEwMjQgMTU1NkMxMDc2IDE1NTYgMTEyMCAxNTM4IDExNTcgMTUwMVMxMjEyIDE0MTkgMTIxMiAxMzY4QzEyMTIgMTM1NyAxMjExIDEzNDMgMTIwOCAxMzI2QzEyMTcgMTMzMiAxMjI2IDEzMzcgMTIzNSAxMzQxQzEyNjYgMTM1NCAxMzA2IDEzNzAgMTM1NiAxMzg4QzE0MTMgMTQwNyAxNDY1IDE0MTggMTUxMSAxNDIxQzE2MjkgMTQyNiAxNzIyIDEzOTEgMTc5MSAxMzE0QzE4NTggMTIzOCAxODkwIDExNjIgMTg4NSAxMDg1QzE4ODAgMTAwNiAxODU3IDkzOCAxODE2IDg4MkMxODAzIDg2NCAxNzg4IDg0NyAxNzcxIDgzMlMxNzMyIDc5NiAxNzA0IDc3MkMxNjgyIDc1MyAxNjYzIDc0MCAxNjQ4IDczM1MxNjI0IDcxOSAxNjIxIDcxNEMxNjIwIDcxMyAxNjIwIDcxMiAxNjE5IDcxMVMxNjE4IDcxMCAxNjE4IDcwOUwxNTg2IDUyMUwxNjUyIDI3NEMxNjE5IDI0NCAxNTQ0IDIxOSAxNDI4IDIwMFMxMTc4IDE3MSAxMDI2IDE3MUM4NzEgMTcxIDczNSAxODEgNjE4IDIwMlM0MjcgMjQ3IDM5NyAyNzhaIiBmaWxsPSIjZmZmIi8+PHBhdGggZD0iTTExMzMgODY1QzExMzMgODg0IDExMzUgOTEyIDExNDAgOTQ4UzExNTEgMTAxMSAxMTYwIDEwMzFDMTE4NSAxMDg1IDEyMjAgMTEzNSAxMjY2IDExODFDMTI3OSAxMTk0IDEzMDggMTIxMiAxMzUyIDEyMzVDMTM5NSAxMjU2IDE0NDIgMTI2NyAxNDkxIDEyNjdDMTUyOCAxMjY3IDE1NjYgMTI2MSAxNjAzIDEyNDhTMTY2NyAxMjE1IDE2ODYgMTE4OEMxNzAzIDExNjUgMTcxMSAxMTI5IDE3MTEgMTA3OEMxNzExIDEwMzggMTY5NSAxMDAxIDE2NjIgOTY2QzE2NDEgOTQ0IDE2MTggOTIyIDE1OTMgOTAwUzE1NDUgODUxIDE1MjIgODIxQzE0ODMgODM0IDE0MjkgODQ1IDEzNjAgODUyUzEyMTYgODY0IDExMzMgODY1Wk0xMDYwIDc4N0MxMTc1IDc4NSAxMjY5IDc3OSAxMzQyIDc3MFMxNDgxIDc1MCAxNTQwIDczN0MxNTc3IDc3MyAxNjE3IDgwNyAxNjYyIDg0MFMxNzM4IDkwMSAxNzU2IDkyNEMxNzg4IDk2NyAxODA0IDEwMjEgMTgwNCAxMDg2QzE4MDQgMTE0NSAxNzkwIDExOTUgMTc2MSAxMjM1QzE3MTAgMTMxMCAxNjMxIDEzNDggMTUyNiAxMzQ4QzE0NjUgMTM0OCAxNDAxIDEzMzUgMTMzNCAxMzA4QzEyNzMgMTI4NCAxMjI5IDEyNTggMTIwMiAxMjMwQzExNDUgMTE3NSAxMTA0IDExMDMgMTA3OCAxMDE0QzEwNjggOTgzIDEwNjMgOTQ0IDEwNjIgODk3UzEwNjAgODEzIDEwNjAgNzg3Wk0xNTE4IDYxNEMxMzk1IDY0OCAxMjMyIDY2NSAxMDI4IDY2NUM4MjMgNjY1IDY1NyA2NDggNTMyIDYxM0w1NDcgNTEyQzY3MyA1NDUgODMzIDU2MSAxMDI4IDU2MUMxMjIyIDU2MSAxMzgwIDU0NSAxNTAyIDUxM1pNMTU0NCAzMTVMMTUxNCA0MzNDMTM4NCA0NjMgMTIyMSA0NzggMTAyNCA0NzhDODI5IDQ3OCA2NjcgNDYzIDUzNiA0MzNMNTA0IDMxNEM2MzEgMzUzIDgwNCAzNzIgMTAyNSAzNzJDMTEzMSAzNzIgMTIyOSAzNjcgMTMyMCAzNTZTMTQ4NSAzMzIgMTU0NCAzMTVaTTQ2MyA1MjJMNDMwIDcwOUM0MjkgNzA5IDQyOCA3MTAgNDI3IDcxM0M0MjQgNzE4IDQxNCA3MjQgMzk5IDczMlMzNjUgNzUyIDM0NCA3NzFDMzE1IDc5NiAyOTIgODE2IDI3NiA4MzFTMjQ0IDg2MyAyMzEgODgxQzE5MCA5MzcgMTY4IDEwMDUgMTYzIDEwODRDMTU2IDExNjEgMTg3IDEyMzcgMjU2IDEzMTNDMzI1IDEzODkgNDE5IDE0MjUgNTM3IDE0MjBDNTgxIDE0MTcgNjMzIDE0MDcgNjkyIDEzODhMNzUyIDEzNjVMODEyIDEzNDFDODIzIDEzMzYgODMyIDEzMzAgODQwIDEzMjVDODM3IDEzMzkgODM1IDEzNTMgODM1IDEzNjdDODM1IDE0MTkgODU0IDE0NjMgODkxIDE1MDBTOTcyIDE1NTUgMTAyNCAxNTU2QzEwNzYgMTU1NiAxMTIwIDE1MzggMTE1NyAxNTAxUzEyMTIgMTQxOSAxMjEyIDEzNjhDMTIxMiAxMzU3IDEyMTEgMTM0MyAxMjA4IDEzMjZDMTIxNyAxMzMyIDEyMjYgMTMzNyAxMjM1IDEzNDFDMTI2NiAxMzU0IDEzMDYgMTM3MCAxMzU2IDEzODhDMTQxMyAxNDA3IDE0NjUgMTQxOCAxNTExIDE0MjFDMTYyOSAxNDI2IDE3MjIgMTM5MSAxNzkxIDEzMTRDMTg1OCAxMjM4IDE4OTAgMTE2MiAxODg1IDEwODVDMTg4MCAxMDA2IDE4NTcgOTM4IDE4MTYgODgyQzE4MDMgODY0IDE3ODggODQ3IDE3NzEgODMyUzE3MzIgNzk2IDE3MDQgNzcyQzE2ODIgNzUzIDE2NjMgNzQwIDE2NDggNzMzUzE2MjQgNzE5IDE2MjEgNzE0QzE2MjAgNzEzIDE2MjAgNzEyIDE2MTkgNzExUzE2MTggNzEwIDE2MTggNzA5TDE1ODYgNTIxTDE2NTIgMjc0QzE2MTkgMjQ0IDE1NDQgMjE5IDE0MjggMjAwUzExNzggMTcxIDEwMjYgMTcxQzg3MSAxNzEgNzM1IDE4MSA2MTggMjAyUzQyNyAyNDcgMzk3IDI3OFpNOTg4IDc4OEM5ODggODE1IDk4NyA4NTIgOTg2IDg5OVM5ODAgOTg1IDk3MSAxMDE2Qzk0NCAxMTA1IDkwMiAxMTc3IDg0NyAxMjMyQzgxOCAxMjYwIDc3NCAxMjg2IDcxNSAxMzEwQzY0NyAxMzM3IDU4MyAxMzUwIDUyMiAxMzUwQzQxNyAxMzUwIDMzOSAxMzEyIDI4OCAxMjM3QzI1OSAxMTk3IDI0NSAxMTQ3IDI0NSAxMDg3QzI0NSAxMDIyIDI2MSA5NjggMjkzIDkyNkMzMTAgOTAyIDM0MiA4NzIgMzg5IDgzN1M0NzYgNzY5IDUwOSA3MzlDNTY3IDc1MiA2MzMgNzYzIDcwNiA3NzJTODczIDc4NyA5ODggNzg4Wk0xMDI0IDEwMzlDMTAyOSAxMDU4IDEwMzMgMTA3MSAxMDM2IDEwNzhDMTA0MyAxMTA0IDEwNTAgMTEyNiAxMDU5IDExNDRDMTA2MyAxMTU1IDEwNjkgMTE2OSAxMDc2IDExODRTMTA5MiAxMjE2IDExMDEgMTIzNUMxMTA2IDEyNDYgMTExMiAxMjYwIDExMTggMTI3N0wxMTM2IDEzMjVDMTE0MSAxMzM4IDExNDQgMTM1MyAxMTQ0IDEzNjhDMTE0NCAxNDAxIDExMzIgMTQyOSAxMTA5IDE0NTJTMTA1NyAxNDg2IDEwMjQgMTQ4NkM5NDUgMTQ4NiA5MDUgMTQ0NiA5MDUgMTM2N0M5MDUgMTM1MiA5MDggMTMzNyA5MTMgMTMyNEM5MjggMTI4MSA5MzkgMTI1MSA5NDcgMTIzNEw5NzEgMTE4M0w5OTAgMTE0M0M5OTkgMTEyMSAxMDA2IDEwOTkgMTAxMiAxMDc3QzEwMTMgMTA3MyAxMDE3IDEwNjAgMTAyNCAxMDM5Wk0xMDU5IDE1NTlMOTg4IDE1NTlMOTg4IDE2OTBMOTA1IDE2OTBDODgyIDE2OTAgODcxIDE3MDEgODcxIDE3MjNMODcxIDE3MjRDODcxIDE3NDYgODgyIDE3NTcgOTA1IDE3NTdMOTg4IDE3NTdMOTg4IDE4NDJDOTg4IDE4NjUgMTAwMCAxODc3IDEwMjQgMTg3N0wxMDI0IDE4NzdDMTA0NyAxODc3IDEwNTkgMTg2NSAxMDU5IDE4NDJMMTA1OSAxNzU3TDExNDUgMTc1N0MxMTY3IDE3NTcgMTE3OCAxNzQ2IDExNzggMTcyNEwxMTc4IDE3MjNDMTE3OCAxNzAxIDExNjcgMTY5MCAxMTQ1IDE2OTBMMTA2MCAxNjg5Wk05MTIgODY1QzgyOSA4NjQgNzUyIDg1OSA2ODMgODUyUzU2MSA4MzQgNTIzIDgyMUM1MDMgODQ2IDQ4MCA4NzEgNDUzIDg5NlM0MDQgOTQ0IDM4NCA5NjZDMzUxIDEwMDAgMzM0IDEwMzcgMzM0IDEwNzhDMzM0IDExMjggMzQyIDExNjUgMzU5IDExODhDMzc3IDEyMTUgNDA1IDEyMzUgNDQyIDEyNDhTNTE3IDEyNjcgNTU1IDEyNjdDNjAzIDEyNjcgNjQ5IDEyNTYgNjkzIDEyMzVDNzM2IDEyMTIgNzY1IDExOTQgNzc5IDExODFDODI0IDExMzUgODYwIDEwODUgODg1IDEwMzFDODk0IDEwMTEgOTAwIDk4MyA5MDQgOTQ4UzkxMSA4ODQgOTEyIDg2NVpNMTAyNCAxMjEwQzEwMjMgMTIxNyAxMDIxIDEyMjIgMTAxOSAxMjI3QzEwMTUgMTI0MCAxMDEyIDEyNTAgMTAwOSAxMjU2QzEwMDcgMTI2MSAxMDA0IDEyNjYgMTAwMSAxMjczUzk5NCAxMjg4IDk5MSAxMjk2Qzk4OSAxMzAxIDk4NyAxMzA3IDk4NCAxMzE1Uzk3OCAxMzI5IDk3NiAxMzM2Qzk3NCAxMzQyIDk3MyAxMzQ4IDk3MyAxMzU1Qzk3MyAxMzkwIDk5MCAxNDA4IDEwMjQgMTQwOEMxMDU5IDE0MDggMTA3NyAxMzkxIDEwNzcgMTM1NkMxMDc3IDEzNDcgMTA3NiAxMzQxIDEwNzMgMTMzN0MxMDY0IDEzMTIgMTA1OSAxMjk4IDEwNTggMTI5NkMxMDQ4IDEyNzYgMTA0MiAxMjYzIDEwMzkgMTI1N0MxMDM0IDEyNDYgMTAzMSAxMjM3IDEwMzAgMTIyOEMxMDI4IDEyMjQgMTAyNyAxMjIxIDEwMjYgMTIxOFMxMDI1IDEyMTIgMTAyNCAxMjEwWiIvPjwvZz48L3N2Zz4=",
+    bQ: "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCAyMDQ4IDIwNDgiPjxnIHRyYW5zZm9ybT0ibWF0cml4KDEgMCAwIC0xIDAgMjA0OCkiPjxwYXRoIGQ9Ik0xNjQwIDI4M0MxNjA3IDI1NCAxNTM0IDIzMCAxNDIwIDIxMVMxMTc1IDE4MiAxMDI2IDE4MkM4NzUgMTgyIDc0MiAxOTIgNjI3IDIxMlM0NDAgMjU3IDQxMCAyODdMNDczIDUyN0w0NDUgNjg0TDM1NyA4MzdMMjcyIDE0NTlMMzIxIDE0NzhMNTk1IDEwMTZMNjAxIDE1NjZMNjY5IDE1NzhMODc4IDEwMjVMOTkwIDE2MjBMMTA1OSAxNjIwTDExNzEgMTAyN0wxMzc4IDE1NzhMMTQ0NyAxNTY2TDE0NTMgMTAxNkwxNzI4IDE0NzlMMTc3NSAxNDU3TDE2OTIgODM4TDE2MDMgNjg1TDE1NzUgNTI2WiIgZmlsbD0iI2ZmZiIvPjxwYXRoIGQ9Ik0xNTg4IDc5M0MxNTMzIDgxMyAxNDU1IDgyOSAxMzU1IDg0MlMxMTQzIDg2MiAxMDIyIDg2MkM5MDMgODYyIDc5NSA4NTYgNjk2IDg0M1M1MjAgODE1IDQ2MyA3OTVMNTEzIDcwNEM1NjkgNzIxIDY0MiA3MzMgNzMxIDc0MFM5MTggNzUxIDEwMjQgNzUxUzEyMjggNzQ3IDEzMTggNzQwUzE0ODEgNzIwIDE1MzcgNzAzWk0xODE0IDE0NjFDMTc3NiAxNDYxIDE3NDQgMTQ3NCAxNzE3IDE1MDFTMTY3NyAxNTU5IDE2NzcgMTU5N0MxNjc3IDE2MzQgMTY5MCAxNjY3IDE3MTcgMTY5NFMxNzc2IDE3MzQgMTgxNCAxNzM0QzE4NTEgMTczNCAxODgzIDE3MjEgMTkxMCAxNjk0UzE5NTAgMTYzNCAxOTUwIDE1OTdDMTk1MCAxNTU5IDE5MzcgMTUyNyAxOTEwIDE1MDFTMTg1MSAxNDYxIDE4MTQgMTQ2MVpNMjM2IDE0NjFDMTk4IDE0NjEgMTY2IDE0NzQgMTQwIDE1MDFTMTAwIDE1NTkgMTAwIDE1OTdDMTAwIDE2MzQgMTEzIDE2NjcgMTQwIDE2OTRTMTk4IDE3MzQgMjM2IDE3MzRTMzA2IDE3MjEgMzMzIDE2OTRTMzczIDE2MzQgMzczIDE1OTdDMzczIDE1NTkgMzYwIDE1MjcgMzMzIDE1MDFTMjc0IDE0NjEgMjM2IDE0NjFaTTE0NDQgMTU3MUMxNDA2IDE1NzEgMTM3NCAxNTg0IDEzNDggMTYxMVMxMzA4IDE2NjkgMTMwOCAxNzA3QzEzMDggMTc0NCAxMzIxIDE3NzYgMTM0OCAxODAzUzE0MDYgMTg0MyAxNDQ0IDE4NDNTMTUxNCAxODMwIDE1NDEgMTgwM1MxNTgxIDE3NDQgMTU4MSAxNzA3QzE1ODEgMTY2OSAxNTY4IDE2MzcgMTU0MSAxNjExUzE0ODIgMTU3MSAxNDQ0IDE1NzFaTTYwNCAxNTcxQzU2NiAxNTcxIDUzNCAxNTg0IDUwNyAxNjExUzQ2NyAxNjY5IDQ2NyAxNzA3QzQ2NyAxNzQ0IDQ4MCAxNzc2IDUwNyAxODAzUzU2NiAxODQzIDYwNCAxODQzQzY0MSAxODQzIDY3MyAxODMwIDcwMCAxODAzUzc0MCAxNzQ0IDc0MCAxNzA3Qzc0MCAxNjY5IDcyNyAxNjM3IDcwMCAxNjExUzY0MSAxNTcxIDYwNCAxNTcxWk0xNjQwIDI4M0MxNjA3IDI1NCAxNTM0IDIzMCAxNDIwIDIxMVMxMTc1IDE4MiAxMDI2IDE4MkM4NzUgMTgyIDc0MiAxOTIgNjI3IDIxMlM0NDAgMjU3IDQxMCAyODdMNDczIDUyN0w0NDUgNjg0TDM1NyA4MzdMMjcyIDE0NTlMMzIxIDE0NzhMNTk1IDEwMTZMNjAxIDE1NjZMNjY5IDE1NzhMODc4IDEwMjVMOTkwIDE2MjBMMTA1OSAxNjIwTDExNzEgMTAyN0wxMzc4IDE1NzhMMTQ0NyAxNTY2TDE0NTMgMTAxNkwxNzI4IDE0NzlMMTc3NSAxNDU3TDE2OTIgODM4TDE2MDMgNjg1TDE1NzUgNTI2Wk0xNTQ0IDMxNUwxNTE0IDQzM0MxMzg0IDQ2MyAxMjIxIDQ3OCAxMDI0IDQ3OEM4MjkgNDc4IDY2NyA0NjMgNTM2IDQzM0w1MDQgMzE0QzYzMSAzNTMgODA0IDM3MiAxMDI1IDM3MkMxMTMxIDM3MiAxMjI5IDM2NyAxMzIwIDM1NlMxNDg1IDMzMiAxNTQ0IDMxNVpNMTUxOCA2MTRDMTM5NSA2NDggMTIzMiA2NjUgMTAyOCA2NjVDODIzIDY2NSA2NTcgNjQ4IDUzMiA2MTNMNTQ3IDUxMkM2NzMgNTQ1IDgzMyA1NjEgMTAyOCA1NjFDMTIyMiA1NjEgMTM4MCA1NDUgMTUwMiA1MTNaTTEwMjQgMTYyMUM5ODYgMTYyMSA5NTQgMTYzNCA5MjggMTY2MVM4ODggMTcyMCA4ODggMTc1OEM4ODggMTc5NSA5MDEgMTgyNyA5MjggMTg1NFM5ODYgMTg5NCAxMDI0IDE4OTRDMTA2MSAxODk0IDEwOTQgMTg4MSAxMTIxIDE4NTRTMTE2MSAxNzk1IDExNjEgMTc1OEMxMTYxIDE3MjAgMTE0OCAxNjg4IDExMjEgMTY2MVMxMDYxIDE2MjEgMTAyNCAxNjIxWiIvPjwvZz48L3N2Zz4=",
+    bR: "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCAyMDQ4IDIwNDgiPjxnIHRyYW5zZm9ybT0ibWF0cml4KDEgMCAwIC0xIDAgMjA0OCkiPjxwYXRoIGQ9Ik0xMTYxIDE3MDZMMTMzMSAxNzA2TDEzMzEgMTg0M0wxNjA1IDE4NDNMMTYwNSAxNDY4TDEzODMgMTI5N0wxMzgzIDgxOUwxNTUzIDY0OUwxNTUzIDQ0NEwxNzA2IDQ0NEwxNzA2IDIwNUwzNDEgMjA1TDM0MSA0NDRMNDk0IDQ0NEw0OTQgNjQ5TDY2NSA4MTlMNjY1IDEyOTdMNDQzIDE0NjhMNDQzIDE4NDNMNzE2IDE4NDNMNzE2IDE3MDZMODg3IDE3MDZMODg3IDE4NDNMMTE2MSAxODQzTDExNjEgMTcwNloiIGZpbGw9IiNmZmYiLz48cGF0aCBkPSJNMTE2MSAxNzA2TDEzMzEgMTcwNkwxMzMxIDE4NDNMMTYwNSAxODQzTDE2MDUgMTQ2OEwxMzgzIDEyOTdMMTM4MyA4MTlMMTU1MyA2NDlMMTU1MyA0NDRMMTcwNiA0NDRMMTcwNiAyMDVMMzQxIDIwNUwzNDEgNDQ0TDQ5NCA0NDRMNDk0IDY0OUw2NjUgODE5TDY2NSAxMjk3TDQ0MyAxNDY4TDQ0MyAxODQzTDcxNiAxODQzTDcxNiAxNzA2TDg4NyAxNzA2TDg4NyAxODQzTDExNjEgMTg0M0wxMTYxIDE3MDZaTTU2NCA0NjBMNTY0IDM1OEwxNDg0IDM1OEwxNDg0IDQ2MEw1NjQgNDYwWk0xMDI0IDE1NTJMNTEyIDE1NTJMNTEyIDE1MDZMNTg1IDE0NTFMMTQ2NCAxNDUxTDE1MzUgMTUwNkwxNTM1IDE1NTJMMTAyNCAxNTUyWk0xMDI0IDEzODNMNjc0IDEzODNMNzM0IDEzMzZMNzM0IDEyNzlMMTMxNCAxMjc5TDEzMTQgMTMzNkwxMzc0IDEzODNMMTAyNCAxMzgzWk0xMDI0IDgzN0w3MzQgODM3TDczNCA3OTFMNjc0IDczM0wxMzc0IDczM0wxMzE0IDc5MUwxMzE0IDgzN0wxMDI0IDgzN1pNMTAyNCA2NjVMNjEwIDY2NUw1NjQgNjIyTDU2NCA1NjRMMTQ4NCA1NjRMMTQ4NCA2MjJMMTQzOCA2NjVMMTAyNCA2NjVaIi8+PC9nPjwvc3ZnPg==",
+    bB: "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCAyMDQ4IDIwNDgiPjxnIHRyYW5zZm9ybT0ibWF0cml4KDEgMCAwIC0xIDAgMjA0OCkiPjxwYXRoIGQ9Ik0xMDI0IDM5MkMxMDE1IDM1NCAxMDAzIDMyOCA5OTAgMzEzUzk1OSAyODMgOTM3IDI2N0M5MTMgMjUwIDg4NSAyMzYgODUyIDIyNVM3ODMgMjEwIDc0MyAyMTZMNDYyIDI1NUM0NTEgMjU2IDQ0MCAyNTYgNDMxIDI1NVM0MTQgMjUzIDQwNiAyNTNDMzkyIDI1MyAzNzQgMjUwIDM1MiAyNDRTMzE0IDIyOCAzMDIgMjE2TDIwNSAzNzVDMjE3IDM4OCAyMjggMzk4IDIzNyA0MDNTMjU3IDQxNCAyNzAgNDIwQzMwOSA0MzggMzUwIDQ0OSAzOTQgNDUzQzQxMyA0NTQgNDMxIDQ1NSA0NDkgNDU0UzQ4NiA0NTQgNTA1IDQ1NkM1NDEgNDUwIDU3NyA0NDUgNjEzIDQ0MEw3MjMgNDI0Qzc2MyA0MjQgNzkwIDQyOCA4MDQgNDM2QzgxMSA0NDAgODIzIDQ0NyA4MzkgNDU4Uzg3MSA0ODQgODg3IDUwNUM4NTIgNTA5IDgxNiA1MTYgNzc5IDUyNlM3MTAgNTQ1IDY4MiA1NTZMNzg2IDgxNEM3MzQgODQ0IDY5OCA4NjggNjc3IDg4N1M2NDAgOTI2IDYyOCA5NTBDNjExIDk4MSA1OTkgMTAxMCA1OTQgMTAzOVM1ODcgMTA5MyA1ODggMTExNkM1ODkgMTE1NiA1OTggMTIwMCA2MTYgMTI0OVM2NjkgMTM0MCA3MjAgMTM3OEM3NjIgMTQxMCA4MDMgMTQ0MyA4NDMgMTQ3N1M5MjMgMTU1MSA5NjIgMTU5NkM5MTMgMTYyMSA4ODggMTY2MiA4ODggMTcxN0M4ODggMTc1NCA5MDEgMTc4NiA5MjcgMTgxM1M5ODYgMTg1MyAxMDI0IDE4NTNDMTA2MSAxODUzIDEwOTMgMTg0MCAxMTIwIDE4MTNTMTE2MCAxNzU0IDExNjAgMTcxN0MxMTYwIDE2NjIgMTEzNSAxNjIyIDEwODYgMTU5NkMxMTI1IDE1NTEgMTE2NCAxNTExIDEyMDQgMTQ3N1MxMjg1IDE0MTAgMTMyOCAxMzc4QzEzNzggMTM0MCAxNDEyIDEyOTcgMTQzMCAxMjQ5UzE0NTggMTE1NiAxNDU5IDExMTZDMTQ1OSAxMDkzIDE0NTcgMTA2OCAxNDUyIDEwMzlTMTQzNyA5ODEgMTQyMCA5NTBDMTQwNyA5MjYgMTM5MCA5MDUgMTM3MCA4ODdTMTMxMyA4NDQgMTI2MiA4MTRMMTM2NiA1NTZDMTMzNyA1NDUgMTMwNCA1MzUgMTI2NyA1MjZTMTE5NSA1MDkgMTE2MSA1MDVDMTE3NiA0ODQgMTE5MiA0NjkgMTIwOCA0NThTMTIzNiA0NDAgMTI0NCA0MzZDMTI1OCA0MjggMTI4NSA0MjQgMTMyNSA0MjRMMTQzNCA0MzlDMTQ3MCA0NDQgMTUwNiA0NTAgMTU0MyA0NTZDMTU2MSA0NTQgMTU3OSA0NTMgMTU5OCA0NTRTMTYzNSA0NTQgMTY1NCA0NTNDMTY5NyA0NDkgMTczOCA0MzggMTc3OCA0MjBDMTc5MCA0MTQgMTgwMSA0MDggMTgxMSA0MDNTMTgzMSAzODggMTg0MyAzNzVMMTc0NSAyMTZDMTczMyAyMjggMTcxNiAyMzcgMTY5NSAyNDRTMTY1NSAyNTMgMTY0MiAyNTNDMTYzMyAyNTMgMTYyNSAyNTQgMTYxNiAyNTVTMTU5NiAyNTYgMTU4NSAyNTVMMTMwNSAyMTZDMTI2NSAyMTAgMTIyOCAyMTMgMTE5NCAyMjRTMTEzMSAyNTAgMTEwOSAyNjlDMTA4NyAyODcgMTA3MCAzMDMgMTA1NyAzMTZTMTAzMyAzNTQgMTAyNCAzOTJaIiBmaWxsPSIjZmZmIi8+PHBhdGggZD0iTTEyOTAgNTgyTDEyNDggNjg0QzExODAgNjk5IDExMDUgNzA2IDEwMjQgNzA2Qzk0MyA3MDYgODY5IDY5OSA4MDIgNjg0TDc2MCA1ODNDODQzIDYwNCA5MzEgNjE0IDEwMjQgNjE0QzExMTYgNjE0IDEyMDUgNjAzIDEyOTAgNTgyWk0xMjA2IDc4OEwxMTc3IDg1OEwxMTc3IDg4NUMxMTI2IDg5MiAxMDc1IDg5NiAxMDI0IDg5NkM5NzQgODk2IDkyMyA4OTIgODcyIDg4NUw4NzEgODU4TDg0NCA3ODhDOTAxIDc5OCA5NjEgODAzIDEwMjQgODAzQzEwODggODAzIDExNDkgNzk4IDEyMDYgNzg4Wk0xMTcxIDQxMEMxMTQ0IDQzMCAxMTE4IDQ2MiAxMDkxIDUwNUwxMDU5IDUwNUMxMDU5IDQ3MiAxMDY3IDQ0MSAxMDgyIDQxMEwxMTcxIDQxMFpNOTY1IDQxMEM5ODAgNDQzIDk4OCA0NzQgOTg4IDUwNUw5NTYgNTA1QzkzMCA0NjIgOTAzIDQzMSA4NzUgNDEwTDk2NSA0MTBaTTEwMjQgMzkyQzEwMTUgMzU0IDEwMDMgMzI4IDk5MCAzMTNTOTU5IDI4MyA5MzcgMjY3QzkxMyAyNTAgODg1IDIzNiA4NTIgMjI1Uzc4MyAyMTAgNzQzIDIxNkw0NjIgMjU1QzQ1MSAyNTYgNDQwIDI1NiA0MzEgMjU1UzQxNCAyNTMgNDA2IDI1M0MzOTIgMjUzIDM3NCAyNTAgMzUyIDI0NFMzMTQgMjI4IDMwMiAyMTZMMjA1IDM3NUMyMTcgMzg4IDIyOCAzOTggMjM3IDQwM1MyNTcgNDE0IDI3MCA0MjBDMzA5IDQzOCAzNTAgNDQ5IDM5NCA0NTNDNDEzIDQ1NCA0MzEgNDU1IDQ0OSA0NTRTNDg2IDQ1NCA1MDUgNDU2QzU0MSA0NTAgNTc3IDQ0NSA2MTMgNDQwTDcyMyA0MjRDNzYzIDQyNCA3OTAgNDI4IDgwNCA0MzZDODExIDQ0MCA4MjMgNDQ3IDgzOSA0NThTODcxIDQ4NCA4ODcgNTA1Qzg1MiA1MDkgODE2IDUxNiA3NzkgNTI2UzcxMCA1NDUgNjgyIDU1Nkw3ODYgODE0QzczNCA4NDQgNjk4IDg2OCA2NzcgODg3UzY0MCA5MjYgNjI4IDk1MEM2MTEgOTgxIDU5OSAxMDEwIDU5NCAxMDM5UzU4NyAxMDkzIDU4OCAxMTE2QzU4OSAxMTU2IDU5OCAxMjAwIDYxNiAxMjQ5UzY2OSAxMzQwIDcyMCAxMzc4Qzc2MiAxNDEwIDgwMyAxNDQzIDg0MyAxNDc3UzkyMyAxNTUxIDk2MiAxNTk2QzkxMyAxNjIxIDg4OCAxNjYyIDg4OCAxNzE3Qzg4OCAxNzU0IDkwMSAxNzg2IDkyNyAxODEzUzk4NiAxODUzIDEwMjQgMTg1M0MxMDYxIDE4NTMgMTA5MyAxODQwIDExMjAgMTgxM1MxMTYwIDE3NTQgMTE2MCAxNzE3QzExNjAgMTY2MiAxMTM1IDE2MjIgMTA4NiAxNTk2QzExMjUgMTU1MSAxMTY0IDE1MTEgMTIwNCAxNDc3UzEyODUgMTQxMCAxMzI4IDEzNzhDMTM3OCAxMzQwIDE0MTIgMTI5NyAxNDMwIDEyNDlTMTQ1OCAxMTU2IDE0NTkgMTExNkMxNDU5IDEwOTMgMTQ1NyAxMDY4IDE0NTIgMTAzOVMxNDM3IDk4MSAxNDIwIDk1MEMxNDA3IDkyNiAxMzkwIDkwNSAxMzcwIDg4N1MxMzEzIDg0NCAxMjYyIDgxNEwxMzY2IDU1NkMxMzM3IDU0NSAxMzA0IDUzNSAxMjY3IDUyNlMxMTk1IDUwOSAxMTYxIDUwNUMxMTc2IDQ4NCAxMTkyIDQ2OSAxMjA4IDQ1OFMxMjM2IDQ0MCAxMjQ0IDQzNkMxMjU4IDQyOCAxMjg1IDQyNCAxMzI1IDQyNEwxNDM0IDQzOUMxNDcwIDQ0NCAxNTA2IDQ1MCAxNTQzIDQ1NkMxNTYxIDQ1NCAxNTc5IDQ1MyAxNTk4IDQ1NFMxNjM1IDQ1NCAxNjU0IDQ1M0MxNjk3IDQ0OSAxNzM4IDQzOCAxNzc4IDQyMEMxNzkwIDQxNCAxODAxIDQwOCAxODExIDQwM1MxODMxIDM4OCAxODQzIDM3NUwxNzQ1IDIxNkMxNzMzIDIyOCAxNzE2IDIzNyAxNjk1IDI0NFMxNjU1IDI1MyAxNjQyIDI1M0MxNjMzIDI1MyAxNjI1IDI1NCAxNjE2IDI1NVMxNTk2IDI1NiAxNTg1IDI1NUwxMzA1IDIxNkMxMjY1IDIxMCAxMjI4IDIxMyAxMTk0IDIyNFMxMTMxIDI1MCAxMTA5IDI2OUMxMDg3IDI4NyAxMDcwIDMwMyAxMDU3IDMxNlMxMDMzIDM1NCAxMDI0IDM5MlpNOTg3IDExMzZMOTg3IDEwNTFDOTg3IDEwMjYgOTk5IDEwMTQgMTAyNCAxMDE0TDEwMjQgMTAxNEMxMDQ5IDEwMTQgMTA2MSAxMDI2IDEwNjEgMTA1MUwxMDYxIDExMzdMMTE1MSAxMTM3QzExNzQgMTEzNyAxMTg2IDExNDkgMTE4NiAxMTczTDExODYgMTE3M0MxMTg2IDExOTcgMTE3NCAxMjA5IDExNTEgMTIwOUwxMDYxIDEyMDlMMTA2MSAxMjk5QzEwNjEgMTMyNCAxMDQ5IDEzMzYgMTAyNCAxMzM2TDEwMjQgMTMzNkM5OTkgMTMzNiA5ODcgMTMyNCA5ODcgMTI5OUw5ODcgMTIwOUw4OTkgMTIwOUM4NzYgMTIwOSA4NjQgMTE5NyA4NjQgMTE3M0w4NjQgMTE3M0M4NjQgMTE0OSA4NzYgMTEzNyA4OTkgMTEzN1oiLz48L2c+PC9zdmc+",
+    bN: "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCAyMDQ4IDIwNDgiPjxnIHRyYW5zZm9ybT0ibWF0cml4KDEgMCAwIC0xIDAgMjA0OCkiPjxwYXRoIGQ9Ik0xMDc5IDE2OTdDMTE4NCAxNjkwIDEyODEgMTY2MyAxMzcwIDE2MTZTMTUzNSAxNTA4IDE1OTggMTQzNEMxNjQyIDEzODIgMTY4NCAxMzE5IDE3MjMgMTI0NlMxNzkzIDEwOTUgMTgxNiAxMDEzQzE4NDMgOTE4IDE4NjAgODE3IDE4NjcgNzEyUzE4NzcgNTEwIDE4NzcgNDIxTDE4NzcgMjAzTDE3MjIgMjAzTDEzMTggMjAzTDY0NyAyMDNDNjQxIDIwMyA2MzggMjE5IDYzOSAyNTJTNjQxIDMxMSA2NDUgMzMxQzY0OCAzNDcgNjU0IDM3MCA2NjQgMzk5UzY5MSA0NjQgNzE0IDUwNkM3MjUgNTI3IDc1MCA1NTggNzkwIDU5OUw5MjggNzQyQzk1OCA3NzMgOTgyIDgxMSA5OTkgODU4UzEwMjMgOTQ3IDEwMjAgOTg1Qzk5NSA5NjUgOTY4IDk0OSA5MzkgOTM2Qzc5OCA4ODUgNjk1IDgxMiA2MzIgNzE2QzYyNyA3MTAgNjEyIDY4MyA1ODcgNjM1QzU3NCA2MTAgNTYyIDU5MiA1NTMgNTgzQzU0MCA1NzAgNTIyIDU2MyA0OTggNTYyQzQ2MSA1NjAgNDMyIDU3OCA0MTEgNjE2QzM4MyA2MDggMzU4IDYwNSAzMzYgNjA2QzI5OSA2MjAgMjcyIDYzNSAyNTUgNjUxQzIyMSA2ODUgMTk5IDcxOSAxODkgNzUzUzE3MyA4MjQgMTczIDg2M0MxNzMgOTE5IDIwOCA5OTMgMjc3IDEwODVDMzU4IDExOTEgNDAyIDEyNzIgNDA3IDEzMjdDNDA3IDEzNTEgNDA5IDEzNzggNDE0IDE0MDhDNDE4IDE0MjkgNDI2IDE0NDkgNDM5IDE0NjhDNDQ4IDE0ODEgNDU0IDE0OTEgNDU3IDE0OTZTNDY1IDE1MDggNDczIDE1MThDNDc5IDE1MjYgNDg0IDE1MzIgNDg4IDE1MzdTNDk3IDE1NDcgNTAzIDE1NTRDNTEwIDE1NjMgNTIwIDE1NzMgNTMxIDE1ODRDNDk2IDE2ODEgNDgxIDE3ODIgNDg4IDE4ODVDNjIxIDE4MzggNzMyIDE3NjMgODIyIDE2NjJDODQ0IDE3MzcgODg3IDE3OTggOTUyIDE4NDVDMTAwNSAxODA4IDEwNDggMTc1OCAxMDc5IDE2OTdaIiBmaWxsPSIjZmZmIi8+PHBhdGggZD0iTTQ5MCA2ODNDNDkzIDY4OSA0OTcgNjk4IDUwMyA3MTBDNTE0IDczOCA1MjAgNzU1IDUyMCA3NjBDNTE5IDc3OSA1MDkgNzg4IDQ5MSA3ODhDNDc4IDc4OCA0NjIgNzY5IDQ0NCA3MzFDNDQxIDcyNiA0MzcgNzIxIDQzMiA3MTdDNDE0IDY5OCA0MTcgNjgzIDQ0MCA2NzBMNDQwIDY3MEM0NjEgNjU3IDQ3OCA2NjIgNDkwIDY4M1pNMTA4MCAxMDU0QzExMjcgMTExNSAxMTUwIDExODQgMTE0OSAxMjU5QzExNDYgMTI4MSAxMTM0IDEyOTIgMTExMSAxMjkyQzEwODAgMTI5MiAxMDY4IDEyODEgMTA3NSAxMjU4QzEwNzcgMTIyMSAxMDczIDExOTEgMTA2NCAxMTY3QzEwNDkgMTEyOSAxMDMyIDExMDEgMTAxMyAxMDgyQzEwMDMgMTA2MiAxMDA5IDEwNDcgMTAzMSAxMDM4TDEwMzEgMTAzOEMxMDUyIDEwMjggMTA2OSAxMDMzIDEwODAgMTA1NFpNODE5IDE1NDJDODE2IDE1NjYgODE2IDE1OTIgODIxIDE2MjBDNzgxIDE2MTIgNzQzIDE1OTMgNzA4IDE1NjRDNjg3IDE1NTMgNjgyIDE1MzcgNjkzIDE1MTdDNzA0IDE0OTYgNzIwIDE0OTMgNzQwIDE1MDdMNzc5IDE1MjhDNzkwIDE1MzQgODA0IDE1MzkgODE5IDE1NDJaTTE3NTYgMjc0QzE3NTUgMjc0IDE3NTYgMjkyIDE3NTggMzI5UzE3NjEgNDA0IDE3NjEgNDQ2QzE3NjIgNTI5IDE3NjIgNjE2IDE3NjEgNzA1UzE3NDggODgyIDE3MjUgOTcxQzE3MDIgMTA1NiAxNjc3IDExMjkgMTY1MCAxMTkwUzE1OTMgMTMwMiAxNTYxIDEzNDZDMTUxMyAxNDE4IDE0NDggMTQ3OSAxMzY1IDE1MjlTMTE5NiAxNjEyIDExMDYgMTYyN0MxMTA5IDE2MTIgMTEwOSAxNTk2IDExMDggMTU4MFMxMTA4IDE1NDkgMTEwOSAxNTM0QzExNzQgMTUxMiAxMjM1IDE0ODUgMTI5MiAxNDUyUzEzOTEgMTM4NCAxNDE4IDEzNDZDMTQ1MCAxMzAyIDE0ODAgMTI1MCAxNTA3IDExOTBTMTU1OSAxMDU2IDE1ODIgOTcxQzE2MDUgODgyIDE2MTYgNzk0IDE2MTcgNzA1UzE2MTggNTI5IDE2MTggNDQ2QzE2MTggNDA0IDE2MTcgMzY1IDE2MTUgMzI5UzE2MTMgMjc0IDE2MTUgMjc0TDE3NTYgMjc0Wk0xMDc5IDE2OTdDMTE4NCAxNjkwIDEyODEgMTY2MyAxMzcwIDE2MTZTMTUzNSAxNTA4IDE1OTggMTQzNEMxNjQyIDEzODIgMTY4NCAxMzE5IDE3MjMgMTI0NlMxNzkzIDEwOTUgMTgxNiAxMDEzQzE4NDMgOTE4IDE4NjAgODE3IDE4NjcgNzEyUzE4NzcgNTEwIDE4NzcgNDIxTDE4NzcgMjAzTDE3MjIgMjAzTDEzMTggMjAzTDY0NyAyMDNDNjQxIDIwMyA2MzggMjE5IDYzOSAyNTJTNjQxIDMxMSA2NDUgMzMxQzY0OCAzNDcgNjU0IDM3MCA2NjQgMzk5UzY5MSA0NjQgNzE0IDUwNkM3MjUgNTI3IDc1MCA1NTggNzkwIDU5OUw5MjggNzQyQzk1OCA3NzMgOTgyIDgxMSA5OTkgODU4UzEwMjMgOTQ3IDEwMjAgOTg1Qzk5NSA5NjUgOTY4IDk0OSA5MzkgOTM2Qzc5OCA4ODUgNjk1IDgxMiA2MzIgNzE2QzYyNyA3MTAgNjEyIDY4MyA1ODcgNjM1QzU3NCA2MTAgNTYyIDU5MiA1NTMgNTgzQzU0MCA1NzAgNTIyIDU2MyA0OTggNTYyQzQ2MSA1NjAgNDMyIDU3OCA0MTEgNjE2QzM4MyA2MDggMzU4IDYwNSAzMzYgNjA2QzI5OSA2MjAgMjcyIDYzNSAyNTUgNjUxQzIyMSA2ODUgMTk5IDcxOSAxODkgNzUzUzE3MyA4MjQgMTczIDg2M0MxNzMgOTE5IDIwOCA5OTMgMjc3IDEwODVDMzU4IDExOTEgNDAyIDEyNzIgNDA3IDEzMjdDNDA3IDEzNTEgNDA5IDEzNzggNDE0IDE0MDhDNDE4IDE0MjkgNDI2IDE0NDkgNDM5IDE0NjhDNDQ4IDE0ODEgNDU0IDE0OTEgNDU3IDE0OTZTNDY1IDE1MDggNDczIDE1MThDNDc5IDE1MjYgNDg0IDE1MzIgNDg4IDE1MzdTNDk3IDE1NDcgNTAzIDE1NTRDNTEwIDE1NjMgNTIwIDE1NzMgNTMxIDE1ODRDNDk2IDE2ODEgNDgxIDE3ODIgNDg4IDE4ODVDNjIxIDE4MzggNzMyIDE3NjMgODIyIDE2NjJDODQ0IDE3MzcgODg3IDE3OTggOTUyIDE4NDVDMTAwNSAxODA4IDEwNDggMTc1OCAxMDc5IDE2OTdaTTQwNCA4NjFDNDIzIDg3NCA0MjUgODkwIDQxMCA5MDlDMzk0IDkyNCAzNzYgOTI2IDM1NyA5MTNDMzE2IDg4NiAyOTUgODUxIDI5MiA4MDhDMjkzIDc4NiAzMDYgNzc2IDMzMSA3NzdDMzU1IDc3OSAzNjcgNzkxIDM2NiA4MTRDMzcxIDgzNSAzODQgODUxIDQwNCA4NjFaTTY1NiAxMzU5TDY3OCAxMzcwQzY5OCAxMzc4IDcwNCAxMzkzIDY5NyAxNDE0QzY4OSAxNDM0IDY3NCAxNDQxIDY1MSAxNDM0QzU3MiAxNDA1IDUxOCAxMzUzIDQ4OCAxMjc2QzQ4MyAxMjU0IDQ5MSAxMjM5IDUxMiAxMjMxQzUzMyAxMjI0IDU0NyAxMjMyIDU1NCAxMjUzQzU1OSAxMjY0IDU2MyAxMjcyIDU2NiAxMjc1QzU3MyAxMjY5IDU4MyAxMjY1IDU5NSAxMjYzQzYzNiAxMjU2IDY1OSAxMjc0IDY2NiAxMzE3QzY2OCAxMzMyIDY2NSAxMzQ2IDY1NiAxMzU5WiIvPjwvZz48L3N2Zz4=",
+    bP: "data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9IjAgMCAyMDQ4IDIwNDgiPjxnIHRyYW5zZm9ybT0ibWF0cml4KDEgMCAwIC0xIDAgMjA0OCkiPjxwYXRoIGQ9Ik0xMDI0IDIwNUw0ODQgMjA1QzQ1NyAyNzIgNDQ0IDM0MSA0NDQgNDE0QzQ0NCA1MzcgNDc5IDY0OCA1NDkgNzQ2UzcwOSA5MTQgODE5IDk1NkM3NzIgOTc4IDczMyAxMDExIDcwMyAxMDU2UzY1OSAxMTUwIDY1OSAxMjA2QzY1OSAxMjc2IDY4MiAxMzM3IDcyOSAxMzg4UzgzMyAxNDY5IDkwMSAxNDc3Qzg0NyAxNTE4IDgyMCAxNTcxIDgyMCAxNjM4QzgyMCAxNjk0IDg0MCAxNzQyIDg3OSAxNzgyUzk2NyAxODQyIDEwMjQgMTg0MkMxMDgwIDE4NDIgMTEyOCAxODIyIDExNjggMTc4MlMxMjI4IDE2OTQgMTIyOCAxNjM4QzEyMjggMTU3MSAxMjAxIDE1MTggMTE0NyAxNDc3QzEyMTUgMTQ2OSAxMjcyIDE0MzkgMTMxOSAxMzg4UzEzODkgMTI3NiAxMzg5IDEyMDZDMTM4OSAxMTUwIDEzNzQgMTEwMCAxMzQ0IDEwNTZTMTI3NSA5NzggMTIyOCA5NTZDMTMzOCA5MTQgMTQyOCA4NDQgMTQ5OCA3NDZTMTYwMyA1MzcgMTYwMyA0MTRDMTYwMyAzNDIgMTU5MCAyNzIgMTU2NCAyMDVMMTAyNCAyMDVaIiBmaWxsPSIjZmZmIi8+PHBhdGggZD0iTTEwMjQgMjA1TDQ4NCAyMDVDNDU3IDI3MiA0NDQgMzQxIDQ0NCA0MTRDNDQ0IDUzNyA0NzkgNjQ4IDU0OSA3NDZTNzA5IDkxNCA4MTkgOTU2Qzc3MiA5NzggNzMzIDEwMTEgNzAzIDEwNTZTNjU5IDExNTAgNjU5IDEyMDZDNjU5IDEyNzYgNjgyIDEzMzcgNzI5IDEzODhTODMzIDE0NjkgOTAxIDE0NzdDODQ3IDE1MTggODIwIDE1NzEgODIwIDE2MzhDODIwIDE2OTQgODQwIDE3NDIgODc5IDE3ODJTOTY3IDE4NDIgMTAyNCAxODQyQzEwODAgMTg0MiAxMTI4IDE4MjIgMTE2OCAxNzgyUzEyMjggMTY5NCAxMjI4IDE2MzhDMTIyOCAxNTcxIDEyMDEgMTUxOCAxMTQ3IDE0NzdDMTIxNSAxNDY5IDEyNzIgMTQzOSAxMzE5IDEzODhTMTM4OSAxMjc2IDEzODkgMTIwNkMxMzg5IDExNTAgMTM3NCAxMTAwIDEzNDQgMTA1NlMxMjc1IDk3OCAxMjI4IDk1NkMxMzM4IDkxNCAxNDI4IDg0NCAxNDk4IDc0NlMxNjAzIDUzNyAxNjAzIDQxNEMxNjAzIDM0MiAxNTkwIDI3MiAxNTY0IDIwNUwxMDI0IDIwNVoiLz48L2c+PC9zdmc+",
+  },
+};
+
+export { PIECE_SETS };
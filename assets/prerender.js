@@ -0,0 +1,53 @@
+/**
+ * ChessPublica — Static prerendering (entry for `node build.js render`)
+ *
+ * Runs inside a jsdom window holding one generated page and renders its
+ * <fen> and <pgn> elements with the same code the browser runs, so the
+ * diagrams become inline SVG boards, [%csl]/[%cal] overlays included.
+ * The containers are marked data-cp-prerendered; on the live page
+ * initAll() adopts their boards instead of drawing them again.
+ *
+ * <pgn src="…"> is left for the browser: fetching it is the client's job.
+ */
+
+import { initPgnElements, initFenElements } from "./init.js";
+
+var CONTAINERS = ".pgn-container, .fen-container";
+var XMLNS_NS = "http://www.w3.org/2000/xmlns/";
+
+function nextFrame() {
+  return new Promise(function (resolve) {
+    requestAnimationFrame(function () { resolve(); });
+  });
+}
+
+export function prerender() {
+  var existing = new Set(document.querySelectorAll(CONTAINERS));
+  var remote = document.querySelectorAll("pgn[src]");
+  remote.forEach(function (el) { el.dataset.cpRendered = "1"; });
+
+  initPgnElements();
+  initFenElements();
+
+  remote.forEach(function (el) { delete el.dataset.cpRendered; });
+
+  /* createBoard() draws [D] diagrams on the next frame. */
+  return nextFrame().then(nextFrame).then(function () {
+    var count = 0;
+    document.querySelectorAll(CONTAINERS).forEach(function (wrapper) {
+      if (existing.has(wrapper)) return;
+      wrapper.setAttribute("data-cp-prerendered", "");
+      /* A size for readers without the stylesheet; the CSS makes the
+         board fluid again. The namespaces are declared for readers
+         that parse the board as XML, xlink:href on the pieces included. */
+      wrapper.querySelectorAll(".cp-svgboard").forEach(function (svg) {
+        svg.setAttribute("width", "400");
+        svg.setAttribute("height", "400");
+        svg.setAttributeNS(XMLNS_NS, "xmlns", "http://www.w3.org/2000/svg");
+        svg.setAttributeNS(XMLNS_NS, "xmlns:xlink", "http://www.w3.org/1999/xlink");
+        count++;
+      });
+    });
+    return count;
+  });
+}
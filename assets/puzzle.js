@@ -3,17 +3,321 @@
  *
  * Sections:
  *   1. Puzzle Engine     — renderLocalPuzzle() (interactive drag-and-drop)
+ *   2. Puzzle Rush       — renderPuzzleRush() (timed run through a pack)
+ *
+ * Events (CustomEvents that bubble from the board; every detail carries
+ * the puzzle's puzzleId — its [PuzzleId] header, or a hash of the start
+ * FEN and solution):
+ *   cp-puzzle-move     { index, assisted }      a solution move was played
+ *   cp-puzzle-attempt  { san, correct, index, variation }
+ *                                               the solver moved; variation
+ *                                               lists the side-line it
+ *                                               matched, if any
+ *   cp-puzzle-solved   { timeMs, mistakes, hints, assisted, revealed }
+ *   cp-puzzle-failed   { reason, san, timeMs, mistakes, hints }
+ *                                               once per attempt: the first
+ *                                               wrong move ("mistake") or
+ *                                               "Show solution" ("revealed")
+ *   cp-puzzle-reset    {}                       (from the container)
+ *
+ * puzzleResults() summarises every puzzle rendered on the page.
  */
 
-import { PIECE_THEME, normalizeSAN, parseGame, toFigurine, formatComment, formatCommentClickable, getDestinationSquare, renderMoveQualityBadge, clearMoveQualityBadge } from "./helpers.js";
+import { pieceTheme, normalizeSAN, toFigurine, formatComment, formatCommentClickable, getDestinationSquare, renderMoveQualityBadge, clearMoveQualityBadge, formatClock, hashString } from "./helpers.js";
+import { parseGame, parseHeaders } from "./pgn-parser.js";
 import { lucideIconUrl } from "./icons.js";
-import { renderAnnotations, clearAnnotations, makeBoardResizable } from "./board.js";
+import { renderAnnotations, clearAnnotations, createGridOverlaySVG, getSquareCenter, showPromotionPicker } from "./board.js";
+import { createChessboard } from "./svg-board.js";
 
 /* ================================================================
    1. PUZZLE ENGINE
 ================================================================ */
 
 var ANIM_MS = 250;
+/* Pace of the "Show solution" replay. */
+var SOLUTION_STEP_MS = 900;
+/* Pause on a finished line before rewinding to meet another defence. */
+var REWIND_MS = 1200;
+
+/* ── Results, by puzzle id ──────────────────────────────── */
+
+/* Results keyed by puzzle id, and the ids in the order first shown. */
+var _results = {};
+var _resultOrder = [];
+
+function resultFor(puzzleId) {
+  if (!_results[puzzleId]) {
+    _results[puzzleId] = {
+      puzzleId: puzzleId,
+      solved: false,
+      firstTry: false,
+      attempts: 0,
+      mistakes: 0,
+      hints: 0,
+      revealed: false,
+      timeMs: null,
+    };
+    _resultOrder.push(puzzleId);
+  }
+  return _results[puzzleId];
+}
+
+/**
+ * One entry per puzzle rendered so far, in the order first shown:
+ *   { puzzleId, solved, firstTry, attempts, mistakes, hints, revealed, timeMs }
+ * solved is set by an unaided or hinted solve (not by "Show solution"),
+ * firstTry when that happened on the first attempt without mistakes or
+ * help, and timeMs is the time the latest solve took. Attempts count
+ * each fresh board, including resets.
+ */
+export function puzzleResults() {
+  return _resultOrder.map(function (id) {
+    return Object.assign({}, _results[id]);
+  });
+}
+
+function helpButton(icon, label, onClick) {
+  var btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "cp-puzzle-help-btn";
+  var span = document.createElement("span");
+  span.className = "lucide-icon";
+  span.style.setProperty("--icon", lucideIconUrl(icon));
+  btn.appendChild(span);
+  btn.appendChild(document.createTextNode(label));
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+/* ── Alternative solutions ([Accept] / [Stipulation "#N"]) ── */
+
+/* Moves a mate search may generate before it gives up. Mate-in-2
+   problems fit easily; deeper stipulations are only checked near the
+   end, and a search that runs out just doesn't accept the move. */
+var MATE_SEARCH_BUDGET = 20000;
+
+/* Longest stretch of search work between two chances for the page to
+   repaint — see runSliced. */
+var SEARCH_SLICE_MS = 10;
+
+function isMate(move) {
+  return move.san.slice(-1) === "#";
+}
+
+function moveArg(move) {
+  return { from: move.from, to: move.to, promotion: move.promotion };
+}
+
+/* Each search below is an object whose run(deadline) works until it
+   has an answer, which it leaves in `result` and returns true, or until
+   the deadline passes, when it returns false and picks up from the
+   same place on the next call. */
+
+/* A search whose answer is already known. */
+function Settled(result) {
+  this.result = result;
+}
+
+Settled.prototype.run = function () {
+  return true;
+};
+
+/* With `attacking`: can the side to move mate within n of its own
+   moves? Otherwise, with the defender to move: is every reply mated
+   within n moves? Depth-first, on an explicit stack so it can stop
+   between any two moves. Leaves `chess` as it found it. */
+function MateSearch(chess, attacking, n, budget) {
+  this.chess = chess;
+  this.budget = budget;
+  this.stack = [];
+  this.child = null;
+  this.result = this.open(attacking, n);
+}
+
+/* Decides a node outright, or pushes it for run() to work through and
+   returns null. */
+MateSearch.prototype.open = function (attacking, n) {
+  var chess = this.chess;
+  if (!attacking) {
+    if (chess.in_checkmate()) return true;
+    var replies = chess.moves({ verbose: true });
+    if (!replies.length) return false; /* stalemate */
+    this.stack.push({ attacking: false, n: n, moves: replies, i: 0 });
+    return null;
+  }
+
+  var moves = chess.moves({ verbose: true });
+  this.budget.nodes -= moves.length;
+  if (this.budget.nodes < 0) return false;
+  if (moves.some(isMate)) return true;
+  if (n <= 1) return false;
+
+  /* Checks first — they are the likeliest keys. */
+  moves.sort(function (a, b) {
+    return (b.san.slice(-1) === "+") - (a.san.slice(-1) === "+");
+  });
+  this.stack.push({ attacking: true, n: n, moves: moves, i: 0 });
+  return null;
+};
+
+MateSearch.prototype.run = function (deadline) {
+  var stack = this.stack;
+  while (stack.length) {
+    var node = stack[stack.length - 1];
+
+    if (this.child !== null) {
+      var won = this.child;
+      this.child = null;
+      this.chess.undo();
+      node.i++;
+      /* One mating move settles an attack, one escape a defence; a
+         spent budget gives up on the attack. */
+      if (node.attacking && (won || this.budget.nodes < 0)) {
+        this.settle(won);
+        continue;
+      }
+      if (!node.attacking && !won) {
+        this.settle(false);
+        continue;
+      }
+    }
+
+    if (node.i >= node.moves.length) {
+      this.settle(!node.attacking);
+      continue;
+    }
+    if (Date.now() >= deadline) return false;
+
+    this.chess.move(moveArg(node.moves[node.i]));
+    this.child = this.open(!node.attacking, node.attacking ? node.n - 1 : node.n);
+  }
+  return true;
+};
+
+MateSearch.prototype.settle = function (won) {
+  this.stack.pop();
+  if (this.stack.length) this.child = won;
+  else this.result = won;
+};
+
+/**
+ * After a move accepted under a mate stipulation, does the solver still
+ * force mate within `movesLeft` further moves against any defence?
+ */
+function stillForcesMate(fen, movesLeft) {
+  if (movesLeft < 1) return new Settled(false);
+  return new MateSearch(new Chess(fen), false, movesLeft, { nodes: MATE_SEARCH_BUDGET });
+}
+
+/**
+ * The first legal move after which the side to move mates, or still
+ * forces mate within `movesLeft` further moves; null if none does.
+ */
+function MatingMove(fen, movesLeft) {
+  this.chess = new Chess(fen);
+  this.moves = this.chess.moves({ verbose: true });
+  this.movesLeft = movesLeft;
+  this.i = 0;
+  this.search = null;
+  this.result = null;
+}
+
+MatingMove.prototype.run = function (deadline) {
+  var chess = this.chess;
+  while (this.i < this.moves.length) {
+    if (!this.search) {
+      chess.move(moveArg(this.moves[this.i]));
+      this.search = chess.in_checkmate()
+        ? new Settled(true)
+        : stillForcesMate(chess.fen(), this.movesLeft);
+      chess.undo();
+    }
+    if (!this.search.run(deadline)) return false;
+    if (this.search.result) {
+      this.result = this.moves[this.i];
+      return true;
+    }
+    this.search = null;
+    this.i++;
+    if (Date.now() >= deadline) return false;
+  }
+  return true;
+};
+
+/**
+ * The defender's most stubborn reply once play has left the movetext:
+ * the move that puts off mate the longest (or escapes it, if the search
+ * can't prove a mate). Its result is a verbose chess.js move, or null
+ * when the defender has no legal move.
+ */
+function StubbornDefence(fen, movesLeft) {
+  this.chess = new Chess(fen);
+  this.replies = this.chess.moves({ verbose: true });
+  this.movesLeft = movesLeft;
+  this.budget = { nodes: MATE_SEARCH_BUDGET };
+  this.i = 0;
+  this.n = 0;
+  this.search = null;
+  this.bestDistance = 0;
+  this.result = null;
+}
+
+StubbornDefence.prototype.run = function (deadline) {
+  var chess = this.chess;
+  while (this.i < this.replies.length) {
+    /* Mate in n for n = 1, 2, … after this reply; the first n that
+       works is how long the reply holds out. */
+    if (!this.search) {
+      if (this.n === 0) chess.move(moveArg(this.replies[this.i]));
+      this.n++;
+      if (this.n <= this.movesLeft) this.search = new MateSearch(chess, true, this.n, this.budget);
+    }
+    if (this.search) {
+      if (!this.search.run(deadline)) return false;
+      var mated = this.search.result;
+      this.search = null;
+      if (!mated) {
+        if (Date.now() >= deadline) return false;
+        continue;
+      }
+    }
+
+    var distance = this.n;
+    chess.undo();
+    this.n = 0;
+    if (distance > this.bestDistance) {
+      this.result = this.replies[this.i];
+      this.bestDistance = distance;
+    }
+    if (distance > this.movesLeft) break;
+    this.i++;
+    if (Date.now() >= deadline) return false;
+  }
+  return true;
+};
+
+/* Runs a search a slice at a time, letting the page repaint in
+   between. One that finishes in its first slice answers at once;
+   otherwise `onPending` is called before the rest is scheduled. */
+function runSliced(search, done, onPending) {
+  if (search.run(Date.now() + SEARCH_SLICE_MS)) return done(search.result);
+  if (onPending) onPending();
+  setTimeout(function step() {
+    if (search.run(Date.now() + SEARCH_SLICE_MS)) done(search.result);
+    else setTimeout(step, 0);
+  }, 0);
+}
+
+/* Is `san`, played at the given move number by the given side, one of
+   the [Accept] entries? Entries without a move number apply anywhere. */
+function isAcceptedMove(accept, san, moveNumber, color) {
+  var norm = normalizeSAN(san);
+  return accept.some(function (entry) {
+    if (normalizeSAN(entry.san) !== norm) return false;
+    return entry.moveNumber === null ||
+      (entry.moveNumber === moveNumber && entry.color === color);
+  });
+}
 
 /**
  * Build ready-to-set innerHTML for a variation caption by interleaving
@@ -113,6 +417,30 @@ export function renderLocalPuzzle(
   var pgnSquareMarks = opts.squareMarks || [];
   var captionEl = opts.captionEl || null;
   var initialCaption = opts.initialCaption || "";
+  /* Called whenever the solver plays a move other than the solution;
+     in rush mode that also ends the puzzle. */
+  var onFailed = opts.onFailed || null;
+  /* Alternative solutions: [Accept] entries ({ san, moveNumber, color })
+     and the N of a [Stipulation "#N"]. */
+  var accept = opts.accept || [];
+  var avoid = opts.avoid || [];
+  var mateIn = opts.mateIn || 0;
+  var puzzleId = opts.puzzleId || hashString(fen + " " + moves.join(" "));
+
+  /* The line being played: the main line, or an opponent's alternative
+     defence (a variation on one of the opponent's moves) that autoReply
+     branched into. offset is the number of plies before the line's
+     first move, counted from the puzzle's start. */
+  var mainLine = {
+    moves: moves,
+    comments: comments,
+    variations: variations,
+    glyphs: pgnGlyphs,
+    arrows: pgnArrows,
+    squareMarks: pgnSquareMarks,
+    offset: 0,
+  };
+  var line = mainLine;
 
   /* The text slot lives inside captionEl as a sibling of the refresh
      button, so rewriting its innerHTML never wipes the button. It is
@@ -125,7 +453,7 @@ export function renderLocalPuzzle(
      only move comments appear). */
   function setCaptionForMoveIndex(moveIndex) {
     if (!captionTextEl) return;
-    var cm = comments[moveIndex];
+    var cm = line.comments[moveIndex];
     if (cm) {
       captionTextEl.innerHTML = formatComment(cm);
     } else {
@@ -149,17 +477,6 @@ export function renderLocalPuzzle(
   var _boardDivRef = null;
   var _boardWrapRef = null;
 
-  /* Track what the SVG/badge overlays currently show so a resize can
-     re-derive their positions from the squares' new pixel coordinates.
-     Updated through setOverlayAnnotations / setOverlayBadge wrappers
-     instead of calling render/clear directly. */
-  var _currentAnnotations = null;
-  var _currentBadge = null;
-  /* ResizeObserver for the active board. Lives at this outer scope so
-     a reset (which builds a fresh board) can disconnect the previous
-     observer before installing a new one. */
-  var _resizeObserver = null;
-
   function setOverlayAnnotations(annotations) {
     if (!_boardDivRef) return;
     var hasAny = annotations && (
@@ -167,10 +484,8 @@ export function renderLocalPuzzle(
       (annotations.squareMarks && annotations.squareMarks.length)
     );
     if (hasAny) {
-      _currentAnnotations = annotations;
       renderAnnotations(_boardDivRef, annotations, _boardWrapRef);
     } else {
-      _currentAnnotations = null;
       clearAnnotations(_boardDivRef, _boardWrapRef);
     }
   }
@@ -178,23 +493,7 @@ export function renderLocalPuzzle(
   function setOverlayBadge(square, glyph) {
     if (!_boardDivRef) return;
     if (square && glyph) {
-      _currentBadge = { square: square, glyph: glyph };
       renderMoveQualityBadge(_boardDivRef, square, glyph);
-    } else {
-      _currentBadge = null;
-      clearMoveQualityBadge(_boardDivRef);
-    }
-  }
-
-  function redrawOverlay() {
-    if (!_boardDivRef) return;
-    if (_currentAnnotations) {
-      renderAnnotations(_boardDivRef, _currentAnnotations, _boardWrapRef);
-    } else {
-      clearAnnotations(_boardDivRef, _boardWrapRef);
-    }
-    if (_currentBadge) {
-      renderMoveQualityBadge(_boardDivRef, _currentBadge.square, _currentBadge.glyph);
     } else {
       clearMoveQualityBadge(_boardDivRef);
     }
@@ -202,17 +501,18 @@ export function renderLocalPuzzle(
 
   function showBadgeForMove(moveIndex) {
     if (!_boardDivRef) return;
-    var glyph = pgnGlyphs[moveIndex];
+    var glyph = line.glyphs[moveIndex];
     if (!glyph) {
       setOverlayBadge(null, null);
       return;
     }
-    var san = moves[moveIndex];
+    var san = line.moves[moveIndex];
     /* The color that played this move: after the move, the turn flips,
        so the mover is the opposite of the current turn. But we can
-       also derive it from the move index and the starting side. */
+       also derive it from the move's ply and the starting side. */
     var startTurn = fen.split(" ")[1] || "w";
-    var color = (moveIndex % 2 === 0) ? startTurn : (startTurn === "w" ? "b" : "w");
+    var ply = line.offset + moveIndex;
+    var color = (ply % 2 === 0) ? startTurn : (startTurn === "w" ? "b" : "w");
     var square = getDestinationSquare(san, color);
     setOverlayBadge(square, glyph);
   }
@@ -223,8 +523,8 @@ export function renderLocalPuzzle(
      cleared, so stale arrows from a previous move don't linger. */
   function showAnnotationsForMove(moveIndex) {
     if (!_boardDivRef) return;
-    var arrows = pgnArrows[moveIndex];
-    var squareMarks = pgnSquareMarks[moveIndex];
+    var arrows = line.arrows[moveIndex];
+    var squareMarks = line.squareMarks[moveIndex];
     setOverlayAnnotations({
       arrows: arrows || [],
       squareMarks: squareMarks || [],
@@ -234,16 +534,6 @@ export function renderLocalPuzzle(
   function createPuzzleBoard() {
     container.innerHTML = "";
 
-    /* Tear down any previous board's resize observer before building a
-       fresh board (reset / first move auto). The old observer would
-       otherwise hang on to the detached boardDiv. */
-    if (_resizeObserver) {
-      _resizeObserver.disconnect();
-      _resizeObserver = null;
-    }
-    _currentAnnotations = null;
-    _currentBadge = null;
-
     /* Wrap the board in a positioned container so the round replay
        button can sit over its bottom-right corner, matching the
        pgn-player style. .cp-board-wrapper already declares
@@ -262,6 +552,25 @@ export function renderLocalPuzzle(
     boardDiv.style.margin = "0";
     boardWrap.appendChild(boardDiv);
 
+    /* Typed moves, for keyboard and screen-reader users: SAN ("Re2",
+       "e8=N") or UCI ("e4e2", "e7e8n"). The status line below it is a
+       live region that reports what happened. */
+    var moveForm = document.createElement("form");
+    moveForm.className = "cp-move-form";
+    var moveInput = document.createElement("input");
+    moveInput.type = "text";
+    moveInput.className = "cp-move-input";
+    moveInput.placeholder = "Type a move, e.g. Re2 or e4e2";
+    moveInput.setAttribute("aria-label", "Your move");
+    moveInput.autocomplete = "off";
+    moveInput.spellcheck = false;
+    moveForm.appendChild(moveInput);
+    var moveStatus = document.createElement("div");
+    moveStatus.className = "cp-move-status";
+    moveStatus.setAttribute("aria-live", "polite");
+    moveForm.appendChild(moveStatus);
+    container.appendChild(moveForm);
+
     /* Refresh button — hidden by default. Shown once the puzzle is
        solved, or after a variation first-move is accepted (both act
        as "replay the puzzle"). Uses the same .comment-play-btn class
@@ -281,12 +590,22 @@ export function renderLocalPuzzle(
     refreshBtn.addEventListener("click", function () {
       handleRefresh();
     });
+    /* Hint / Show solution — not offered against the clock in a rush. */
+    var helpBar = null;
+    if (!isRush) {
+      helpBar = document.createElement("div");
+      helpBar.className = "cp-puzzle-help";
+      helpBar.appendChild(helpButton("lightbulb", "Hint", function () { showHint(); }));
+      helpBar.appendChild(helpButton("eye", "Show solution", function () { showSolution(); }));
+    }
+
     if (captionEl) {
       captionEl.innerHTML = "";
       captionEl.style.position = "relative";
       captionTextEl = document.createElement("div");
       captionTextEl.className = "cp-puzzle-caption-text";
       captionEl.appendChild(captionTextEl);
+      if (helpBar) captionEl.appendChild(helpBar);
       captionEl.appendChild(refreshBtn);
     } else {
       captionTextEl = null;
@@ -301,11 +620,22 @@ export function renderLocalPuzzle(
     }
 
     var game = new Chess(fen);
+    line = mainLine;
+
+    var record = resultFor(puzzleId);
+    record.attempts++;
 
     var state = {
       game: game,
       moves: moves,
       index: 0,
+      /* Position before the first move of the line being played. */
+      lineStartFen: fen,
+      /* Opponent branch points met on the way to the current position,
+         outermost first: { fen, options, chosen, done }. Each option is
+         a defence ({ line, index, startFen }); options[0] continues the
+         line the branch point was met on. */
+      branches: [],
       solverSide: game.turn(),
       locked: false,
       solved: false,
@@ -315,6 +645,25 @@ export function renderLocalPuzzle(
          clickable to replay the instructive line. */
       freePlay: false,
       variationStartFen: null,
+      /* True while the promotion picker is waiting for a piece. */
+      promoting: false,
+      /* Square picked by the first tap of tap-tap input. */
+      selected: null,
+      /* Solver moves played so far, for mate stipulations. */
+      solverMoves: 0,
+      /* Set once an accepted alternative leaves the movetext behind;
+         from then on replies come from the mate search. */
+      offBook: false,
+      /* Help taken: hintLevel is 0–2 for the current move (circle, then
+         arrow); assisted marks the whole attempt once any help is used. */
+      hintLevel: 0,
+      hints: 0,
+      revealed: false,
+      assisted: false,
+      /* Per-attempt tallies for the result events. */
+      startedAt: Date.now(),
+      mistakes: 0,
+      failureReported: false,
     };
 
     resetCaption();
@@ -328,15 +677,34 @@ export function renderLocalPuzzle(
       return state.solverSide === "w" ? "white" : "black";
     }
 
-    function dispatchMoveEvent(index) {
+    function emit(name, detail) {
+      detail.puzzleId = puzzleId;
       boardDiv.dispatchEvent(
-        new CustomEvent("cp-puzzle-move", {
-          detail: { index: index },
-          bubbles: true,
-        }),
+        new CustomEvent(name, { detail: detail, bubbles: true }),
       );
     }
 
+    function dispatchMoveEvent(index) {
+      emit("cp-puzzle-move", { index: index, assisted: state.assisted });
+    }
+
+    function elapsedMs() {
+      return Date.now() - state.startedAt;
+    }
+
+    /* An attempt fails at most once, however many mistakes follow. */
+    function reportFailure(reason, san) {
+      if (state.failureReported) return;
+      state.failureReported = true;
+      emit("cp-puzzle-failed", {
+        reason: reason,
+        san: san,
+        timeMs: elapsedMs(),
+        mistakes: state.mistakes,
+        hints: state.hints,
+      });
+    }
+
     /* Attach click handlers to every .cp-inline-move span in the
        caption.  Clicking a span replays the variation from its start
        position up to and including that move, so the reader can walk
@@ -390,7 +758,9 @@ export function renderLocalPuzzle(
       state.solved = true;
       board.position(state.game.fen(), false);
       boardDiv.classList.remove("cp-fire-once");
-      boardDiv.classList.add("cp-fire-solved");
+      if (!state.revealed) boardDiv.classList.add("cp-fire-solved");
+      announce(state.revealed ? "Solution shown." : "Puzzle solved!");
+      if (helpBar) helpBar.style.display = "none";
       /* Append the solved banner on its own line without wiping the
          last move's comment (if any).  Use appendChild rather than
          innerHTML += so click handlers wired to .cp-inline-move spans
@@ -401,13 +771,41 @@ export function renderLocalPuzzle(
           captionTextEl.appendChild(document.createElement("br"));
         }
         var solvedSpan = document.createElement("span");
-        solvedSpan.textContent = "\uD83C\uDFC6 Puzzle solved!";
+        solvedSpan.textContent = state.revealed
+          ? "Solution shown."
+          : state.hints
+            ? "\uD83C\uDFC6 Puzzle solved with a hint."
+            : "\uD83C\uDFC6 Puzzle solved!";
         captionTextEl.appendChild(solvedSpan);
       }
+
+      /* Solves that used a hint or the revealed solution are reported
+         as assisted. */
+      var result = {
+        timeMs: elapsedMs(),
+        mistakes: state.mistakes,
+        hints: state.hints,
+        assisted: state.assisted,
+        revealed: state.revealed,
+      };
+      if (!state.revealed) {
+        record.solved = true;
+        record.timeMs = result.timeMs;
+        if (record.attempts === 1 && !state.mistakes && !state.assisted) record.firstTry = true;
+      }
+      emit("cp-puzzle-solved", result);
+
+      /* In a rush the controller moves on to the next puzzle, so there
+         is nothing to replay. */
+      if (isRush) {
+        if (onSolved) onSolved(result);
+        return;
+      }
+
       showRefreshButton();
 
       boardDiv.addEventListener(
-        "mousedown",
+        "pointerdown",
         function (e) {
           e.stopImmediatePropagation();
           e.preventDefault();
@@ -416,18 +814,231 @@ export function renderLocalPuzzle(
         { once: true, capture: true },
       );
 
-      if (onSolved) onSolved();
+      if (onSolved) onSolved(result);
+    }
+
+    /* Runs a mate search for this board. While one outlasts its first
+       slice the board is locked and marked busy; a search still going
+       when the puzzle is reset is dropped. Returns whatever `done`
+       returned if the answer came at once, otherwise `pendingValue`. */
+    function think(search, done, pendingValue) {
+      var answer = pendingValue;
+      var pending = false;
+      var wasLocked = state.locked;
+      runSliced(search, function (result) {
+        if (pending) {
+          if (!boardDiv.isConnected) return;
+          boardDiv.classList.remove("cp-thinking");
+          boardDiv.removeAttribute("aria-busy");
+          state.locked = wasLocked;
+        }
+        answer = done(result);
+      }, function () {
+        pending = true;
+        state.locked = true;
+        boardDiv.classList.add("cp-thinking");
+        boardDiv.setAttribute("aria-busy", "true");
+      });
+      return answer;
+    }
+
+    /* The solver's next move: from the movetext, or once off it, the
+       first move the mate search still accepts. */
+    function nextSolutionMove(done) {
+      if (state.offBook) {
+        think(new MatingMove(state.game.fen(), mateIn - state.solverMoves - 1), done);
+        return;
+      }
+      var legal = state.game.moves({ verbose: true });
+      for (var i = 0; i < legal.length; i++) {
+        if (normalizeSAN(legal[i].san) === normalizeSAN(state.moves[state.index])) return done(legal[i]);
+      }
+      done(null);
+    }
+
+    /* First press circles the piece to move; the second adds the arrow. */
+    function showHint() {
+      if (state.locked || state.solved || state.freePlay || state.promoting) return;
+      if (state.game.turn() !== state.solverSide) return;
+      nextSolutionMove(function (move) {
+        if (!move) return;
+
+        state.hintLevel = Math.min(state.hintLevel + 1, 2);
+        state.hints++;
+        record.hints++;
+        state.assisted = true;
+        setOverlayBadge(null, null);
+        setOverlayAnnotations({
+          squareMarks: [{ color: "G", square: move.from }],
+          arrows: state.hintLevel > 1 ? [{ color: "G", from: move.from, to: move.to }] : [],
+        });
+      });
+    }
+
+    /* Play out the rest of the movetext, both sides, with each move's
+       caption, badge and arrows. A side-line or an accepted alternative
+       is abandoned first: the replay picks up from the movetext position
+       the solver left. */
+    function showSolution() {
+      if (state.locked || state.solved || state.promoting) return;
+      state.locked = true;
+      state.assisted = true;
+      state.revealed = true;
+      record.revealed = true;
+      reportFailure("revealed", null);
+      if (helpBar) helpBar.style.display = "none";
+
+      if (state.freePlay || state.offBook) {
+        state.game.load(state.lineStartFen);
+        for (var i = 0; i < state.index; i++) state.game.move(state.moves[i], { sloppy: true });
+        state.freePlay = false;
+        state.offBook = false;
+        state.variationStartFen = null;
+        board.position(state.game.fen(), false);
+        setCaptionHTML("");
+        setOverlayAnnotations(null);
+        setOverlayBadge(null, null);
+        hideRefreshButton();
+      }
+
+      setTimeout(function () { playSolutionStep(); }, ANIM_MS);
+    }
+
+    /* afterRewind: the defence about to be played was just chosen at a
+       branch point that is already on the stack. */
+    function playSolutionStep(afterRewind) {
+      /* The puzzle was reset (and this board discarded) mid-replay. */
+      if (!boardDiv.isConnected || state.solved) return;
+      if (state.index >= state.moves.length) return completeLine();
+      if (!afterRewind && state.game.turn() !== state.solverSide) meetBranchPoint();
+
+      var mv = state.game.move(state.moves[state.index], { sloppy: true });
+      if (!mv) {
+        console.error("Invalid puzzle move:", state.moves[state.index]);
+        return;
+      }
+
+      state.index++;
+      board.position(state.game.fen(), true);
+      setCaptionForMoveIndex(state.index - 1);
+      setTimeout(function () {
+        showBadgeForMove(state.index - 1);
+        showAnnotationsForMove(state.index - 1);
+      }, ANIM_MS);
+      dispatchMoveEvent(state.index);
+
+      setTimeout(function () { playSolutionStep(); }, SOLUTION_STEP_MS);
+    }
+
+    /* Does the current line have opponent moves other than the next
+       one? Only the variations on that move count: those on the
+       solver's previous move are wrong first moves, not defences (the
+       parser already hangs variations written one move early on the
+       move they replace). Met branch points are stacked so
+       completeLine() can come back for the other defences. */
+    function meetBranchPoint() {
+      var legal = state.game.moves();
+      function isLegalHere(san) {
+        return legal.some(function (m) { return normalizeSAN(m) === normalizeSAN(san); });
+      }
+
+      var defences = (line.variations[state.index] || []).filter(function (v) {
+        return v && v.moves && v.moves.length && isLegalHere(v.moves[0]);
+      });
+      if (!defences.length) return;
+
+      var here = state.game.fen();
+      var options = [{ line: line, index: state.index, startFen: state.lineStartFen }];
+      defences.forEach(function (v) {
+        options.push({
+          line: {
+            moves: v.moves,
+            comments: v.comments || [],
+            variations: v.variations || [],
+            glyphs: v.glyphs || [],
+            arrows: v.arrows || [],
+            squareMarks: v.squareMarks || [],
+            offset: line.offset + state.index,
+          },
+          index: 0,
+          startFen: here,
+        });
+      });
+      state.branches.push({
+        fen: here,
+        options: options,
+        chosen: 0,
+        done: options.map(function () { return false; }),
+      });
+    }
+
+    function selectDefence(branch, k) {
+      var option = branch.options[k];
+      branch.chosen = k;
+      line = option.line;
+      state.moves = line.moves;
+      state.index = option.index;
+      state.lineStartFen = option.startFen;
+    }
+
+    /* The end of the line being played was reached. The defence chosen
+       at each branch point on the way is now done; while any of those
+       branch points still has an untried defence, rewind to the
+       innermost one and play it. Only when every defence met has been
+       answered is the puzzle solved. */
+    function completeLine() {
+      while (state.branches.length) {
+        var branch = state.branches[state.branches.length - 1];
+        branch.done[branch.chosen] = true;
+        var next = branch.done.indexOf(false);
+        if (next !== -1) return rewindTo(branch, next);
+        state.branches.pop();
+      }
+      finishSolved();
+    }
+
+    function rewindTo(branch, k) {
+      state.locked = true;
+      if (captionTextEl) {
+        if (captionTextEl.childNodes.length) {
+          captionTextEl.appendChild(document.createElement("br"));
+        }
+        var note = document.createElement("span");
+        note.textContent = state.revealed
+          ? "Another defence:"
+          : "\u2714 Correct \u2014 now meet another defence.";
+        captionTextEl.appendChild(note);
+      }
+
+      setTimeout(function () {
+        if (!boardDiv.isConnected) return;
+        state.game.load(branch.fen);
+        state.offBook = false;
+        state.freePlay = false;
+        selectDefence(branch, k);
+        board.position(state.game.fen(), false);
+        setOverlayAnnotations(null);
+        setOverlayBadge(null, null);
+        if (state.revealed) playSolutionStep(true);
+        else playOpponentMove();
+      }, REWIND_MS);
     }
 
     function autoReply() {
-      if (state.index >= state.moves.length) return finishSolved();
+      if (state.offBook) return offBookReply();
+      if (state.index >= state.moves.length) return completeLine();
+      meetBranchPoint();
+      playOpponentMove();
+    }
 
+    function playOpponentMove() {
       var mv = state.game.move(state.moves[state.index], { sloppy: true });
 
       if (!mv) {
         console.error("Invalid puzzle move:", state.moves[state.index]);
         return;
       }
+      announce("Reply: " + mv.san);
 
       state.index++;
       board.position(state.game.fen(), true);
@@ -440,40 +1051,262 @@ export function renderLocalPuzzle(
       }, ANIM_MS);
       dispatchMoveEvent(state.index);
 
+      /* A line that ends on the opponent's move leaves nothing to find. */
+      if (state.index >= state.moves.length) {
+        setTimeout(completeLine, ANIM_MS);
+        return;
+      }
+
       setTimeout(function () {
         state.locked = false;
       }, ANIM_MS);
     }
 
-    /* If the move the user just played matches the first move of any
-       variation near the current position, return that variation.
-       We check both state.index and state.index + 1 because PGN
-       authors commonly place the variation after the opponent's reply
-       (e.g.  1. Re2! e4 (1. Re1? …)  — the variation is syntactically
-       after e4 but semantically an alternative to Re2). */
+    function offBookReply() {
+      think(new StubbornDefence(state.game.fen(), mateIn - state.solverMoves), function (defence) {
+        if (!defence) return completeLine();
+
+        state.game.move(moveArg(defence));
+        board.position(state.game.fen(), true);
+        setCaptionHTML("");
+        setOverlayAnnotations(null);
+        setOverlayBadge(null, null);
+
+        setTimeout(function () {
+          state.locked = false;
+        }, ANIM_MS);
+      });
+    }
+
+    /* A move other than the movetext's can still be right: the author
+       lists it in [Accept], or the puzzle is a [Stipulation "#N"] and
+       the move keeps a forced mate within the moves that remain. Built
+       with the move already made on state.game. */
+    function alternativeSolutionSearch(move, previousFen) {
+      var fields = previousFen.split(" ");
+      if (isAcceptedMove(accept, move.san, parseInt(fields[5], 10), fields[1])) return new Settled(true);
+      if (!mateIn) return new Settled(false);
+      if (state.game.in_checkmate()) return new Settled(true);
+      return stillForcesMate(state.game.fen(), mateIn - state.solverMoves - 1);
+    }
+
+    /* After an accepted alternative, keep following the movetext while
+       its next reply is still legal. Otherwise a mate stipulation goes
+       on with the search's replies, and a plain [Accept] counts the
+       puzzle as solved since no continuation is known. Returns true
+       when the puzzle is solved. */
+    function followAlternative() {
+      if (state.game.in_checkmate()) return true;
+      if (state.offBook) return false;
+
+      /* Checked against the legal moves: chess.js's sloppy parser will
+         happily play a king into check. */
+      var reply = state.moves[state.index + 1];
+      var replyIsLegal = reply !== undefined && state.game.moves().some(function (san) {
+        return normalizeSAN(san) === normalizeSAN(reply);
+      });
+      if (replyIsLegal) {
+        state.index++;
+        return false;
+      }
+      if (reply === undefined) return true;
+      if (mateIn) {
+        state.offBook = true;
+        return false;
+      }
+      return true;
+    }
+
+    /* If the move the user just played matches the first move of a
+       variation on the solver's own move, return that variation. */
     function matchVariationFirstMove(userSan) {
       var norm = normalizeSAN(userSan);
-      var indicesToCheck = [state.index, state.index + 1];
-      for (var ci = 0; ci < indicesToCheck.length; ci++) {
-        var vars = variations[indicesToCheck[ci]];
-        if (!vars || !vars.length) continue;
-        for (var vi = 0; vi < vars.length; vi++) {
-          var v = vars[vi];
-          if (v && v.moves && v.moves.length &&
-              normalizeSAN(v.moves[0]) === norm) {
-            return v;
-          }
+      var vars = line.variations[state.index];
+      if (!vars || !vars.length) return null;
+      for (var vi = 0; vi < vars.length; vi++) {
+        var v = vars[vi];
+        if (v && v.moves && v.moves.length &&
+            normalizeSAN(v.moves[0]) === norm) {
+          return v;
         }
       }
       return null;
     }
 
+    function isPromotion(from, to) {
+      return state.game.moves({ square: from, verbose: true }).some(function (m) {
+        return m.to === to && m.promotion;
+      });
+    }
+
+    function canMoveNow() {
+      return state.freePlay
+        ? !state.solved
+        : !(state.locked || state.solved || state.game.turn() !== state.solverSide);
+    }
+
+    /* The board reports a tap on a piece as a drop on its own square,
+       so those arrive here as taps. */
     function onDrop(from, to) {
+      if (from === to) {
+        handleTap(from);
+        return "snapback";
+      }
+      clearSelection();
+      return tryMove(from, to, null);
+    }
+
+    /* Every way of entering a move — drag, tap-tap, typed SAN/UCI —
+       ends here. A pawn reaching the last rank asks which piece it
+       becomes before the move is judged (unless the typed move already
+       says), so under-promotions (e8=N+) can be solved and played in
+       free-play. Until a piece is chosen the pawn waits and the board
+       takes no other moves. */
+    function tryMove(from, to, promotion) {
+      if (state.promoting) return "snapback";
+
+      if (!promotion && canMoveNow() && isPromotion(from, to)) {
+        state.promoting = true;
+        showPromotionPicker(boardDiv, to, state.game.turn(), function (piece) {
+          state.promoting = false;
+          if (!piece || playMove(from, to, piece) === "snapback") {
+            board.position(state.game.fen(), false);
+          }
+        });
+        return;
+      }
+
+      return playMove(from, to, promotion || "q");
+    }
+
+    /* For input that didn't come from a drag: the board won't snap
+       anything back, so put it right ourselves. */
+    function submitMove(from, to, promotion) {
+      if (tryMove(from, to, promotion) === "snapback") {
+        board.position(state.game.fen(), false);
+      }
+    }
+
+    /* ── Tap-tap input ── */
+
+    function clearSelection() {
+      state.selected = null;
+      var layer = boardDiv.querySelector(".cp-selection");
+      if (layer) layer.remove();
+    }
+
+    function selectionShape(name, attrs) {
+      var el = document.createElementNS("http://www.w3.org/2000/svg", name);
+      for (var key in attrs) el.setAttribute(key, attrs[key]);
+      return el;
+    }
+
+    /* Select a piece of the side to move and dot its legal targets. */
+    function selectSquare(square) {
+      var targets = state.game.moves({ square: square, verbose: true });
+      if (!targets.length) return;
+      state.selected = square;
+      var layer = createGridOverlaySVG(boardDiv, "cp-selection");
+      if (!layer) return;
+      var c = getSquareCenter(layer, boardDiv, square);
+      layer.appendChild(selectionShape("rect", {
+        class: "cp-selected",
+        x: c.x - c.size / 2, y: c.y - c.size / 2, width: c.size, height: c.size,
+      }));
+      targets.forEach(function (m) {
+        var t = getSquareCenter(layer, boardDiv, m.to);
+        if (layer.querySelector('[data-square="' + m.to + '"]')) return;
+        layer.appendChild(selectionShape("circle", {
+          class: "cp-move-dot" + (m.captured ? " capture" : ""),
+          "data-square": m.to,
+          cx: t.x, cy: t.y,
+          r: m.captured ? t.size * 0.45 : t.size * 0.15,
+        }));
+      });
+    }
+
+    function handleTap(square) {
+      if (state.promoting || !canMoveNow()) {
+        clearSelection();
+        return;
+      }
+      var from = state.selected;
+      clearSelection();
+      if (from && from !== square) {
+        var legal = state.game.moves({ square: from, verbose: true }).some(function (m) {
+          return m.to === square;
+        });
+        if (legal) {
+          submitMove(from, square, null);
+          return;
+        }
+      }
+      if (from !== square) selectSquare(square);
+    }
+
+    /* Taps on empty squares never start a drag, so they arrive as
+       ordinary clicks. */
+    boardDiv.addEventListener("click", function (e) {
+      var el = e.target.closest && e.target.closest("[data-square]");
+      if (!el || !boardDiv.contains(el)) return;
+      var square = el.getAttribute("data-square");
+      if (state.game.get(square)) return;
+      handleTap(square);
+    });
+
+    /* ── Typed input ── */
+
+    function announce(text) {
+      moveStatus.textContent = text;
+    }
+
+    function parseTypedMove(text) {
+      var uci = /^([a-h][1-8])-?([a-h][1-8])([qrbn])?$/i.exec(text);
+      if (uci) {
+        return {
+          from: uci[1].toLowerCase(),
+          to: uci[2].toLowerCase(),
+          promotion: uci[3] ? uci[3].toLowerCase() : null,
+        };
+      }
+      var norm = normalizeSAN(text);
+      var legal = state.game.moves({ verbose: true });
+      for (var i = 0; i < legal.length; i++) {
+        if (normalizeSAN(legal[i].san) === norm) {
+          return { from: legal[i].from, to: legal[i].to, promotion: legal[i].promotion || null };
+        }
+      }
+      return null;
+    }
+
+    moveForm.addEventListener("submit", function (e) {
+      e.preventDefault();
+      var text = moveInput.value.trim();
+      if (!text) return;
+      if (!canMoveNow() || state.promoting) {
+        moveStatus.textContent = state.solved ? "The puzzle is solved." : "Wait for the reply.";
+        return;
+      }
+      var typed = parseTypedMove(text);
+      var legal = typed && state.game.moves({ square: typed.from, verbose: true }).some(function (m) {
+        return m.to === typed.to;
+      });
+      if (!legal) {
+        moveStatus.textContent = "\u201C" + text + "\u201D is not a legal move here.";
+        return;
+      }
+      moveStatus.textContent = "";
+      moveInput.value = "";
+      clearSelection();
+      submitMove(typed.from, typed.to, typed.promotion);
+    });
+
+    function playMove(from, to, promotion) {
       /* In free-play mode (entered after a side-line variation is
          triggered) accept any legal move for either side. The board
          becomes an exploration sandbox until the user hits replay. */
       if (state.freePlay && !state.solved) {
-        var fpMove = state.game.move({ from: from, to: to, promotion: "q" });
+        var fpMove = state.game.move({ from: from, to: to, promotion: promotion });
         if (!fpMove) return "snapback";
         board.position(state.game.fen(), false);
         setOverlayAnnotations(null);
@@ -487,73 +1320,135 @@ export function renderLocalPuzzle(
 
       var expectedSAN = String(state.moves[state.index] || "").trim();
       var previousFen = state.game.fen();
-      var move = state.game.move({ from: from, to: to, promotion: "q" });
+      var move = state.game.move({ from: from, to: to, promotion: promotion });
       if (!move) return "snapback";
 
-      if (normalizeSAN(move.san) !== normalizeSAN(expectedSAN)) {
-        /* Not the main-line move — check whether it matches the first
-           move of a variation attached to the current index. */
-        var matchedVar = matchVariationFirstMove(move.san);
-
-        if (matchedVar) {
-          /* Accept the variation move and enter free-play mode: leave
-             the move on the board, shake to signal "wrong solution",
-             render the variation's quality badge (e.g. the "?" on
-             Re1?), show the comment with clickable SAN tokens, and
-             reveal the replay button. */
-          board.position(state.game.fen(), false);
-
-          /* Shake — the user didn't play the puzzle's solution. */
-          boardDiv.classList.remove("cp-shake");
-          void boardDiv.offsetWidth;
-          boardDiv.classList.add("cp-shake");
-
-          state.freePlay = true;
-          state.locked = false;
-          state.variationStartFen = state.game.fen();
+      var onBook = !state.offBook && normalizeSAN(move.san) === normalizeSAN(expectedSAN);
+      if (onBook) return acceptMove(move, true);
 
-          if (captionTextEl) {
-            captionTextEl.innerHTML = buildVariationComment(matchedVar, state.variationStartFen);
-            wireInlineMoveClicks();
-          }
-
-          /* Render the variation first-move quality glyph ("?", "??",
-             "!?", etc.) on its destination square, and any [%csl …] /
-             [%cal …] annotations attached to that first move. */
-          requestAnimationFrame(function () {
-            var varGlyph = (matchedVar.glyphs && matchedVar.glyphs[0]) || null;
-            setOverlayBadge(varGlyph ? move.to : null, varGlyph);
-
-            var varArrows = (matchedVar.arrows && matchedVar.arrows[0]) || null;
-            var varMarks = (matchedVar.squareMarks && matchedVar.squareMarks[0]) || null;
-            setOverlayAnnotations({
-              arrows: varArrows || [],
-              squareMarks: varMarks || [],
-            });
-          });
+      /* Off the movetext the answer may take a mate search; the move
+         stays on the board while it runs. */
+      return think(alternativeSolutionSearch(move, previousFen), function (accepted) {
+        return accepted ? acceptMove(move, false) : rejectMove(move, previousFen);
+      }, true);
+    }
 
-          showRefreshButton();
-          return true;
-        }
+    function rejectMove(move, previousFen) {
+      /* Not the main-line move — check whether it matches the first
+         move of a variation attached to the current index. */
+      var matchedVar = matchVariationFirstMove(move.san);
+
+      state.mistakes++;
+      record.mistakes++;
+      emit("cp-puzzle-attempt", {
+        san: move.san,
+        correct: false,
+        index: state.index,
+        variation: matchedVar ? matchedVar.moves.slice() : null,
+      });
+      reportFailure("mistake", move.san);
+      if (onFailed) onFailed();
 
-        /* Wrong move — undo and shake. */
+      /* A rush allows no second tries: any other move, side-line or
+         not, costs a strike and ends this puzzle. */
+      if (isRush) {
         state.game.undo();
         board.position(state.game.fen(), false);
         boardDiv.classList.remove("cp-shake");
         void boardDiv.offsetWidth;
         boardDiv.classList.add("cp-shake");
-
+        state.locked = true;
         return "snapback";
       }
 
-      state.index++;
+      if (matchedVar) {
+        /* Accept the variation move and enter free-play mode: leave
+           the move on the board, shake to signal "wrong solution",
+           render the variation's quality badge (e.g. the "?" on
+           Re1?), show the comment with clickable SAN tokens, and
+           reveal the replay button. */
+        board.position(state.game.fen(), false);
+
+        /* Shake — the user didn't play the puzzle's solution. */
+        boardDiv.classList.remove("cp-shake");
+        void boardDiv.offsetWidth;
+        boardDiv.classList.add("cp-shake");
+
+        state.freePlay = true;
+        state.locked = false;
+        state.variationStartFen = state.game.fen();
+
+        if (captionTextEl) {
+          captionTextEl.innerHTML = buildVariationComment(matchedVar, state.variationStartFen);
+          wireInlineMoveClicks();
+        }
+
+        /* Render the variation first-move quality glyph ("?", "??",
+           "!?", etc.) on its destination square, and any [%csl …] /
+           [%cal …] annotations attached to that first move. */
+        requestAnimationFrame(function () {
+          var varGlyph = (matchedVar.glyphs && matchedVar.glyphs[0]) || null;
+          setOverlayBadge(varGlyph ? move.to : null, varGlyph);
+
+          var varArrows = (matchedVar.arrows && matchedVar.arrows[0]) || null;
+          var varMarks = (matchedVar.squareMarks && matchedVar.squareMarks[0]) || null;
+          setOverlayAnnotations({
+            arrows: varArrows || [],
+            squareMarks: varMarks || [],
+          });
+        });
+
+        showRefreshButton();
+        return true;
+      }
+
+      /* Wrong move — undo and shake. An [Avoid] move (an EPD am)
+         is a known trap and says so. */
+      var fields = previousFen.split(" ");
+      if (isAcceptedMove(avoid, move.san, parseInt(fields[5], 10), fields[1])) {
+        setCaptionHTML(toFigurine(move.san) + " is a known wrong answer.");
+        announce(move.san + " is a known wrong answer.");
+      } else {
+        announce(move.san + " is not the solution.");
+      }
+      state.game.undo();
       board.position(state.game.fen(), false);
-      setCaptionForMoveIndex(state.index - 1);
-      requestAnimationFrame(function () {
-        showBadgeForMove(state.index - 1);
-        showAnnotationsForMove(state.index - 1);
+      boardDiv.classList.remove("cp-shake");
+      void boardDiv.offsetWidth;
+      boardDiv.classList.add("cp-shake");
+
+      return "snapback";
+    }
+
+    function acceptMove(move, onBook) {
+      emit("cp-puzzle-attempt", {
+        san: move.san,
+        correct: true,
+        index: state.index,
+        variation: null,
       });
-      dispatchMoveEvent(state.index);
+
+      state.solverMoves++;
+      state.hintLevel = 0;
+      board.position(state.game.fen(), false);
+
+      var solved;
+      if (onBook) {
+        state.index++;
+        setCaptionForMoveIndex(state.index - 1);
+        requestAnimationFrame(function () {
+          showBadgeForMove(state.index - 1);
+          showAnnotationsForMove(state.index - 1);
+        });
+        dispatchMoveEvent(state.index);
+        solved = state.index >= state.moves.length || state.game.in_checkmate();
+      } else {
+        /* An alternative has no comment, glyph or arrows of its own. */
+        setCaptionHTML("");
+        setOverlayAnnotations(null);
+        setOverlayBadge(null, null);
+        solved = followAlternative();
+      }
 
       boardDiv.classList.remove("cp-fire-once");
       requestAnimationFrame(function () {
@@ -564,35 +1459,29 @@ export function renderLocalPuzzle(
         if (!state.solved) boardDiv.classList.remove("cp-fire-once");
       }, 1000);
 
-      if (state.index >= state.moves.length) return finishSolved();
+      if (solved) return completeLine();
 
       state.locked = true;
       setTimeout(autoReply, 80);
       return true;
     }
 
-    var board = Chessboard(boardDiv, {
+    var board = createChessboard(boardDiv, {
       draggable: true,
       position: fen,
       orientation: getOrientation(),
-      pieceTheme: PIECE_THEME,
+      pieceTheme: pieceTheme(boardDiv),
       onDrop: onDrop,
       onSnapEnd: function () {
-        board.position(state.game.fen(), false);
+        if (!state.promoting) board.position(state.game.fen(), false);
       },
     });
 
     boardDiv.__board = board;
 
-    /* Re-fit the inner board and re-draw the SVG overlay + NAG badge
-       whenever the .cp-board container changes width (e.g. crossing
-       the mobile breakpoint). chessboard.js doesn't auto-resize, so
-       without this the squares would stay at their original pixel
-       size and the annotations would no longer line up. */
-    _resizeObserver = makeBoardResizable(boardDiv, board, redrawOverlay);
-
     if (autoFirstMove) {
-      var mv = state.game.move(moves[0], { sloppy: true });
+      meetBranchPoint();
+      var mv = state.game.move(state.moves[0], { sloppy: true });
       if (mv) {
         board.position(state.game.fen(), true);
         state.index = 1;
@@ -611,14 +1500,20 @@ export function renderLocalPuzzle(
   container.reset = function () {
     createPuzzleBoard();
     container.dispatchEvent(
-      new CustomEvent("cp-puzzle-reset", { bubbles: true }),
+      new CustomEvent("cp-puzzle-reset", { detail: { puzzleId: puzzleId }, bubbles: true }),
     );
   };
 }
 
 export function createPuzzle(el, cfg) {
   var parsed = parseGame(cfg.rawPGN || "");
-  if (parsed.error) return;
+  if (parsed.error) {
+    /* An illegal move or FEN carries a message worth showing; a PGN
+       with no moves at all falls through to the caller's generic
+       "missing FEN or moves" error. */
+    if (parsed.message) throw new Error(parsed.message);
+    return;
+  }
 
   renderLocalPuzzle(
     el,
@@ -626,7 +1521,7 @@ export function createPuzzle(el, cfg) {
     parsed.moves,
     parsed.firstMoveAuto === true,
     false,
-    null,
+    cfg.onSolved || null,
     null,
     parsed.orientation,
     false,
@@ -638,6 +1533,266 @@ export function createPuzzle(el, cfg) {
       squareMarks: parsed.squareMarks || [],
       captionEl: cfg.captionEl || null,
       initialCaption: cfg.initialCaption || "",
+      onFailed: cfg.onFailed || null,
+      accept: parsed.accept || [],
+      avoid: parsed.avoid || [],
+      mateIn: parsed.mateIn || 0,
+      puzzleId: parsed.puzzleId || null,
     },
   );
-}
\ No newline at end of file
+}
+/* ================================================================
+   2. PUZZLE RUSH
+================================================================ */
+
+var RUSH_SECONDS = 180;
+var RUSH_STRIKES = 3;
+/* Pause after a solve or a miss so the final position registers
+   before the next puzzle replaces it. */
+var RUSH_NEXT_MS = 700;
+
+function rushButton(label, onClick) {
+  var btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = "cp-rush-btn";
+  btn.textContent = label;
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+/**
+ * Serve the puzzles of a pack one after another against a countdown.
+ * A solve scores a point; any wrong move is a strike and skips to the
+ * next puzzle. The run ends at the third strike, when time runs out or
+ * when the pack is exhausted, and the summary offers a fresh run
+ * through just the puzzles that were missed.
+ *
+ * @param {HTMLElement} container
+ * @param {string[]}    games       one PGN per puzzle (splitIntoPgnGames())
+ * @param {Object}      [options]
+ * @param {number}      [options.seconds=180] length of a run
+ */
+export function renderPuzzleRush(container, games, options) {
+  options = options || {};
+  var seconds = options.seconds > 0 ? options.seconds : RUSH_SECONDS;
+
+  var puzzles = [];
+  games.forEach(function (pgn, i) {
+    var parsed = parseGame(pgn);
+    if (parsed.error) {
+      console.error("Skipping puzzle " + (i + 1) + " of the rush pack:",
+        parsed.message || "missing FEN or moves");
+      return;
+    }
+    puzzles.push({
+      number: i + 1,
+      parsed: parsed,
+      caption: parseHeaders(pgn).Caption || "",
+    });
+  });
+  if (!puzzles.length) throw new Error("the pack has no playable puzzles");
+
+  var event = parseHeaders(games[0]).Event || "";
+
+  container.innerHTML = "";
+  container.classList.add("cp-rush");
+
+  /* Score · strikes · progress · countdown */
+  var bar = document.createElement("div");
+  bar.className = "cp-rush-bar";
+  var scoreEl = document.createElement("span");
+  scoreEl.className = "cp-rush-score";
+  bar.appendChild(scoreEl);
+
+  var strikesEl = document.createElement("span");
+  strikesEl.className = "cp-rush-strikes";
+  strikesEl.title = RUSH_STRIKES + " strikes and the run is over";
+  var strikeEls = [];
+  for (var k = 0; k < RUSH_STRIKES; k++) {
+    var strike = document.createElement("span");
+    strike.className = "cp-rush-strike lucide-icon";
+    strike.style.setProperty("--icon", lucideIconUrl("x"));
+    strikesEl.appendChild(strike);
+    strikeEls.push(strike);
+  }
+  bar.appendChild(strikesEl);
+
+  var progressEl = document.createElement("span");
+  progressEl.className = "cp-rush-progress";
+  bar.appendChild(progressEl);
+
+  var timerEl = document.createElement("span");
+  timerEl.className = "cp-rush-timer";
+  var timerIcon = document.createElement("span");
+  timerIcon.className = "lucide-icon";
+  timerIcon.style.setProperty("--icon", lucideIconUrl("timer"));
+  timerEl.appendChild(timerIcon);
+  var timeEl = document.createElement("span");
+  timeEl.className = "clock-time";
+  timerEl.appendChild(timeEl);
+  bar.appendChild(timerEl);
+  container.appendChild(bar);
+
+  var boardHost = document.createElement("div");
+  boardHost.className = "cp-puzzle-board";
+  container.appendChild(boardHost);
+
+  var cap = document.createElement("div");
+  cap.className = "fen-caption";
+  container.appendChild(cap);
+
+  /* Start screen, and the summary once a run is over. */
+  var panel = document.createElement("div");
+  panel.className = "cp-rush-panel";
+  container.appendChild(panel);
+
+  var run = null;
+
+  function showPanel(heading, lines, buttons) {
+    bar.style.display = run ? "" : "none";
+    boardHost.style.display = "none";
+    cap.style.display = "none";
+    panel.innerHTML = "";
+    var h = document.createElement("div");
+    h.className = "cp-rush-heading";
+    h.textContent = heading;
+    panel.appendChild(h);
+    lines.forEach(function (text) {
+      if (!text) return;
+      var p = document.createElement("div");
+      p.className = "cp-rush-line";
+      p.textContent = text;
+      panel.appendChild(p);
+    });
+    var actions = document.createElement("div");
+    actions.className = "cp-rush-actions";
+    buttons.forEach(function (btn) { actions.appendChild(btn); });
+    panel.appendChild(actions);
+    panel.style.display = "";
+  }
+
+  function updateBar() {
+    scoreEl.textContent = "Score " + run.score;
+    strikeEls.forEach(function (el, i) {
+      el.classList.toggle("used", i < run.strikes);
+    });
+    progressEl.textContent = Math.min(run.pos + 1, run.list.length) + " / " + run.list.length;
+  }
+
+  function tick() {
+    /* The element was removed from the page mid-run. */
+    if (!container.isConnected) {
+      clearInterval(run.timer);
+      return;
+    }
+    var left = Math.max(0, Math.ceil((run.deadline - Date.now()) / 100) / 10);
+    timeEl.textContent = formatClock(left);
+    timerEl.classList.toggle("low", left < 10);
+    if (left <= 0) endRun("Time's up!");
+  }
+
+  function startRun(list) {
+    run = {
+      list: list,
+      pos: 0,
+      score: 0,
+      strikes: 0,
+      missed: [],
+      over: false,
+      pending: null,
+      deadline: Date.now() + seconds * 1000,
+      timer: null,
+    };
+    panel.style.display = "none";
+    bar.style.display = "";
+    boardHost.style.display = "";
+    cap.style.display = "";
+    updateBar();
+    run.timer = setInterval(tick, 100);
+    tick();
+    servePuzzle();
+  }
+
+  function servePuzzle() {
+    if (run.pos >= run.list.length) return endRun("Pack complete!");
+    updateBar();
+
+    var current = run;
+    var puzzle = run.list[run.pos];
+    var p = puzzle.parsed;
+    renderLocalPuzzle(
+      boardHost,
+      p.fen,
+      p.moves,
+      p.firstMoveAuto === true,
+      false,
+      function () { settle(current, puzzle, true); },
+      null,
+      p.orientation,
+      true,
+      {
+        comments: p.comments || [],
+        glyphs: p.glyphs || [],
+        arrows: p.arrows || [],
+        squareMarks: p.squareMarks || [],
+        captionEl: cap,
+        initialCaption: puzzle.caption,
+        onFailed: function () { settle(current, puzzle, false); },
+        accept: p.accept || [],
+        avoid: p.avoid || [],
+        mateIn: p.mateIn || 0,
+        puzzleId: p.puzzleId || null,
+      },
+    );
+  }
+
+  /* Callbacks from a puzzle of an earlier, finished run are ignored. */
+  function settle(current, puzzle, solved) {
+    if (current !== run || run.over) return;
+    if (solved) {
+      run.score++;
+    } else {
+      run.strikes++;
+      run.missed.push(puzzle);
+    }
+    updateBar();
+    run.pos++;
+    run.pending = setTimeout(function () {
+      if (current !== run || run.over) return;
+      if (run.strikes >= RUSH_STRIKES) endRun("Three strikes!");
+      else servePuzzle();
+    }, RUSH_NEXT_MS);
+  }
+
+  function endRun(heading) {
+    if (run.over) return;
+    run.over = true;
+    clearInterval(run.timer);
+    clearTimeout(run.pending);
+    boardHost.innerHTML = "";
+
+    var finished = run;
+    var attempted = finished.score + finished.missed.length;
+    var buttons = [];
+    if (finished.missed.length) {
+      buttons.push(rushButton("Replay missed (" + finished.missed.length + ")", function () {
+        startRun(finished.missed);
+      }));
+    }
+    buttons.push(rushButton("Play again", function () { startRun(puzzles); }));
+
+    showPanel(heading, [
+      "Score: " + finished.score,
+      "Solved " + finished.score + " of " + attempted + " attempted.",
+      finished.missed.length
+        ? "Missed: " + finished.missed.map(function (pz) { return "#" + pz.number; }).join(", ")
+        : "",
+    ], buttons);
+  }
+
+  showPanel("Puzzle Rush", [
+    event,
+    puzzles.length + (puzzles.length === 1 ? " puzzle" : " puzzles") + " · " +
+      formatClock(seconds) + " on the clock · " + RUSH_STRIKES + " strikes",
+  ], [rushButton("Start", function () { startRun(puzzles); })]);
+}
@@ -0,0 +1,436 @@
+/**
+ * ChessPublica — Native SVG chessboard
+ *
+ * Draws squares, coordinates and pieces into one SVG with an 8×8
+ * viewBox, so the board scales with its container and needs neither
+ * chessboard.js nor jQuery. The annotation overlays in board.js nest
+ * inside the same SVG and scale with it.
+ *
+ * The API is the part of chessboard.js 1.0.0 the engine used:
+ *
+ *   var board = createChessboard(el, {
+ *     position:    "start" | FEN,
+ *     orientation: "white" | "black",
+ *     pieceTheme:  function (piece) → image URL   ("wK", "bP", …)
+ *     draggable:   false,
+ *     moveSpeed:   200,     // ms for animated position changes
+ *     coordinates: true,    // a–h / 1–8 along the edges
+ *     onDrop:      function (source, target, piece) → "snapback" to undo;
+ *                  target is "offboard" when dropped outside, and a tap
+ *                  on a piece arrives as source === target
+ *     onSnapEnd:   function (source, target, piece) after a kept drop
+ *     hydrate:     false,   // adopt the board SVG already in `el`
+ *   });
+ *
+ *   board.position()                 → FEN piece placement
+ *   board.position(fen, animate)
+ *   board.orientation()              → "white" | "black"
+ *   board.orientation("black"), board.flip()
+ *   board.resize()                   no-op: the SVG scales by itself
+ *   board.destroy()
+ *
+ * With `hydrate`, a board prerendered by `node build.js render` is taken
+ * over as it is: position, orientation and coordinates are read back
+ * from the SVG and nothing is redrawn. Without a board SVG in `el`, or
+ * with one lacking its squares or pieces layer, it draws a fresh one
+ * from `position` as usual.
+ *
+ * Squares, coordinates and badges carry fill attributes with the default
+ * colours, so a prerendered board still reads in feed readers and mail
+ * clients that drop the stylesheet; the theme rules override them.
+ */
+
+var SVG_NS = "http://www.w3.org/2000/svg";
+var XLINK_NS = "http://www.w3.org/1999/xlink";
+var FILES = "abcdefgh";
+var START_PLACEMENT = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR";
+var SQUARE_FILL = { light: "#f0d9b5", dark: "#b58863" };
+
+/* Pointer travel (px) before a press on a piece counts as a drag. */
+var DRAG_THRESHOLD = 4;
+
+function svgEl(name, attrs) {
+  var el = document.createElementNS(SVG_NS, name);
+  for (var key in attrs) el.setAttribute(key, attrs[key]);
+  return el;
+}
+
+/* "rnbqkbnr/…" (or a full FEN, or "start") → { e1: "wK", … }. */
+function placementToMap(fen) {
+  var placement = (fen === "start" ? START_PLACEMENT : String(fen || "").split(" ")[0]);
+  var map = {};
+  var ranks = placement.split("/");
+  for (var r = 0; r < 8 && r < ranks.length; r++) {
+    var file = 0;
+    for (var i = 0; i < ranks[r].length; i++) {
+      var ch = ranks[r].charAt(i);
+      if (/\d/.test(ch)) {
+        file += parseInt(ch, 10);
+      } else {
+        var color = ch === ch.toUpperCase() ? "w" : "b";
+        map[FILES.charAt(file) + (8 - r)] = color + ch.toUpperCase();
+        file++;
+      }
+    }
+  }
+  return map;
+}
+
+function mapToPlacement(map) {
+  var rows = [];
+  for (var rank = 8; rank >= 1; rank--) {
+    var row = "";
+    var empty = 0;
+    for (var f = 0; f < 8; f++) {
+      var piece = map[FILES.charAt(f) + rank];
+      if (!piece) {
+        empty++;
+        continue;
+      }
+      if (empty) row += empty;
+      empty = 0;
+      row += piece.charAt(0) === "w" ? piece.charAt(1) : piece.charAt(1).toLowerCase();
+    }
+    if (empty) row += empty;
+    rows.push(row);
+  }
+  return rows.join("/");
+}
+
+/* Column/row (0–7, from the top-left corner as drawn) of a square. */
+function squareXY(square, orientation) {
+  var file = FILES.indexOf(square.charAt(0));
+  var rank = parseInt(square.charAt(1), 10) - 1;
+  return orientation === "black"
+    ? { x: 7 - file, y: rank }
+    : { x: file, y: 7 - rank };
+}
+
+function findBoardSVG(el) {
+  if (!el) return null;
+  if (el.classList && el.classList.contains("cp-svgboard")) return el;
+  return el.querySelector(".cp-svgboard");
+}
+
+/**
+ * Where `square` sits on the board in `el` (the board SVG or an element
+ * holding it), in percent of the board's width and height:
+ * { x, y, size } for the square's top-left corner and side. Works
+ * before layout, so overlays can be drawn on boards not yet visible.
+ *
+ * @returns {{ x: number, y: number, size: number }|null}
+ */
+export function squareBox(el, square) {
+  var svg = findBoardSVG(el);
+  if (!svg || !/^[a-h][1-8]$/.test(square || "")) return null;
+  var xy = squareXY(square, svg.getAttribute("data-orientation"));
+  return { x: xy.x * 12.5, y: xy.y * 12.5, size: 12.5 };
+}
+
+/* Font attributes rather than CSS, so standalone renderers of a
+   prerendered board size the labels too. */
+function coordsGroup() {
+  return svgEl("g", {
+    class: "cp-coords",
+    "font-size": 0.2,
+    "font-weight": 600,
+    "font-family": "sans-serif",
+  });
+}
+
+/** @see the module comment for config and methods. */
+export function createChessboard(el, config) {
+  config = config || {};
+  var orientation = config.orientation === "black" ? "black" : "white";
+  var pieceTheme = config.pieceTheme || function () { return ""; };
+  var moveSpeed = typeof config.moveSpeed === "number" ? config.moveSpeed : 200;
+  var showCoordinates = config.coordinates !== false;
+  var current = placementToMap(config.position || "");
+  var pieceImages = {};
+  var animation = null;
+  var drag = null;
+
+  var svg = config.hydrate ? findBoardSVG(el) : null;
+  var squaresLayer = svg && svg.querySelector(".cp-squares");
+  var coordsLayer = svg && svg.querySelector(".cp-coords");
+  var piecesLayer = svg && svg.querySelector(".cp-pieces");
+  /* Markup without squares or pieces to adopt (hand-written, or from
+     some other renderer) is drawn afresh from config.position. */
+  var hydrated = !!(squaresLayer && piecesLayer);
+  if (hydrated) {
+    orientation = svg.getAttribute("data-orientation") === "black" ? "black" : "white";
+    /* A board rendered without coordinates may have left the layer out. */
+    if (!coordsLayer) {
+      coordsLayer = coordsGroup();
+      svg.insertBefore(coordsLayer, piecesLayer);
+    }
+    showCoordinates = !!coordsLayer.firstChild;
+    current = {};
+    var adopted = piecesLayer.querySelectorAll(".cp-piece");
+    for (var i = 0; i < adopted.length; i++) {
+      var at = adopted[i].getAttribute("data-square");
+      current[at] = adopted[i].getAttribute("data-piece");
+      pieceImages[at] = adopted[i];
+    }
+    svg.classList.toggle("draggable", !!config.draggable);
+  } else {
+    el.innerHTML = "";
+    svg = svgEl("svg", {
+      viewBox: "0 0 8 8",
+      class: "cp-svgboard" + (config.draggable ? " draggable" : ""),
+      role: "img",
+    });
+    squaresLayer = svgEl("g", { class: "cp-squares", "shape-rendering": "crispEdges" });
+    coordsLayer = coordsGroup();
+    piecesLayer = svgEl("g", { class: "cp-pieces" });
+    svg.appendChild(squaresLayer);
+    svg.appendChild(coordsLayer);
+    svg.appendChild(piecesLayer);
+    el.appendChild(svg);
+  }
+
+  /* ── Drawing ── */
+
+  function drawSquares() {
+    squaresLayer.innerHTML = "";
+    coordsLayer.innerHTML = "";
+    svg.setAttribute("data-orientation", orientation);
+    for (var f = 0; f < 8; f++) {
+      for (var r = 1; r <= 8; r++) {
+        var square = FILES.charAt(f) + r;
+        var xy = squareXY(square, orientation);
+        var shade = (f + r) % 2 ? "dark" : "light";
+        squaresLayer.appendChild(svgEl("rect", {
+          class: "cp-square " + shade,
+          "data-square": square,
+          x: xy.x, y: xy.y, width: 1, height: 1,
+          fill: SQUARE_FILL[shade],
+        }));
+        if (!showCoordinates) continue;
+        /* Files along the bottom edge, ranks along the left, each in
+           the other square colour. */
+        var other = shade === "light" ? "dark" : "light";
+        var contrast = "cp-coord " + other;
+        if (xy.y === 7) {
+          var fileLabel = svgEl("text", { class: contrast, fill: SQUARE_FILL[other], x: xy.x + 0.96, y: xy.y + 0.95, "text-anchor": "end" });
+          fileLabel.textContent = square.charAt(0);
+          coordsLayer.appendChild(fileLabel);
+        }
+        if (xy.x === 0) {
+          var rankLabel = svgEl("text", { class: contrast, fill: SQUARE_FILL[other], x: xy.x + 0.04, y: xy.y + 0.22 });
+          rankLabel.textContent = square.charAt(1);
+          coordsLayer.appendChild(rankLabel);
+        }
+      }
+    }
+  }
+
+  function pieceImage(piece, square) {
+    var xy = squareXY(square, orientation);
+    var img = svgEl("image", {
+      class: "cp-piece",
+      "data-piece": piece,
+      "data-square": square,
+      x: xy.x, y: xy.y, width: 1, height: 1,
+    });
+    /* xlink:href too, for SVG 1.1 renderers (older feed readers and
+       mail clients) that ignore a bare href. */
+    var url = pieceTheme(piece);
+    img.setAttribute("href", url);
+    img.setAttributeNS(XLINK_NS, "xlink:href", url);
+    return img;
+  }
+
+  function drawPieces() {
+    piecesLayer.innerHTML = "";
+    pieceImages = {};
+    for (var square in current) {
+      pieceImages[square] = pieceImage(current[square], square);
+      piecesLayer.appendChild(pieceImages[square]);
+    }
+  }
+
+  /* ── Animation ── */
+
+  function finishAnimation() {
+    if (!animation) return;
+    cancelAnimationFrame(animation.frame);
+    animation.moves.forEach(function (m) {
+      m.img.setAttribute("x", m.to.x);
+      m.img.setAttribute("y", m.to.y);
+    });
+    animation = null;
+  }
+
+  /* Pair each piece that arrived on a square with the nearest square
+     that lost the same piece, and slide it over from there. */
+  function animateFrom(previous) {
+    var vacated = [];
+    for (var sq in previous) {
+      if (current[sq] !== previous[sq]) vacated.push(sq);
+    }
+    var moves = [];
+    for (var square in current) {
+      if (previous[square] === current[square]) continue;
+      var best = null;
+      var bestDistance = Infinity;
+      vacated.forEach(function (from) {
+        if (previous[from] !== current[square]) return;
+        var a = squareXY(from, orientation);
+        var b = squareXY(square, orientation);
+        var distance = Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+        if (distance < bestDistance) {
+          best = from;
+          bestDistance = distance;
+        }
+      });
+      if (!best) continue;
+      vacated.splice(vacated.indexOf(best), 1);
+      moves.push({
+        img: pieceImages[square],
+        from: squareXY(best, orientation),
+        to: squareXY(square, orientation),
+      });
+    }
+    if (!moves.length || moveSpeed <= 0) return;
+
+    var start = null;
+    animation = { moves: moves, frame: 0 };
+    function step(now) {
+      if (start === null) start = now;
+      var t = Math.min(1, (now - start) / moveSpeed);
+      var eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+      moves.forEach(function (m) {
+        m.img.setAttribute("x", m.from.x + (m.to.x - m.from.x) * eased);
+        m.img.setAttribute("y", m.from.y + (m.to.y - m.from.y) * eased);
+      });
+      if (t < 1) animation.frame = requestAnimationFrame(step);
+      else animation = null;
+    }
+    moves.forEach(function (m) {
+      m.img.setAttribute("x", m.from.x);
+      m.img.setAttribute("y", m.from.y);
+    });
+    animation.frame = requestAnimationFrame(step);
+  }
+
+  /* ── Drag and drop ── */
+
+  /* Board square under a viewport point, or null outside the board. */
+  function squareAt(clientX, clientY) {
+    var rect = svg.getBoundingClientRect();
+    if (!rect.width || !rect.height) return null;
+    var col = Math.floor(((clientX - rect.left) / rect.width) * 8);
+    var row = Math.floor(((clientY - rect.top) / rect.height) * 8);
+    if (col < 0 || col > 7 || row < 0 || row > 7) return null;
+    return orientation === "black"
+      ? FILES.charAt(7 - col) + (row + 1)
+      : FILES.charAt(col) + (8 - row);
+  }
+
+  function pointInBoard(clientX, clientY) {
+    var rect = svg.getBoundingClientRect();
+    return {
+      x: ((clientX - rect.left) / rect.width) * 8,
+      y: ((clientY - rect.top) / rect.height) * 8,
+    };
+  }
+
+  function onPointerDown(e) {
+    if (!config.draggable || drag || (e.button !== undefined && e.button !== 0)) return;
+    var square = squareAt(e.clientX, e.clientY);
+    if (!square || !current[square]) return;
+    finishAnimation();
+
+    drag = {
+      source: square,
+      piece: current[square],
+      img: pieceImages[square],
+      startX: e.clientX,
+      startY: e.clientY,
+      moved: false,
+      pointerId: e.pointerId,
+    };
+    if (svg.setPointerCapture && e.pointerId !== undefined) {
+      try { svg.setPointerCapture(e.pointerId); } catch (_) { /* synthetic events */ }
+    }
+    e.preventDefault();
+  }
+
+  function onPointerMove(e) {
+    if (!drag) return;
+    if (!drag.moved) {
+      if (Math.abs(e.clientX - drag.startX) + Math.abs(e.clientY - drag.startY) < DRAG_THRESHOLD) return;
+      drag.moved = true;
+      svg.classList.add("dragging");
+      /* Lift the piece above every other layer, overlays included. */
+      if (drag.img) svg.appendChild(drag.img);
+    }
+    if (drag.img) {
+      var p = pointInBoard(e.clientX, e.clientY);
+      drag.img.setAttribute("x", p.x - 0.5);
+      drag.img.setAttribute("y", p.y - 0.5);
+    }
+  }
+
+  function endDrag(e, cancelled) {
+    if (!drag) return;
+    var d = drag;
+    drag = null;
+    svg.classList.remove("dragging");
+    if (d.img && d.img.parentNode === svg) svg.removeChild(d.img);
+
+    var target = cancelled ? null : d.moved ? squareAt(e.clientX, e.clientY) : d.source;
+    var result = config.onDrop
+      ? config.onDrop(d.source, target || "offboard", d.piece)
+      : undefined;
+
+    if (result === "snapback" || !target) {
+      drawPieces();
+      return;
+    }
+    delete current[d.source];
+    current[target] = d.piece;
+    drawPieces();
+    if (config.onSnapEnd) config.onSnapEnd(d.source, target, d.piece);
+  }
+
+  svg.addEventListener("pointerdown", onPointerDown);
+  svg.addEventListener("pointermove", onPointerMove);
+  svg.addEventListener("pointerup", function (e) { endDrag(e, false); });
+  svg.addEventListener("pointercancel", function (e) { endDrag(e, true); });
+
+  if (!hydrated) {
+    drawSquares();
+    drawPieces();
+  }
+
+  return {
+    position: function (fen, animate) {
+      if (fen === undefined) return mapToPlacement(current);
+      finishAnimation();
+      var previous = current;
+      current = placementToMap(fen);
+      drawPieces();
+      if (animate !== false) animateFrom(previous);
+      return mapToPlacement(current);
+    },
+    orientation: function (value) {
+      if (value === undefined) return orientation;
+      if (value === "flip") value = orientation === "white" ? "black" : "white";
+      finishAnimation();
+      orientation = value === "black" ? "black" : "white";
+      drawSquares();
+      drawPieces();
+      return orientation;
+    },
+    flip: function () {
+      return this.orientation("flip");
+    },
+    resize: function () {},
+    destroy: function () {
+      finishAnimation();
+      el.innerHTML = "";
+    },
+  };
+}
@@ -8,15 +8,24 @@
  *   dist/ChessPublica.all.min.js   Everything in one JS file
  *   dist/ChessPublica.all.min.css  Everything in one CSS file
  *
+ * and regenerates assets/pieces.js, the self-hosted piece sets, from
+ * their npm packages before bundling.
+ *
+ * `render <dir>` instead prerenders a generated site in place: <fen> and
+ * <pgn> elements in every .html file under <dir> become static markup
+ * with inline SVG boards, for feeds, newsletters and readers without
+ * JavaScript. The bundle adopts those boards on load.
+ *
  * Usage:
  *   npm install
  *   npm run build
+ *   node build.js render _site
  */
 
 import { execSync }                   from "child_process";
 import { mkdirSync, writeFileSync,
          readFileSync, existsSync,
-         unlinkSync }                 from "fs";
+         readdirSync, unlinkSync }    from "fs";
 import path                           from "path";
 import { fileURLToPath }              from "url";
 
@@ -27,15 +36,132 @@ mkdirSync(DIST, { recursive: true });
 /* ── Vendor paths (installed by npm) ────────────────────────── */
 
 const VENDOR_JS_PATHS = [
-  "node_modules/jquery/dist/jquery.min.js",
   "node_modules/chess.js/chess.js",                                       // minified below
-  "node_modules/@chrisoakman/chessboardjs/dist/chessboard-1.0.0.min.js",
 ];
 
-const VENDOR_CSS_PATHS = [
-  "node_modules/@chrisoakman/chessboardjs/dist/chessboard-1.0.0.min.css",
+/* ── Piece sets (bundled as data URIs in assets/pieces.js) ───── */
+
+const PIECE_KEYS = ["wK", "wQ", "wR", "wB", "wN", "wP", "bK", "bQ", "bR", "bB", "bN", "bP"];
+const PIECE_NAMES = { K: "king", Q: "queen", R: "rook", B: "bishop", N: "knight", P: "pawn" };
+
+/* cburnett: chessground already ships it as base64 SVG in a stylesheet. */
+function cburnettPieces() {
+  const css = readVendorJs("node_modules/@lichess-org/chessground/assets/chessground.cburnett.css");
+  const set = {};
+  for (const key of PIECE_KEYS) {
+    const color = key[0] === "w" ? "white" : "black";
+    const re = new RegExp("piece\\." + PIECE_NAMES[key[1]] + "\\." + color + "\\s*\\{[^}]*url\\('([^']+)'\\)");
+    const m = re.exec(css);
+    if (!m) throw new Error("cburnett piece not found: " + key);
+    set[key] = m[1];
+  }
+  return set;
+}
+
+/* merida: the Chess Merida font's glyphs (white-square keymap), with the
+   outer contour filled white underneath so white pieces aren't hollow. */
+const MERIDA_KEYS = { wK: "k", wQ: "q", wR: "r", wB: "b", wN: "n", wP: "p",
+                      bK: "l", bQ: "w", bR: "t", bB: "v", bN: "m", bP: "o" };
+
+/* Split an SVG path into subpaths with absolute coordinates, keeping the
+   points seen so the outer contour can be picked by its bounding box. */
+function absoluteSubpaths(d) {
+  const tokens = d.match(/[a-zA-Z]|-?(?:\d+\.?\d*|\.\d+)(?:e-?\d+)?/g);
+  const subpaths = [];
+  let i = 0, cmd = null, x = 0, y = 0, startX = 0, startY = 0, cur = null;
+  const num = () => parseFloat(tokens[i++]);
+  const point = (rel) => {
+    let px = num(), py = num();
+    if (rel) { px += x; py += y; }
+    cur.points.push([px, py]);
+    return [Math.round(px), Math.round(py)];
+  };
+  while (i < tokens.length) {
+    if (/[a-zA-Z]/.test(tokens[i])) cmd = tokens[i++];
+    const rel = cmd === cmd.toLowerCase();
+    const op = cmd.toUpperCase();
+    if (op === "Z") { cur.d += "Z"; x = startX; y = startY; continue; }
+    if (op === "M") {
+      cur = { d: "", points: [] };
+      subpaths.push(cur);
+      const p = point(rel);
+      x = startX = cur.points[0][0]; y = startY = cur.points[0][1];
+      cur.d += "M" + p.join(" ");
+      cmd = rel ? "l" : "L";
+      continue;
+    }
+    if (op === "H" || op === "V") {
+      let v = num();
+      if (op === "H") x = rel ? x + v : v; else y = rel ? y + v : v;
+      cur.points.push([x, y]);
+      cur.d += "L" + Math.round(x) + " " + Math.round(y);
+      continue;
+    }
+    const arity = { L: 1, T: 1, S: 2, Q: 2, C: 3 }[op];
+    if (!arity) throw new Error("unsupported path command: " + cmd);
+    const coords = [];
+    for (let k = 0; k < arity; k++) coords.push(point(rel).join(" "));
+    const last = cur.points[cur.points.length - 1];
+    x = last[0]; y = last[1];
+    cur.d += op + coords.join(" ");
+  }
+  return subpaths;
+}
+
+function meridaPieces() {
+  const font = readVendorJs("node_modules/chess-merida-font/fonts/chessmerida-webfont.svg");
+  const set = {};
+  for (const key of PIECE_KEYS) {
+    const m = new RegExp('<glyph[^>]*unicode="' + MERIDA_KEYS[key] + '"[^>]*?\\sd="([^"]+)"').exec(font);
+    if (!m) throw new Error("merida glyph not found: " + key);
+    const subpaths = absoluteSubpaths(m[1]);
+    const area = (sp) => {
+      const xs = sp.points.map(p => p[0]), ys = sp.points.map(p => p[1]);
+      return (Math.max(...xs) - Math.min(...xs)) * (Math.max(...ys) - Math.min(...ys));
+    };
+    const outer = subpaths.reduce((a, b) => (area(b) > area(a) ? b : a));
+    const svg =
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 2048 2048">' +
+      '<g transform="matrix(1 0 0 -1 0 2048)">' +
+      '<path d="' + outer.d + '" fill="#fff"/>' +
+      '<path d="' + subpaths.map(sp => sp.d).join("") + '"/>' +
+      "</g></svg>";
+    set[key] = "data:image/svg+xml;base64," + Buffer.from(svg).toString("base64");
+  }
+  return set;
+}
+
+/* Where each set comes from and under which licence. Written into the
+   header of assets/pieces.js and, as a preserved comment, at the top of
+   every dist bundle that carries the art. Alpha (Eric Bentzen's Chess
+   Alpha font) is left out: it is free for non-commercial use only. */
+const PIECE_ART_NOTICE = [
+  "cburnett  Colin M.L. Burnett; GPLv2+ / CC BY-SA 3.0. The SVGs as",
+  "          shipped in @lichess-org/chessground 10.1.1",
+  "          (assets/chessground.cburnett.css).",
+  "merida    Armando Hernandez Marroquin's Chess Merida font, from",
+  "          chess-merida-font 0.0.3 (MPL-2.0); each glyph redrawn as",
+  "          an SVG with its outer contour filled white.",
 ];
 
+function writePieceSets() {
+  const sets = { cburnett: cburnettPieces(), merida: meridaPieces() };
+  let out =
+    "/* ChessPublica — Piece set data URIs.\n" +
+    "   Generated by build.js from their npm packages so boards don't load\n" +
+    "   piece images from a third-party host. Do not edit by hand.\n\n" +
+    PIECE_ART_NOTICE.map(l => "   " + l + "\n").join("") + "\n" +
+    "   See \"Piece art\" in README.md. */\n\n" +
+    "var PIECE_SETS = {\n";
+  for (const name of Object.keys(sets)) {
+    out += "  " + name + ": {\n";
+    for (const key of PIECE_KEYS) out += "    " + key + ': "' + sets[name][key] + '",\n';
+    out += "  },\n";
+  }
+  out += "};\n\nexport { PIECE_SETS };\n";
+  writeFileSync(path.join(ROOT, "assets/pieces.js"), out);
+}
+
 /* chess.js 0.12 ships without a separate .min.js — minify it inline */
 function readVendorJs(relPath) {
   const full = path.join(ROOT, relPath);
@@ -49,10 +175,9 @@ async function main() {
   /* 1. Read vendor files */
   console.log("\n📦 Reading vendor files…");
   const vendorJsTexts  = VENDOR_JS_PATHS.map(p => { console.log("   " + p); return readVendorJs(p); });
-  const vendorCssTexts = VENDOR_CSS_PATHS.map(p => { console.log("   " + p); return readVendorJs(p); });
 
   /* chess.js 0.12 is not minified — run it through esbuild to shrink it */
-  const chessJsIdx = 1;
+  const chessJsIdx = 0;
   if (!VENDOR_JS_PATHS[chessJsIdx].endsWith(".min.js")) {
     const tmp = path.join(DIST, "_chess.min.js");
     execSync(`npx esbuild "${path.join(ROOT, VENDOR_JS_PATHS[chessJsIdx])}" --minify --outfile="${tmp}"`,
@@ -62,6 +187,9 @@ async function main() {
   }
 
   /* 2. Bundle ChessPublica ES modules with esbuild */
+  console.log("\n♞  Generating assets/pieces.js…");
+  writePieceSets();
+
   console.log("\n⚙️  Bundling ChessPublica…");
   const bundleOut = path.join(DIST, "_bundle.min.js");
   execSync(
@@ -80,20 +208,26 @@ async function main() {
   const bundleJs = readFileSync(bundleOut, "utf8");
   const minCss   = readFileSync(cssOut,    "utf8");
 
+  /* ChessPublica is MIT, but the piece art inside it is not: say so
+     at the top of every file that ships it. */
+  const licenceBanner =
+    "/*! ChessPublica — MIT licence, see LICENSE.\n" +
+    " * The bundled piece sets keep their own licences:\n" +
+    PIECE_ART_NOTICE.map(l => " *   " + l + "\n").join("") +
+    " */\n";
+
   /* ChessPublica only (no vendors) */
-  writeFileSync(path.join(DIST, "ChessPublica.min.js"), bundleJs);
+  writeFileSync(path.join(DIST, "ChessPublica.min.js"), licenceBanner + bundleJs);
 
   /* All-in-one JS: vendor JS + ChessPublica bundle */
   writeFileSync(
     path.join(DIST, "ChessPublica.all.min.js"),
-    vendorJsTexts.join("\n") + "\n" + bundleJs,
+    licenceBanner + vendorJsTexts.join("\n") + "\n" + bundleJs,
   );
 
-  /* All-in-one CSS: vendor CSS + ChessPublica CSS */
-  writeFileSync(
-    path.join(DIST, "ChessPublica.all.min.css"),
-    vendorCssTexts.join("\n") + "\n" + minCss,
-  );
+  /* All-in-one CSS: the board is drawn by ChessPublica itself, so this
+     is the same as ChessPublica.min.css — kept for existing links. */
+  writeFileSync(path.join(DIST, "ChessPublica.all.min.css"), minCss);
 
   /* Clean up intermediate files */
   unlinkSync(bundleOut);
@@ -103,8 +237,8 @@ async function main() {
   console.log("\n✅ dist/ ready:");
   console.log(`   ChessPublica.min.js      ${kb("ChessPublica.min.js").padStart(8)}  (ChessPublica only — include vendor CDN links separately)`);
   console.log(`   ChessPublica.min.css     ${kb("ChessPublica.min.css").padStart(8)}  (ChessPublica styles only)`);
-  console.log(`   ChessPublica.all.min.js  ${kb("ChessPublica.all.min.js").padStart(8)}  (jQuery + chess.js + chessboard.js + ChessPublica)`);
-  console.log(`   ChessPublica.all.min.css ${kb("ChessPublica.all.min.css").padStart(8)}  (chessboard.css + ChessPublica styles)`);
+  console.log(`   ChessPublica.all.min.js  ${kb("ChessPublica.all.min.js").padStart(8)}  (chess.js + ChessPublica)`);
+  console.log(`   ChessPublica.all.min.css ${kb("ChessPublica.all.min.css").padStart(8)}  (same as ChessPublica.min.css)`);
   console.log(`
 Usage — all-in-one (2 lines):
   <script src="dist/ChessPublica.all.min.js"></script>
@@ -116,4 +250,56 @@ Usage — ChessPublica only (vendor CDN handled separately):
 `);
 }
 
-main().catch(e => { console.error("\n❌", e.message); process.exit(1); });
+/* ── Static prerendering ───────────────────────────────────── */
+
+function htmlFiles(dir) {
+  const files = [];
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith(".") || entry.name === "node_modules") continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...htmlFiles(full));
+    else if (entry.name.endsWith(".html")) files.push(full);
+  }
+  return files;
+}
+
+async function render(siteDir) {
+  if (!siteDir) throw new Error("Usage: node build.js render <site-dir>");
+  const siteRoot = path.resolve(siteDir);
+  if (!existsSync(siteRoot)) throw new Error("Site directory not found: " + siteDir);
+  const { JSDOM } = await import("jsdom");
+
+  /* assets/prerender.js runs inside each page's window, next to chess.js */
+  console.log("\n⚙️  Bundling the prerenderer…");
+  const prerenderOut = path.join(DIST, "_prerender.js");
+  execSync(
+    `npx esbuild assets/prerender.js --bundle --format=iife --global-name=ChessPublicaPrerender --outfile="${prerenderOut}"`,
+    { cwd: ROOT, stdio: "inherit" },
+  );
+  const prerenderJs = readFileSync(prerenderOut, "utf8");
+  unlinkSync(prerenderOut);
+  const chessJs = readVendorJs(VENDOR_JS_PATHS[0]);
+
+  console.log(`\n♟  Prerendering diagrams in ${siteDir}…`);
+  let pages = 0, boards = 0;
+  for (const file of htmlFiles(siteRoot)) {
+    const html = readFileSync(file, "utf8");
+    if (!/<(fen|pgn)[\s>]/i.test(html)) continue;
+
+    const dom = new JSDOM(html, { runScripts: "outside-only", pretendToBeVisual: true });
+    dom.window.eval(chessJs);
+    dom.window.eval(prerenderJs);
+    const count = await dom.window.ChessPublicaPrerender.prerender();
+    writeFileSync(file, dom.serialize());
+    dom.window.close();
+
+    pages++;
+    boards += count;
+    console.log(`   ${path.relative(siteRoot, file)}  (${count} board${count === 1 ? "" : "s"})`);
+  }
+  console.log(`\n✅ ${boards} board${boards === 1 ? "" : "s"} prerendered in ${pages} page${pages === 1 ? "" : "s"}`);
+}
+
+const [command, commandArg] = process.argv.slice(2);
+(command === "render" ? render(commandArg) : main())
+  .catch(e => { console.error("\n❌", e.message); process.exit(1); });
@@ -0,0 +1,47 @@
+/* Where parsePGNGame() hangs variations — every entry of a node's
+   `variations` is an alternative to that node's own move — and how
+   parseGame() reads puzzle headers. */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+globalThis.Chess = createRequire(import.meta.url)("chess.js").Chess;
+
+const { parsePGNGame, parseGame } = await import("../assets/pgn-parser.js");
+
+const sans = (node) => {
+  const out = [];
+  for (; node; node = node.next) out.push(node.san);
+  return out;
+};
+
+test("a standard variation replaces the move before it", () => {
+  const [e4, e5] = parsePGNGame("1. e4 e5 (1... c5 2. Nf3) 2. Nf3 *").mainline;
+  assert.deepEqual(e4.variations, []);
+  assert.deepEqual(e5.variations.map(sans), [["c5", "Nf3"]]);
+});
+
+test("a variation written one move early is an alternative to the next move", () => {
+  const [e4, e5] = parsePGNGame("1. e4 (1... c5 2. Nf3) (1... e6) e5 2. Nf3 *").mainline;
+  assert.deepEqual(e4.variations, []);
+  assert.deepEqual(e5.variations.map(sans), [["c5", "Nf3"], ["e6"]]);
+  assert.equal(e5.variations[0].parent, e4);
+});
+
+test("an early variation at the end of a line carries the line", () => {
+  const game = parsePGNGame("1. e4 e5 2. Nf3 (2... Nc6 3. Bb5) (2... d6) *");
+  assert.deepEqual(game.mainline.map((n) => n.san), ["e4", "e5", "Nf3", "Nc6", "Bb5"]);
+  assert.deepEqual(game.mainline[2].variations, []);
+  assert.deepEqual(game.mainline[3].variations.map(sans), [["d6"]]);
+});
+
+test("puzzle headers keep their escaped quotes", () => {
+  const puzzle = parseGame(`[FEN "7k/8/6K1/8/8/8/8/R7 w - - 0 1"]
+[PuzzleId "the \\"classic\\" mate"]
+[Accept "Ra8#"]
+
+1. Ra8# *`);
+  assert.equal(puzzle.puzzleId, 'the "classic" mate');
+  assert.deepEqual(puzzle.accept.map((a) => a.san), ["Ra8#"]);
+});
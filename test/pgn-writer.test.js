@@ -0,0 +1,78 @@
+/* Round trip: parsePGNGame → toPGN → parsePGNGame gives back the same
+   game tree and comment text, and toPGN writes the source form back. */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+
+globalThis.Chess = createRequire(import.meta.url)("chess.js").Chess;
+
+const { parsePGNGame } = await import("../assets/pgn-parser.js");
+const { toPGN } = await import("../assets/pgn-writer.js");
+
+const TAGS = `[Event "Casual"]
+[Site "?"]
+[Date "????.??.??"]
+[Round "?"]
+[White "A"]
+[Black "B"]
+[Result "*"]
+`;
+
+/* The parts of a node that matter to readers, without parent links. */
+function shape(node) {
+  const line = [];
+  for (; node; node = node.next) {
+    line.push({
+      san: node.san,
+      nags: node.nags,
+      comment: node.comment,
+      rawComments: node.rawComments,
+      parts: node.parts,
+      arrows: node.arrows,
+      squareMarks: node.squareMarks,
+      commands: node.commands,
+      variations: node.variations.map(shape),
+    });
+  }
+  return line;
+}
+
+function roundTrip(movetext) {
+  const pgn = TAGS + "\n" + movetext + "\n";
+  const first = parsePGNGame(pgn);
+  const written = toPGN(first);
+  const second = parsePGNGame(written);
+  assert.deepEqual(shape(second.root.next), shape(first.root.next));
+  assert.deepEqual(second.headers, first.headers);
+  return written;
+}
+
+test("commands stay where they stood in their comment", () => {
+  const out = roundTrip("1. e4 {Best by test [%csl Ge4]} 1... e5 *");
+  assert.match(out, /\{Best by test \[%csl Ge4\]\}/);
+});
+
+test("a [D] marker keeps the text around it in one comment", () => {
+  const out = roundTrip("1. e4 c5 {Najdorf [D black #sicilian] caption} *");
+  assert.match(out, /\{Najdorf \[D black #sicilian\] caption\}/);
+});
+
+test("move-quality suffixes are not rewritten as $-codes", () => {
+  const out = roundTrip("1. e4! e5?! $14 2. Nf3 $1 *");
+  assert.match(out, /1\. e4! e5\?! \$14 2\. Nf3 \$1/);
+});
+
+test("variations, inline comment variations and clocks survive", () => {
+  roundTrip(
+    "1. e4 {[%clk 0:03:00] [%cal Ge2e4,Rd7d5]} 1... e5 (1... c5 {Sicilian} 2. Nf3) " +
+    "2. Nf3 {Also (2. Bc4 Nf6) is fine} 2... Nc6 *",
+  );
+});
+
+test("serializing twice gives the same text", () => {
+  const pgn = TAGS + "\n1. d4 {[%eval 0.2] Queen's pawn} 1... d5!? {[D] closed} 2. c4 *\n";
+  const once = toPGN(parsePGNGame(pgn));
+  assert.equal(toPGN(parsePGNGame(once)), once);
+  assert.equal(once, pgn);
+});
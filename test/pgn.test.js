@@ -0,0 +1,42 @@
+/* Diagram numbering and #anchor cross-references in <pgn>. */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+import { JSDOM } from "jsdom";
+
+const dom = new JSDOM("<!doctype html><body></body>", { pretendToBeVisual: true, url: "http://localhost/" });
+const { window } = dom;
+for (const name of ["window", "document", "HTMLElement", "Node", "getComputedStyle",
+  "requestAnimationFrame", "cancelAnimationFrame", "localStorage", "navigator"]) {
+  Object.defineProperty(globalThis, name, { value: name === "window" ? window : window[name], configurable: true });
+}
+window.Chess = globalThis.Chess = createRequire(import.meta.url)("chess.js").Chess;
+
+const { initPgnElements } = await import("../assets/init.js");
+
+function render(html) {
+  document.body.innerHTML = html;
+  initPgnElements();
+}
+
+test("[D] diagrams are numbered and anchored without captions", () => {
+  render(`<p>See <a href="#ruy"></a> and <a href="#ruy">this</a>.</p>
+<pgn>1. e4 {[D]} 1... e5 2. Nf3 Nc6 3. Bb5 {[D #ruy] The Ruy Lopez} *</pgn>`);
+  const diagrams = document.querySelectorAll(".cp-diagram");
+  assert.deepEqual([...diagrams].map((d) => d.dataset.diagram), ["1", "2"]);
+  assert.equal(document.getElementById("ruy"), diagrams[1]);
+  assert.equal(document.querySelector(".cp-diagram-caption"), null);
+  const [empty, written] = document.querySelectorAll("p a");
+  assert.equal(empty.textContent, "Diagram 2");
+  assert.equal(written.textContent, "this");
+});
+
+test("captions number diagrams across every <pgn> on the page", () => {
+  render(`<pgn captions>1. e4 {[D]} *</pgn>
+<pgn captions>1. d4 d5 {[D #qg] Closed} *</pgn>
+<p><a href="#qg"></a></p>`);
+  const captions = [...document.querySelectorAll(".cp-diagram-caption")].map((c) => c.textContent);
+  assert.deepEqual(captions, ["Diagram 1 — Position after 1.e4", "Diagram 2 — Position after 1...d5 — Closed"]);
+  assert.equal(document.querySelector("p a").textContent, "Diagram 2");
+});
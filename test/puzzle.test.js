@@ -0,0 +1,110 @@
+/* <puzzle> played through its board: pointer drags in, cp-puzzle-*
+   events out. Each step waits for the event that ends it, not a clock. */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRequire } from "node:module";
+import { JSDOM } from "jsdom";
+
+const dom = new JSDOM("<!doctype html><body></body>", { pretendToBeVisual: true, url: "http://localhost/" });
+const { window } = dom;
+for (const name of ["window", "document", "HTMLElement", "Node", "Event", "CustomEvent", "MouseEvent",
+  "getComputedStyle", "requestAnimationFrame", "cancelAnimationFrame", "localStorage", "navigator", "SVGElement"]) {
+  Object.defineProperty(globalThis, name, { value: name === "window" ? window : window[name], configurable: true });
+}
+window.Chess = globalThis.Chess = createRequire(import.meta.url)("chess.js").Chess;
+
+/* jsdom does no layout: every board is 400×400 at the origin. */
+window.Element.prototype.getBoundingClientRect = function () {
+  return { left: 0, top: 0, right: 400, bottom: 400, width: 400, height: 400, x: 0, y: 0 };
+};
+
+const { initPuzzleElements } = await import("../assets/init.js");
+
+function drag(svg, from, to) {
+  const at = (sq) => ({
+    clientX: ("abcdefgh".indexOf(sq[0]) + 0.5) * 50,
+    clientY: (8 - Number(sq[1]) + 0.5) * 50,
+  });
+  for (const [type, sq] of [["pointerdown", from], ["pointermove", to], ["pointerup", to]]) {
+    svg.dispatchEvent(new window.MouseEvent(type, { bubbles: true, button: 0, ...at(sq) }));
+  }
+}
+
+/* Resolves with the detail of the next `type` event on the page. */
+function next(type) {
+  return new Promise((resolve) => document.addEventListener(type, (e) => resolve(e.detail), { once: true }));
+}
+
+/* Plays a move and resolves with its cp-puzzle-attempt detail. The
+   board ignores drags while a reply is still settling, so the drag is
+   repeated each frame until the puzzle takes it. */
+async function play(from, to) {
+  const attempt = next("cp-puzzle-attempt");
+  let taken = false;
+  attempt.then(() => { taken = true; });
+  for (let frames = 0; !taken; frames++) {
+    if (frames === 120) throw new Error(`the puzzle never took ${from}-${to}`);
+    drag(document.querySelector(".cp-svgboard"), from, to);
+    await Promise.race([attempt, new Promise((resolve) => requestAnimationFrame(resolve))]);
+  }
+  return attempt;
+}
+
+test("a wrong-move side-line is not played as a defence", async () => {
+  /* 1. Rd5? is a wrong first move; its SAN is also legal for Black
+     after 1. h3, but only 1... h6 is a real defence. */
+  document.body.innerHTML = `<puzzle>[FEN "3r3k/6pp/8/8/8/8/6PP/3R3K w - - 0 1"]
+
+1. h3 (1. Rd5? Rxd5) 1... Kg8 (1... h6 2. Rxd8+) 2. Rxd8+ *</puzzle>`;
+  let solved = 0;
+  document.addEventListener("cp-puzzle-solved", () => solved++);
+  initPuzzleElements();
+
+  await play("h2", "h3");
+  await play("d1", "d8");
+  /* The line is solved; the board rewinds and plays 1... h6. */
+  await next("cp-puzzle-move");
+  assert.equal(solved, 0, "the 1... h6 defence is still to be met");
+
+  /* Solved now, or rewound to yet another defence. */
+  const finished = next("cp-puzzle-solved");
+  await play("d1", "d8");
+  await Promise.race([finished, next("cp-puzzle-move")]);
+  assert.equal(solved, 1, "1... Rd5 is not a defence left to meet");
+});
+
+test("clicking a solved board starts the puzzle again", async () => {
+  document.body.innerHTML = `<puzzle>[FEN "3r3k/6pp/8/8/8/8/6PP/3R3K w - - 0 1"]
+
+1. Rxd8# *</puzzle>`;
+  initPuzzleElements();
+  const board = document.querySelector(".cp-svgboard");
+  const solved = next("cp-puzzle-solved");
+  await play("d1", "d8");
+  await solved;
+
+  let reset = 0;
+  document.addEventListener("cp-puzzle-reset", () => reset++);
+  board.dispatchEvent(new window.MouseEvent("pointerdown", { bubbles: true, button: 0, clientX: 25, clientY: 375 }));
+  assert.equal(reset, 1);
+  assert.ok(document.querySelector('.cp-piece[data-square="d1"]'), "the rook is back on d1");
+});
+
+test("a long mate search runs in slices with the board marked busy", async () => {
+  document.body.innerHTML = `<puzzle>[FEN "r2qkb1r/pp2nppp/3p4/2pNN1B1/2BnP3/3P4/PPP2PPP/R2bK2R w KQkq - 1 1"]
+[Stipulation "#3"]
+
+1. Nf6+ gxf6 2. Bxf7# *</puzzle>`;
+  initPuzzleElements();
+  const board = document.querySelector(".cp-board");
+  const attempt = next("cp-puzzle-attempt");
+
+  /* 1. Kxd1 leaves mate in two to prove against every defence. */
+  drag(board.querySelector(".cp-svgboard"), "e1", "d1");
+  assert.ok(board.classList.contains("cp-thinking"), "the search outlasts its first slice");
+
+  assert.equal((await attempt).correct, false);
+  assert.ok(!board.classList.contains("cp-thinking"));
+  assert.ok(document.querySelector('.cp-piece[data-square="e1"]'), "the king is back on e1");
+});